@@ -1,5 +1,4 @@
 #!/usr/bin/env node
-import vm from 'vm';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,38 +9,70 @@ import chalk from 'chalk';
 import ora from 'ora';
 import figlet from 'figlet';
 import gradient from 'gradient-string';
-import { exec, spawn } from 'child_process';
+import { spawn, spawnSync } from 'child_process';
 import util from 'util';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
+import { AsyncLocalStorage } from 'async_hooks';
 import puppeteer from 'puppeteer';
 import open from 'open';
 import mime from 'mime-types';
 import Table from 'cli-table3';
-import { highlight } from 'cardinal';
+import { createMcpClient, parseToolArguments, formatToolResult } from './lib/mcp-client.js';
+import { DONE_TOOL, findAgentTool } from './lib/agent-tools.js';
+import { StreamRenderer } from './lib/stream-render.js';
+import { DEFAULT_TITLE, listSessions, resolveSession, findLatestSession, createSession, loadSession, saveSession, forkSession, renameSession, deleteSession } from './lib/sessions.js';
+import { contextSettings, buildContextView, contextTokens, budgetFor, estimateTokens, findCompactionCut, summarizationRequest } from './lib/context.js';
+import { loadProviders, listProviders, getProvider, registerProvider, resolveProviders, hasAvailableProvider } from './lib/providers.js';
+import { validateSchema, formatSchemaErrors } from './lib/schema.js';
+import { evaluatePermission, describeRule, alwaysAllowRule, DEFAULT_RULES, PERMISSION_ACTIONS } from './lib/permissions.js';
+import { runSandbox, isIsolated } from './lib/sandbox.js';
+import { runCommand, startJob, listJobs, getJob, killJob, killAllJobs, waitJob, describeJobStatus } from './lib/jobs.js';
+import { daemonCommand, attachToDaemon, serveDaemon, superviseDaemon, readDaemonPid } from './lib/daemon.js';
+import { Supervisor } from './lib/supervisor.js';
+import { serveApi, resolveServeToken, serveTokenFile, DEFAULT_PORT } from './lib/server.js';
+import { isOneShot, ownArgs, parseOneShotArgs, readStdin, combinePrompt, createReporter, UsageError, EXIT_CODES } from './lib/oneshot.js';
+import { parseWorkflow, runWorkflow, previewWorkflow } from './lib/workflow.js';
+import { parseCommandLine, tokenize, restAfter, unquote } from './lib/command-line.js';
+import { grep, parseGrepArgs, compilePattern, formatGrepResults } from './lib/grep.js';
+import { globFiles } from './lib/files.js';
+import { buildProjectIndex, formatRepoMap } from './lib/project-index.js';
+import { retrieveSnippets, formatSnippets } from './lib/retrieval.js';
+import { prepareEdit, formatDiff } from './lib/edit.js';
+import { runGit, splitPathArgs, commitMessageRequest, cleanCommitMessage } from './lib/git.js';
+import { createCheckpoint, listCheckpoints, undoCheckpoints, restoreCheckpoint, deleteCheckpoints, describeChange } from './lib/checkpoints.js';
+import { loadConfig, getConfig, configSource, configFile, setConfig, resetConfig, listConfig, parseConfigValue, SCOPES } from './lib/config.js';
 
-const execAsync = util.promisify(exec);
 
 // =======================
 // DAEMON / WORKER MODE
 // =======================
-if (process.argv.includes('--daemon')) {
-  const args = process.argv.slice(1).filter(a => a !== '--daemon');
-  args.push('--worker');
-  const child = spawn(process.argv[0], args, { detached: true, stdio: 'ignore' });
-  child.unref();
-  console.log('🧟 BEX running in daemon mode');
-  process.exit(0);
+// `bex daemon <start|stop|status|logs>` and `bex attach` talk to a background
+// BEX (see lib/daemon.js) instead of starting the interactive CLI. The daemon
+// itself is this script run with --worker, under a --supervise parent that
+// restarts it after crashes.
+const cliArgs = process.argv.slice(2);
+const ownFlags = ownArgs(cliArgs); // Leaves out the words of a `bex run` command
+if (ownFlags.includes('--supervise')) {
+  process.exit(await superviseDaemon(fileURLToPath(import.meta.url), cliArgs.filter(a => a !== '--supervise')));
 }
-
-const isWorker = process.argv.includes('--worker');
-let heartbeat = Date.now();
-
-if (isWorker) {
-  setInterval(() => {}, 1 << 30); // Keep alive
-  setInterval(() => { if (Date.now() - heartbeat > 15000) heartbeat = Date.now(); }, 5000); // Watchdog
+if (cliArgs[0] === 'daemon' || ownFlags.includes('--daemon')) {
+  const sub = cliArgs[0] === 'daemon' ? cliArgs.slice(1) : ['start', ...cliArgs.filter(a => a !== '--daemon')];
+  process.exit(await daemonCommand(sub, { script: fileURLToPath(import.meta.url) }));
+}
+if (cliArgs[0] === 'attach' || ownFlags.includes('--attach')) {
+  process.exit(await attachToDaemon());
 }
 
+const isWorker = ownFlags.includes('--worker');
+const isServe = cliArgs[0] === 'serve'; // HTTP/WebSocket API, see lib/server.js
+const oneShot = isOneShot(cliArgs); // bex -p / bex run, see lib/oneshot.js
+const interactive = !isWorker && !isServe && !oneShot;
+const flagValue = (name) => {
+  const index = ownFlags.indexOf(name);
+  return index !== -1 ? ownFlags[index + 1] : undefined;
+};
+let daemonHost = null; // Control socket of the worker, set once startup completes
+let heartbeat = Date.now(); // Last input handled; shown by `bex daemon status`
+
 // Prevent crash on unhandled errors - keep app running
 process.on('uncaughtException', (err) => {
   console.error(chalk.red('\n🚨 Uncaught Exception:'), err.message);
@@ -65,21 +96,73 @@ dotenv.config({ path: path.join(os.homedir(), '.env') }); // Load from home dire
 dotenv.config({ path: path.join(__dirname, '.env') });
 
 // Configuration & State
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
-
-let currentProvider = 'google'; // 'google' | 'deepseek'
-let history = []; // { role: 'user'|'model'|'system', content: string }
-let browser = null;
-let page = null;
-let pendingImage = null; // For Gemini multimodal
-let mcpServers = {}; // { label: url }
-let autoExecute = false; // For /auto mode
+loadConfig({ warn: (message) => console.log(chalk.yellow(message)) });
+try { loadProviders(getConfig('providers')); }
+catch (e) {
+  console.log(chalk.red(e.message));
+  loadProviders();
+}
+contextSettings.budget = getConfig('contextBudget');
+
+// Per-conversation state. The terminal (and daemon) use `cliState`; every API
+// session opened through `bex serve` has its own, selected for the duration
+// of a request with AsyncLocalStorage so concurrent sessions never share
+// history or a browser. `emit` and `ask` are set for API sessions only.
+const newState = () => ({
+  currentProvider: getConfig('currentProvider'), // any registered provider name, or 'auto'
+  history: [], // { role: 'user'|'model'|'system'|'tool', content: string, toolCalls?, toolCallId?, name? }
+  session: null, // Metadata of the conversation session
+  browser: null,
+  page: null,
+  pendingImage: null, // For Gemini multimodal
+  activeGeneration: null, // AbortController of the reply or command Ctrl+C should cancel
+  maxSteps: null, // Overrides the maxSteps config for /task (--max-steps)
+  heredoc: null, // Text of a command whose heredoc is still being typed
+  emit: null, // (event) => void; receives output, reply deltas and tool events
+  ask: null // (question) => Promise<string>; permission prompts
+});
+const cliState = newState();
+const stateScope = new AsyncLocalStorage(); // { state, capture?: string[], onEvent? }
+const state = () => stateScope.getStore()?.state ?? cliState;
+const emitEvent = (event) => {
+  stateScope.getStore()?.onEvent?.(event);
+  state().emit?.(event);
+};
+const browserService = (st) => (st === cliState ? 'browser' : `browser:${st.session.id}`);
+
+// Output written inside a scope is captured for the agent (runAgentCommand)
+// and, for API sessions and one-shot runs, sent to `emit` instead of the
+// terminal. Spinner frames (stderr writes without a trailing newline, or the
+// `- text` line ora prints instead when stderr is not a terminal) are dropped.
+// In one-shot mode stdout is reserved for the result, so stray output goes
+// to stderr.
+const writeStdout = process.stdout.write.bind(process.stdout);
+const SPINNER_LINE = /^- [^\n]*\n$/;
+for (const stream of [process.stdout, process.stderr]) {
+  const write = stream.write.bind(stream);
+  stream.write = (chunk, ...rest) => {
+    const scope = stateScope.getStore();
+    if (!scope && oneShot && stream === process.stdout) return process.stderr.write(chunk, ...rest);
+    if (!scope) return write(chunk, ...rest);
+    const text = util.stripVTControlCharacters(String(chunk));
+    const visible = stream === process.stdout || (text.endsWith('\n') && !(SPINNER_LINE.test(text) && !process.stderr.isTTY));
+    if (visible) scope.capture?.push(text);
+    if (!scope.state.emit) return write(chunk, ...rest);
+    if (visible) scope.state.emit({ type: 'output', text });
+    return true;
+  };
+}
+
+let mcpServers = {}; // { label: McpClient }
+let autoExecute = getConfig('autoExecute'); // For /auto mode
 let multilineMode = false; // For multiline input
 let multilineBuffer = ''; // Buffer for multiline input
-let persistentMode = true; // Keep services running after responses
-let activeServices = { browser: false, mcp: false }; // Track running services
-const MEMORY_FILE = 'bex-memory.json';
+let persistentMode = getConfig('persistentMode'); // Keep services running after responses
+const supervisor = new Supervisor({ log: (message) => console.log(chalk.yellow(`[watchdog] ${message}`)) }); // Browser and MCP connections
+const LEGACY_MEMORY_FILE = 'bex-memory.json'; // Pre-session history, imported once per project
+const MAX_EXEC_HISTORY_CHARS = 20000; // /exec output kept in history; the rest stays on screen
+const MAX_WAIT_SECONDS = 600; // /wait gives up after this, so a stuck job cannot hold the session
+const REPO_MAP_HEADER = 'Repo map of the project'; // /project keeps one of these in history
 
 const BASE_SYSTEM_INSTRUCTIONS = `You are BEX, a powerful AI CLI agent.
 - You are running in a terminal environment.
@@ -93,24 +176,47 @@ You have access to the following tools. Output the command to use them:
 1. FILE SYSTEM:
    - /ls [path] : List files in directory
    - /read <file> : Read file content
-   - /write <file> <content> : Write to file (overwrite)
+   - /write <file> <content> : Write to file (overwrite); use it for new files
+   - /edit <file> <edits> : Change part of an existing file with search/replace blocks (or a unified diff); prefer it to /write for existing files
    - /append <file> <content> : Append content to file
    - /delete <file> : Delete file (with confirmation)
    - /rename <old> <new> : Rename file
    - /download <url> [filename] : Download file from URL
+   - /undo [n] : Revert the last n file changes (each change above is checkpointed)
+   Quote arguments with spaces ("my file.txt"). For multi-line content use a heredoc:
+     /write app.js <<EOF
+     ...lines...
+     EOF
+   Pipe one command's output into the next: /exec npm test | /write test.log
+   To change an existing file, send only the changed lines with /edit instead of rewriting it. Each SEARCH
+   must match whole lines of the file exactly once; add surrounding lines if it is not unique:
+     /edit app.js <<EOF
+     <<<<<<< SEARCH
+     const port = 3000;
+     =======
+     const port = process.env.PORT || 3000;
+     >>>>>>> REPLACE
+     EOF
 
 2. SEARCH & ANALYSIS:
-   - /grep <pattern> [file] : Search for text patterns in files
-   - /glob <pattern> : Find files using glob patterns
-   - /git <status|log|diff|commits> : Git repository operations
-   - /project : Analyze project structure and statistics
+   - /grep [-E] [-i] [-C n] [--include glob] <pattern> [path...] : Search files (.gitignore aware); -E regex, -i ignore case, -C context lines
+   - /glob <pattern> [!exclude...] : Find files (**, {a,b}, [a-z]; .gitignore aware), newest first
+   - /git status | log [n] | commits [days] | branch | show [rev] : Git repository state and history
+   - /git diff [--staged] [path...] : Full diff hunks of unstaged (or staged) changes
+   - /git blame <file> [start[,end]] : Who last changed each line
+   - /git add <path...>, /git checkout <branch|-b new|-- path>, /git commit [-m msg] : Stage, switch and commit (commit drafts a message when -m is missing)
+   - /project [--map] [--rebuild] : Index the project (exports, functions, classes, imports, entry points) and add a repo map to the conversation
+   - /retrieve <query|on|off> : Show the code snippets that would be attached for a query; on/off toggles automatic retrieval
    - /memory : Discover documentation/memory files
+   Relevant code snippets are attached to chat turns and /task steps automatically; they may be partial, so /read a file before editing it.
 
 3. SYSTEM & AGENT:
-   - /exec <cmd> : Execute shell command
+   - /exec [--timeout <s>] <cmd> [&] : Execute shell command; a trailing & runs it as a background job
+   - /jobs, /logs <id> [lines], /wait <id> [s], /kill <id> : Inspect and control background jobs
+   - /sandbox <js> : Evaluate JavaScript in an isolated process (supports await); use it as a scratch calculator
    - /task <goal> : Start autonomous agent workflow
-   - /auto : Toggle auto-execution mode
-   - /workflow <file> : Run batch commands from file
+   - /auto : Toggle auto-execution mode (skip permission prompts)
+   - /workflow <file> [--dry-run] : Run a YAML/JSON workflow (or a file of commands, one per line)
    - /image <file> : Analyze image (Gemini only)
 
 4. WEB BROWSING:
@@ -126,9 +232,9 @@ You have access to the following tools. Output the command to use them:
 
 5. MCP (Model Context Protocol):
    - /mcp_list : List connected MCP servers
-   - /mcp_add <label> <url> : Add MCP server
-   - /mcp_tools : List available MCP tools
-   - /mcp_call <label> <tool> [args] : Call MCP tool
+   - /mcp_add <label> <url|command> : Connect MCP server (Streamable HTTP URL or stdio command)
+   - /mcp_tools [label] : List available MCP tools
+   - /mcp_call <label> <tool> [json|key=value...] : Call MCP tool with named arguments
 
 6. UTILITIES:
    - /help : Show all available commands
@@ -136,8 +242,11 @@ You have access to the following tools. Output the command to use them:
    - /status : Show current BEX status and active services
    - /persistent : Toggle persistent mode (keep services running)
    - /clear : Clear conversation history
+   - /session [list|new|switch|fork|rename|delete] : Manage named conversation sessions
+   - /context [expand <#>|budget <n>|compact] : Show or manage what is sent to the model
    - /save [file] : Save chat history to file
-   - /provider [google|deepseek|auto] : Switch AI provider
+   - /provider [name|auto] [model] : Switch AI provider (google, deepseek, openai, local, custom)
+   - /config [list|get <key>|set <key> <value>|reset [key]] : Show or change persistent settings
    - /multiline : Toggle multiline input mode
    - /quit : Exit the application and shut down services
 
@@ -155,29 +264,11 @@ const getSystemInstructions = () => {
 
 let SYSTEM_INSTRUCTIONS = getSystemInstructions();
 
-// Initialize AI Clients
-let genAI, geminiModel, deepseek;
-
-if (GOOGLE_API_KEY) {
-  genAI = new GoogleGenerativeAI(GOOGLE_API_KEY);
-  geminiModel = genAI.getGenerativeModel({ 
-    model: 'gemini-2.5-flash-lite',
-    systemInstruction: SYSTEM_INSTRUCTIONS
-  });
-}
-
-if (DEEPSEEK_API_KEY) {
-  deepseek = new OpenAI({
-    baseURL: 'https://api.deepseek.com',
-    apiKey: DEEPSEEK_API_KEY
-  });
-}
-
-if (!isWorker) {
+if (interactive) {
   console.clear();
   console.log(gradient.rainbow(figlet.textSync('BEX CLI ULTRA', { font: 'ANSI Shadow' })));
   console.log(chalk.green('Gemini‑Complete AI Terminal'));
-  if (!GOOGLE_API_KEY && !DEEPSEEK_API_KEY) {
+  if (!listProviders().some(p => p.available && !p.spec.keyOptional)) {
     console.log(chalk.red('WARNING: No API keys found. Checked:'));
     console.log(chalk.gray(`- ${path.join(process.cwd(), '.env')}`));
     console.log(chalk.gray(`- ${path.join(os.homedir(), '.env')}`));
@@ -186,27 +277,587 @@ if (!isWorker) {
 }
 
 let rl;
-if (!isWorker) {
+if (interactive) {
   rl = readline.createInterface({ input: process.stdin, output: process.stdout });
 }
 
 // Helper Functions
+function promptText() {
+  if (state().heredoc !== null) return chalk.gray('> ');
+  const providerText = `[${state().currentProvider}${autoExecute ? ':AUTO' : ''}]`;
+  return gradient.rainbow(providerText) + chalk.cyan(' › ');
+}
+
 function setPrompt() {
-  if (isWorker) return;
-  const providerText = `[${currentProvider}${autoExecute ? ':AUTO' : ''}]`;
-  rl.setPrompt(gradient.rainbow(providerText) + chalk.cyan(' › '));
+  if (!interactive) return;
+  rl.setPrompt(promptText());
 }
 
 function promptUser() {
-  if (isWorker) return;
+  if (!interactive) return;
   rl.prompt();
 }
 
-function runSandboxed(code) {
-  const sandbox = { console: { log: (...args) => console.log(chalk.gray('[sandbox]'), ...args) } };
-  const context = vm.createContext(sandbox);
-  const script = new vm.Script(code, { timeout: 2000 });
-  return script.runInContext(context);
+// Sends a request to the current provider. With 'auto', providers are tried
+// in order until one succeeds; providers lacking a needed capability are skipped.
+async function askProvider(request, spinner) {
+  const candidates = resolveProviders(state().currentProvider);
+  let lastError;
+  for (const provider of candidates) {
+    if (request.tools && !provider.supports('tools')) {
+      lastError = new Error(`${provider.name} does not support tool calling.`);
+      continue;
+    }
+    if (request.image && !provider.supports('vision')) {
+      lastError = new Error(`${provider.name} does not support images.`);
+      continue;
+    }
+    try {
+      const sent = buildContextView(request.history, provider).map(v => v.entry);
+      return await provider.chat({ system: SYSTEM_INSTRUCTIONS, ...request, history: sent });
+    } catch (e) {
+      if (request.signal?.aborted) throw e;
+      lastError = e;
+      if (spinner && candidates.length > 1) spinner.text = `${provider.name} failed, trying next provider...`;
+    }
+  }
+  throw lastError;
+}
+
+function primaryProvider() {
+  try { return resolveProviders(state().currentProvider)[0]; }
+  catch (e) { return null; }
+}
+
+// Summarises the oldest turns into one system note when the context view no
+// longer fits the provider's budget (or unconditionally with `force`).
+async function ensureContextBudget(spinner, { force = false } = {}) {
+  const provider = primaryProvider();
+  if (!provider) return false;
+  const budget = budgetFor(provider);
+  const view = buildContextView(state().history, provider);
+  const total = contextTokens(view) + estimateTokens(SYSTEM_INSTRUCTIONS, provider);
+  if (!force && total <= budget) return false;
+
+  const cut = findCompactionCut(view, Math.floor(budget / 2));
+  if (cut <= 0) return false;
+  if (spinner) spinner.text = 'Compacting conversation history...';
+
+  const old = state().history.slice(0, cut);
+  let summary;
+  try {
+    ({ text: summary } = await askProvider(summarizationRequest(old)));
+  } catch (e) {
+    summary = `(${old.length} earlier messages were dropped; summarization failed: ${e.message})`;
+  }
+  state().history.splice(0, cut, { role: 'system', content: `Summary of earlier conversation:\n${summary}`, summary: true });
+  console.log(chalk.gray(`Compacted ${old.length} earlier messages into a summary (${total} → ${contextTokens(buildContextView(state().history, provider))} tokens).`));
+  return true;
+}
+
+// Returns `turns` plus a note with the code snippets most relevant to `query`
+// (see lib/retrieval.js), placed before the final user message. The note is
+// only sent, never stored in history. Turned off with /retrieve off.
+async function withRetrievedCode(turns, query, spinner) {
+  if (!getConfig('retrieval') || !query.trim()) return turns;
+  const provider = primaryProvider();
+  const label = spinner?.text;
+  let result;
+  try {
+    if (spinner) spinner.text = 'Retrieving relevant code...';
+    result = await retrieveSnippets(query, { topK: getConfig('retrievalTopK'), maxTokens: getConfig('retrievalTokens'), estimate: (text) => estimateTokens(text, provider) });
+  } catch (e) {
+    return turns; // Retrieval is best effort
+  } finally {
+    if (spinner) spinner.text = label;
+  }
+  if (!result.chunks.length) return turns;
+  const files = [...new Set(result.chunks.map(c => c.path))];
+  emitEvent({ type: 'retrieval', files, tokens: result.tokens });
+  if (!oneShot) {
+    spinner?.clear();
+    console.log(chalk.gray(`Attached ${result.chunks.length} code snippet${result.chunks.length === 1 ? '' : 's'} (~${result.tokens} tokens) from ${files.join(', ')}`));
+  }
+  const note = { role: 'system', content: formatSnippets(result.chunks) };
+  return turns.at(-1)?.role === 'user' ? [...turns.slice(0, -1), note, turns.at(-1)] : [...turns, note];
+}
+
+// Streams a provider reply to the terminal as it arrives. Ctrl+C aborts it via
+// the state's activeGeneration; a cancelled reply resolves with whatever text had arrived.
+async function streamReply(request, spinner, prefix) {
+  const controller = new AbortController();
+  state().activeGeneration = controller;
+  const renderer = new StreamRenderer();
+  let text = '';
+  let started = false;
+  const onText = (delta) => {
+    if (!started) {
+      spinner.stop();
+      process.stdout.write(prefix);
+      started = true;
+    }
+    text += delta;
+    renderer.push(delta);
+    emitEvent({ type: 'delta', text: delta });
+  };
+  const finish = () => {
+    spinner.stop();
+    if (started) {
+      renderer.end();
+      process.stdout.write('\n');
+    }
+  };
+
+  try {
+    const reply = await askProvider({ ...request, onText, signal: controller.signal }, spinner);
+    finish();
+    if (controller.signal.aborted) {
+      console.log(chalk.yellow('⏹ Generation cancelled.'));
+      return { text, toolCalls: [], cancelled: true };
+    }
+    return { ...reply, cancelled: false };
+  } catch (e) {
+    if (!controller.signal.aborted) throw e;
+    finish();
+    console.log(chalk.yellow('⏹ Generation cancelled.'));
+    return { text, toolCalls: [], cancelled: true };
+  } finally {
+    state().activeGeneration = null;
+  }
+}
+
+// Asks the user a question; answers are trimmed and lower-cased unless `raw`.
+function askUser(question, { raw = false } = {}) {
+  const normalize = (answer) => (raw ? answer : answer.trim().toLowerCase());
+  const { ask } = state();
+  if (ask) return ask(question).then(normalize);
+  if (!interactive) return daemonHost ? daemonHost.ask(question).then(normalize) : Promise.resolve('');
+  return new Promise(resolve => rl.question(question, answer => resolve(normalize(answer))));
+}
+
+// Applies the permission policy to a command the model wants to run.
+// Returns { allowed, reason }; `autoExecute` skips ask-level prompts.
+async function approveAgentCommand(cmd, args, line = plainLine(args)) {
+  const full = [cmd, ...args].join(' ').replace(/\s+/g, ' ');
+  const label = full.length > 100 ? `${full.substring(0, 100)}...` : full;
+  const { action, rule } = evaluatePermission(cmd, args, { rules: getConfig('permissions') });
+  if (action === 'deny') {
+    const reason = `denied by rule: ${describeRule(rule)}`;
+    console.log(chalk.red(`⛔ ${label} — ${reason}`));
+    return { allowed: false, reason };
+  }
+  if (action === 'allow') return { allowed: true };
+  if (autoExecute) {
+    console.log(chalk.gray(`Auto-approved: ${label}`));
+    return { allowed: true };
+  }
+  if (cmd === '/edit') await previewEdit(args, line);
+  const answer = await askUser(chalk.yellow(`Allow ${chalk.bold(label)}? [y]es / [n]o / [a]lways: `));
+  if (answer === 'a' || answer === 'always') {
+    persistConfig('permissions', [...getConfig('permissions'), alwaysAllowRule(cmd, args)]);
+    return { allowed: true };
+  }
+  if (answer === 'y' || answer === 'yes') return { allowed: true };
+  return { allowed: false, reason: 'denied by the user' };
+}
+
+// /edit [--dry-run] <file> followed by the edits (inline, heredoc or piped).
+function editArguments(args, line) {
+  const dryRun = args[0] === '--dry-run';
+  const skip = dryRun ? 1 : 0;
+  return { file: args[skip], text: line.input ?? line.rest(skip + 1), dryRun };
+}
+
+// Prints the diff an agent-proposed /edit would make, so it can be judged
+// before it is allowed.
+async function previewEdit(args, line) {
+  const { file, text } = editArguments(args, line);
+  if (!file || !text.trim()) return;
+  try {
+    const edit = await prepareEdit(file, text);
+    if (edit.diff) console.log(formatDiff(edit.diff));
+  } catch (e) { /* /edit itself reports the error */ }
+}
+
+// Runs a slash command on behalf of the agent and returns what it produced:
+// the context it added to history or, if it added none, its console output.
+async function runAgentCommand(cmd, args) {
+  const mark = state().history.length;
+  const captured = [];
+  await stateScope.run({ state: state(), capture: captured }, async () => {
+    try {
+      await commands[cmd](args);
+    } catch (e) {
+      captured.push(`Error: ${e.message}\n`);
+    }
+  });
+  const produced = state().history.splice(mark).map(h => h.content);
+  return (produced.length ? produced.join('\n') : captured.join('')).trim() || 'Done (no output).';
+}
+
+// Runs `run()` and reports how it went:
+// { ok, output, reply, messages, errors, exitCode }. Output still reaches the
+// terminal (or API client). For /exec, output and exitCode are the command's
+// own (without the status line). With `forward`, the output is also added to
+// the enclosing capture.
+async function captureRun(run, { forward = true } = {}) {
+  const st = state();
+  const capture = [];
+  const errors = [];
+  let exitCode = null;
+  let execOutput = null;
+  const onEvent = (event) => {
+    if (event.type === 'error') errors.push(event.message);
+    if (event.type === 'exec_result') {
+      exitCode = event.code ?? EXIT_CODES.failed;
+      execOutput = event.output;
+    }
+  };
+  const mark = st.history.length;
+  await stateScope.run({ state: st, capture, onEvent, approve: stateScope.getStore()?.approve }, run);
+  if (forward) stateScope.getStore()?.capture?.push(...capture); // Nested runs (workflow steps) still reach the outer capture
+  const messages = st.history.slice(Math.min(mark, st.history.length));
+  const reply = messages.filter(m => m.role === 'model').map(m => m.content).join('\n');
+  return { ok: !errors.length && (exitCode ?? 0) === 0, output: execOutput ?? capture.join(''), reply, messages, errors, exitCode };
+}
+
+const runCaptured = (line) => captureRun(() => handleInput(line));
+
+// What a command receives besides its words: `rest(n)`, the argument text
+// after the first n words exactly as written (so code, JSON and shell commands
+// keep their quotes and spacing), and `input`, piped or heredoc text. Commands
+// called directly (agent tools, other commands) get this plain version.
+const plainLine = (args) => ({ rest: (n) => args.slice(n).join(' '), input: null });
+
+// Commands that read `input` themselves; any other command gets it as an extra argument
+const READS_INPUT = new Set(['/write', '/edit', '/append', '/exec', '/sandbox', '/task']);
+
+// Runs one stage of a command line: { name, raw } with its input (or null).
+// Inside a model-proposed line (the scope's `approve` is set), the stage needs
+// permission with its final arguments, piped input included. Returns false
+// when the stage was not run.
+async function runCommandStage({ name, raw }, input) {
+  if (!commands[name]) {
+    console.log(chalk.red('Unknown command.'));
+    return emitEvent({ type: 'error', message: `Unknown command: ${name}` });
+  }
+  const refused = state().refuse?.({ name, raw });
+  if (refused) {
+    console.log(chalk.red(refused));
+    emitEvent({ type: 'error', message: refused });
+    return false;
+  }
+  let args = tokenize(raw);
+  let rest = (n) => restAfter(raw, n);
+  if (input !== null && !READS_INPUT.has(name)) {
+    const text = input.trim();
+    const count = args.length;
+    const before = rest;
+    args = [...args, text];
+    rest = (n) => (n > count ? '' : [before(n), text].filter(Boolean).join(' '));
+  }
+  if (stateScope.getStore()?.approve && !(await approveAgentCommand(name, args, { rest, input })).allowed) {
+    console.log(chalk.yellow(`Skipped: ${[name, raw].join(' ').trim()}`));
+    return false;
+  }
+  try {
+    await commands[name](args, { rest, input });
+  } catch (e) {
+    console.log(chalk.red(`Command execution error: ${e.message}`));
+    emitEvent({ type: 'error', message: e.message });
+  }
+}
+
+// Runs a parsed command line. Every stage but the last is captured and its
+// output becomes the next stage's input; a heredoc takes precedence. A stage
+// that is not run ends the pipeline.
+async function runPipeline(stages) {
+  let input = null;
+  for (const [i, stage] of stages.entries()) {
+    const stageInput = stage.input ?? input;
+    if (i === stages.length - 1) return runCommandStage(stage, stageInput);
+    let ran = true;
+    const result = await captureRun(async () => { ran = await runCommandStage(stage, stageInput) !== false; }, { forward: false });
+    if (!ran) return;
+    input = result.output;
+  }
+}
+
+const isCommand = (name) => Object.hasOwn(commands, name);
+
+function saveHistory() {
+  if (!state().session) return;
+  state().session.provider = state().currentProvider;
+  if (state().session.title === DEFAULT_TITLE) {
+    const first = state().history.find(h => h.role === 'user');
+    if (first) state().session.title = first.content.replace(/\s+/g, ' ').trim().substring(0, 50);
+  }
+  try { saveSession(state().session, state().history); }
+  catch (e) { console.log(chalk.red(`Failed to save session: ${e.message}`)); }
+}
+
+function activateSession(meta, sessionHistory) {
+  state().session = meta;
+  state().history = sessionHistory;
+  state().pendingImage = null;
+  if (meta.provider === 'auto' || getProvider(meta.provider)) state().currentProvider = meta.provider;
+  setPrompt();
+}
+
+async function shutdown(code = 0) {
+  saveHistory();
+  killAllJobs();
+  await supervisor.removeAll();
+  process.exit(code);
+}
+
+// API sessions (bex serve): each gets a fresh state, new or resumed from disk.
+function openApiState({ title, provider, resume } = {}) {
+  if (provider && provider !== 'auto' && !getProvider(provider)) throw new Error(`Unknown provider: ${provider}`);
+  const st = newState();
+  const meta = resume ? resolveSession(resume) : createSession({ title: title || DEFAULT_TITLE, provider: provider || st.currentProvider });
+  if (!meta) throw new Error(`Session '${resume}' not found.`);
+  stateScope.run({ state: st }, () => activateSession(meta, resume ? loadSession(meta.id).history : []));
+  if (provider) st.currentProvider = provider;
+  return st;
+}
+
+async function closeApiState(st) {
+  stateScope.run({ state: st }, saveHistory);
+  killAllJobs(st);
+  await supervisor.remove(browserService(st));
+}
+
+async function openMcpClient(label, target) {
+  const client = createMcpClient(label, target);
+  try {
+    await client.connect();
+  } catch (e) {
+    await client.close().catch(() => {});
+    throw e;
+  }
+  return client;
+}
+
+// Connects an MCP server as a supervised service: a dropped connection or
+// failed ping reconnects with backoff. `startServer()` is called when the
+// server cannot be reached; it returns the server's ChildProcess, which is
+// killed when the service is restarted but left running on /quit.
+async function connectMcpServer(label, target, { startServer } = {}) {
+  let server = null;
+  await supervisor.add(`mcp:${label}`, {
+    description: target,
+    start: async (crashed) => {
+      let client;
+      try {
+        client = await openMcpClient(label, target);
+      } catch (e) {
+        if (!startServer) throw e;
+        server = await startServer();
+        server.once('exit', (code, signal) => crashed(new Error(`server exited (${signal || `code ${code}`})`)));
+        client = await openMcpClient(label, target);
+      }
+      client.ondisconnect = crashed;
+      if (mcpServers[label]) await mcpServers[label].close().catch(() => {});
+      mcpServers[label] = client;
+    },
+    check: () => mcpServers[label].ping(),
+    stop: async (reason) => {
+      const client = mcpServers[label];
+      if (reason === 'shutdown') delete mcpServers[label];
+      if (client) client.ondisconnect = null;
+      await client?.close();
+      if (reason === 'restart' && server?.exitCode === null) server.kill();
+    }
+  });
+  return mcpServers[label];
+}
+
+function startFilesServer() {
+  const serverPath = path.join(__dirname, 'mcp-files-server.js');
+  if (!fs.existsSync(serverPath)) throw new Error(`${serverPath} not found`);
+  console.log(chalk.yellow('Starting local MCP server...'));
+  const child = spawn('node', [serverPath, '--root', process.cwd()], {
+    detached: true,
+    stdio: 'ignore',
+    cwd: __dirname
+  });
+  child.unref();
+  return new Promise(resolve => setTimeout(() => resolve(child), 1500));
+}
+
+const formatDuration = (ms) => {
+  const s = Math.max(Math.round(ms / 1000), 0);
+  return s < 60 ? `${s}s` : s < 3600 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${Math.floor(s / 3600)}h ${Math.floor(s % 3600 / 60)}m`;
+};
+
+function describeService({ state, since, nextRetry }) {
+  if (state === 'running') return chalk.green(`running (up ${formatDuration(Date.now() - since)})`);
+  if (state === 'restarting') return chalk.yellow(`restarting (retry in ${formatDuration(nextRetry - Date.now())})`);
+  return chalk.gray(state);
+}
+
+// Re-reads runtime settings after the config was edited with /config.
+function applyConfig() {
+  for (const [name, spec] of Object.entries(getConfig('providers'))) {
+    try { registerProvider(name, spec); }
+    catch (e) { console.log(chalk.red(e.message)); }
+  }
+  const provider = getConfig('currentProvider');
+  if (provider === 'auto' || getProvider(provider)) state().currentProvider = provider;
+  else console.log(chalk.red(`Unknown provider in config: ${provider}`));
+  autoExecute = getConfig('autoExecute');
+  persistentMode = getConfig('persistentMode');
+  contextSettings.budget = getConfig('contextBudget');
+  setPrompt();
+}
+
+// Writes a runtime change back to the config file so it survives restarts.
+function persistConfig(key, value) {
+  try {
+    const scope = setConfig(key, value);
+    if (configSource(key.split('.')[0]) === 'env') console.log(chalk.gray(`(saved to ${scope} config, but an environment variable overrides ${key})`));
+  } catch (e) { console.log(chalk.red(`Could not save ${key} to config: ${e.message}`)); }
+}
+
+// Checkpoint Helpers
+const MCP_PATH_ARGUMENTS = ['filename', 'path', 'file', 'source', 'destination'];
+const MUTATING_MCP_TOOL = /write|append|edit|move|rename|delete|remove|create|mkdir/i;
+
+// Checkpoints belong to the session; runs without one share a scratch store.
+const checkpointStore = () => state().session?.id || 'no-session';
+
+// Saves `files` as they are now, before `label` changes them, so /undo can
+// bring them back. A failure is reported but does not stop the command.
+function checkpointFiles(label, files) {
+  try { return createCheckpoint(checkpointStore(), { label, files }); }
+  catch (e) {
+    console.log(chalk.yellow(`⚠️ Could not checkpoint ${files.join(', ')}: ${e.message}`));
+    return null;
+  }
+}
+
+// Local paths an MCP call may change: string path arguments of a tool that is
+// not marked read-only, when they point inside the working directory (where
+// the bundled files server is rooted).
+async function mcpCallPaths(client, tool, toolArgs) {
+  const info = (await client.listTools().catch(() => [])).find(t => t.name === tool);
+  const readOnly = info?.annotations?.readOnlyHint ?? !MUTATING_MCP_TOOL.test(tool);
+  if (readOnly) return [];
+  return MCP_PATH_ARGUMENTS.map(key => toolArgs[key])
+    .filter(value => typeof value === 'string' && value)
+    .map(value => path.resolve(process.cwd(), value))
+    .filter(abs => !path.relative(process.cwd(), abs).startsWith('..'));
+}
+
+const relativePath = (abs) => path.relative(process.cwd(), abs) || '.';
+
+function reportRestore({ restored, removed, failed }) {
+  restored.forEach(file => console.log(chalk.green(`  restored ${relativePath(file)}`)));
+  removed.forEach(file => console.log(chalk.green(`  removed  ${relativePath(file)}`)));
+  failed.forEach(({ path: file, error }) => console.log(chalk.red(`  failed   ${relativePath(file)}: ${error}`)));
+  if (!restored.length && !removed.length && !failed.length) console.log(chalk.gray('  (files already as they were)'));
+}
+
+// Files changed by the checkpoints after `sinceId`, with how to roll them back.
+function summarizeCheckpoints(sinceId) {
+  const made = listCheckpoints(checkpointStore()).filter(c => c.id > sinceId);
+  const first = new Map(); // Earliest entry per path tells what the file was before
+  made.forEach(c => c.files.forEach(f => { if (!f.directory && !first.has(f.path)) first.set(f.path, f); }));
+  const changes = [...first.values()].map(f => ({ path: relativePath(f.path), change: describeChange(f) })).filter(c => c.change !== 'unchanged');
+  if (!changes.length) return null;
+  console.log(chalk.cyan(`\nFiles changed by this task (checkpoints ${made[0].id}–${made.at(-1).id}):`));
+  changes.forEach(({ path: file, change }) => console.log(`  ${chalk.yellow(change.padEnd(8))} ${file}`));
+  console.log(chalk.gray(`Roll back with /undo ${made.length} or /restore ${made[0].id}.`));
+  return { checkpoints: made.map(c => c.id), changes };
+}
+
+// Git Helpers
+// Adds git output to history, cut to gitHistoryChars.
+function pushGitOutput(label, text, hint) {
+  const limit = getConfig('gitHistoryChars');
+  if (!limit) return;
+  const shown = text.length > limit ? `${text.slice(0, limit)}\n[... ${text.length - limit} more characters; ${hint}]` : text;
+  state().history.push({ role: 'system', content: `Output of /git ${label}:\n${shown}` });
+}
+
+// Files (absolute paths) that switching to `branch` overwrites, or [] when git
+// cannot tell; the checkout itself then reports the problem.
+async function branchChanges(branch) {
+  try {
+    const [root, names] = await Promise.all([
+      runGit(['rev-parse', '--show-toplevel']),
+      runGit(['diff', '--name-only', '-z', 'HEAD', branch, '--'])
+    ]);
+    return names.split('\0').filter(Boolean).map(name => path.join(root.trim(), name));
+  } catch (e) {
+    return [];
+  }
+}
+
+async function draftCommitMessage(diff, spinner) {
+  const [stat, log, branch] = await Promise.all([
+    runGit(['diff', '--staged', '--stat']),
+    runGit(['log', '--oneline', '-10']).catch(() => ''), // No commits yet
+    runGit(['branch', '--show-current']).catch(() => '')
+  ]);
+  const { text } = await askProvider(commitMessageRequest(diff, { stat: stat.trim(), log: log.trim(), branch: branch.trim() }), spinner);
+  return cleanCommitMessage(text);
+}
+
+// Lets the user change a drafted message: in the terminal with git's editor
+// (core.editor, $GIT_EDITOR, $VISUAL or $EDITOR), elsewhere by typing a new one.
+async function editCommitMessage(message) {
+  if (interactive && process.stdin.isTTY) {
+    const file = path.resolve((await runGit(['rev-parse', '--git-path', 'BEX_COMMIT_EDITMSG'])).trim());
+    await fs.promises.writeFile(file, `${message}\n\n# Edit the commit message. Lines starting with # are ignored;\n# an empty message cancels the commit.\n`);
+    const editor = (await runGit(['var', 'GIT_EDITOR'])).trim();
+    rl.pause();
+    const result = spawnSync(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+    rl.resume();
+    if (result.status !== 0) throw new Error(`Editor exited with ${result.error?.message || `code ${result.status}`}`);
+    const edited = await fs.promises.readFile(file, 'utf8');
+    await fs.promises.rm(file, { force: true });
+    return cleanCommitMessage(edited.split('\n').filter(line => !line.startsWith('#')).join('\n'));
+  }
+  const answer = await askUser(chalk.yellow('New commit message (\\n for a line break; empty cancels): '), { raw: true });
+  return cleanCommitMessage(answer.replace(/\\n/g, '\n'));
+}
+
+// /git commit [-m <message>] [--yes]: commits the staged changes. Without -m
+// the current provider drafts a message, which can be accepted, edited or redrafted.
+async function gitCommit(args) {
+  const m = args.findIndex(a => a === '-m' || a === '--message');
+  const yes = args.includes('--yes') || args.includes('-y');
+  let message = m === -1 ? null : args.slice(m + 1).filter(a => a !== '--yes' && a !== '-y').join(' ');
+  if (m !== -1 && !message) return console.log(chalk.red('Usage: /git commit [-m <message>] [--yes]'));
+
+  const diff = await runGit(['diff', '--staged', '--no-color']);
+  if (!diff.trim()) return console.log(chalk.yellow('Nothing staged to commit. Stage changes with /git add <path> first.'));
+
+  while (!message) {
+    const spinner = ora('Drafting commit message...').start();
+    let draft;
+    try { draft = await draftCommitMessage(diff, spinner); }
+    catch (e) { return spinner.fail(chalk.red(`❌ Could not draft a commit message: ${e.message}`)); }
+    spinner.stop();
+    if (!draft) return console.log(chalk.red('❌ The provider returned an empty commit message.'));
+    console.log(chalk.cyan('\nCommit message:'));
+    console.log(draft.split('\n').map(line => chalk.white(`  ${line}`)).join('\n') + '\n');
+    const answer = yes ? 'y' : await askUser(chalk.yellow('Commit with this message? [y]es / [e]dit / [r]edraft / [n]o: '));
+    if (answer === 'y' || answer === 'yes') message = draft;
+    else if (answer === 'e' || answer === 'edit') {
+      message = await editCommitMessage(draft);
+      if (!message) return console.log(chalk.gray('Empty message; commit cancelled.'));
+    } else if (answer !== 'r' && answer !== 'redraft') {
+      return console.log(chalk.gray('Commit cancelled. Use /git commit -m "<message>" to commit with your own message.'));
+    }
+  }
+
+  const output = await runGit(['commit', '-m', message]);
+  const summary = output.split('\n').find(line => line.startsWith('[')) || output.trim();
+  console.log(chalk.green(`✅ ${summary}`));
+  state().history.push({ role: 'system', content: `Committed the staged changes: ${summary}` });
 }
 
 // Command Handlers
@@ -223,26 +874,40 @@ const commands = {
     });
 
     table.push(
-      [chalk.yellow('/provider [name]'), 'Switch AI (google, deepseek, auto)'],
+      [chalk.yellow('/provider [name]'), 'List/switch AI providers or add one'],
       [chalk.yellow('/status'), 'Show current status and services'],
       [chalk.yellow('/persistent'), 'Toggle persistent mode'],
       [chalk.yellow('/quit'), 'Exit the application'],
       [chalk.yellow('/clear'), 'Clear conversation context'],
+      [chalk.yellow('/session [cmd]'), 'List/new/switch/fork/rename/delete'],
+      [chalk.yellow('/context'), 'Show/compact what is sent to the AI'],
       [chalk.yellow('/ls [path]'), 'List files in directory'],
       [chalk.yellow('/read <file>'), 'Read file to context'],
       [chalk.yellow('/write <f> <txt>'), 'Write to file (overwrite)'],
+      [chalk.yellow('/edit <f> <<EOF'), 'Search/replace blocks or a diff, with preview'],
       [chalk.yellow('/append <f> <txt>'), 'Append content to file'],
+      [chalk.yellow('/cmd <<EOF … EOF'), 'Heredoc: following lines up to EOF are the input'],
+      [chalk.yellow('/cmd … | /cmd …'), 'Pipe output into the next command'],
       [chalk.yellow('/delete <file>'), 'Delete file'],
       [chalk.yellow('/rename <o> <n>'), 'Rename file'],
+      [chalk.yellow('/checkpoint list'), 'List file checkpoints'],
+      [chalk.yellow('/undo [n]'), 'Revert the last n file changes'],
+      [chalk.yellow('/restore <id>'), 'Restore files to before a checkpoint'],
       [chalk.yellow('/save [file]'), 'Save chat history'],
       [chalk.yellow('/google <query>'), 'Search Google'],
       [chalk.yellow('/download <url>'), 'Download file'],
       [chalk.yellow('/image <file>'), 'Attach image (Gemini only)'],
-      [chalk.yellow('/sandbox <js>'), 'Run JS in sandbox'],
-      [chalk.yellow('/exec <cmd>'), 'Execute system command'],
+      [chalk.yellow('/sandbox <js>'), 'Run JS in an isolated process'],
+      [chalk.yellow('/exec <cmd> [&]'), 'Run command (& = background job)'],
+      [chalk.yellow('/jobs'), 'List background jobs'],
+      [chalk.yellow('/logs <id> [n]'), 'Show last lines of a job'],
+      [chalk.yellow('/wait <id> [s]'), 'Wait for a job to finish'],
+      [chalk.yellow('/kill <id>'), 'Stop a background job'],
       [chalk.yellow('/task <goal>'), 'Agentic plan & execute'],
       [chalk.yellow('/auto'), 'Toggle auto-execution mode'],
-      [chalk.yellow('/workflow <file>'), 'Run batch commands'],
+      [chalk.yellow('/permissions'), 'Allow/ask/deny rules for agent actions'],
+      [chalk.yellow('/config [get|set|reset]'), 'Show or change saved settings'],
+      [chalk.yellow('/workflow <file> [--dry-run]'), 'Run a workflow file'],
       [chalk.yellow('/browser'), 'Launch browser automation'],
       [chalk.yellow('/url <url>'), 'Fetch website text'],
       [chalk.yellow('/open <url>'), 'Open in system browser'],
@@ -252,14 +917,17 @@ const commands = {
       [chalk.yellow('/dump'), 'Dump page content to context'],
       [chalk.yellow('/screenshot'), 'Save browser screenshot'],
       [chalk.yellow('/mcp_list'), 'List MCP servers'],
-      [chalk.yellow('/mcp_add <n> <u>'), 'Add MCP server'],
-      [chalk.yellow('/mcp_tools'), 'List available MCP tools'],
-      [chalk.yellow('/mcp_call <n> <t>'), 'Call MCP tool'],
+      [chalk.yellow('/mcp_add <n> <u|cmd>'), 'Connect MCP server (HTTP or stdio)'],
+      [chalk.yellow('/mcp_tools [n]'), 'List available MCP tools'],
+      [chalk.yellow('/mcp_call <n> <t>'), 'Call MCP tool (JSON or key=value)'],
       [chalk.yellow('/multiline'), 'Toggle multiline input mode'],
-      [chalk.yellow('/grep <pattern> [file]'), 'Search for text patterns'],
-      [chalk.yellow('/glob <pattern>'), 'Find files using glob patterns'],
-      [chalk.yellow('/git <cmd>'), 'Git repository operations'],
-      [chalk.yellow('/project'), 'Analyze project structure'],
+      [chalk.yellow('/grep [-E] [-i] [-C n] <pattern> [path]'), 'Search files (regex, context, globs)'],
+      [chalk.yellow('/glob <pattern> [!excl]'), 'Find files by glob, newest first'],
+      [chalk.yellow('/git <status|log|diff>'), 'Git status, history and full diffs'],
+      [chalk.yellow('/git <show|blame|branch>'), 'Inspect commits, lines and branches'],
+      [chalk.yellow('/git add|checkout|commit'), 'Stage, switch, commit (drafts message)'],
+      [chalk.yellow('/project'), 'Index the project and add a repo map'],
+      [chalk.yellow('/retrieve [query|on|off]'), 'Preview or toggle code retrieval'],
       [chalk.yellow('/memory'), 'Discover memory/documentation files']
     );
 
@@ -274,9 +942,9 @@ const commands = {
       style: { head: ['cyan'], border: ['blue'] }
     });
     table.push(
-      [chalk.green('General'), '/help, /menu, /quit, /clear, /save, /provider, /auto, /status, /persistent'],
-      [chalk.yellow('File System'), '/ls, /read, /write, /append, /delete, /rename, /download'],
-      [chalk.magenta('System & Agent'), '/exec, /task, /workflow, /image, /sandbox'],
+      [chalk.green('General'), '/help, /menu, /quit, /clear, /session, /context, /config, /save, /provider, /auto, /permissions, /status, /persistent'],
+      [chalk.yellow('File System'), '/ls, /read, /write, /edit, /append, /delete, /rename, /download, /checkpoint, /undo, /restore'],
+      [chalk.magenta('System & Agent'), '/exec, /jobs, /logs, /wait, /kill, /task, /workflow, /image, /sandbox'],
       [chalk.blue('Web Browsing'), '/browser, /visit, /url, /google, /click, /type, /dump, /screenshot'],
       [chalk.red('MCP'), '/mcp_list, /mcp_add, /mcp_tools, /mcp_call']
     );
@@ -285,38 +953,56 @@ const commands = {
   },
   '/quit': async () => {
     console.log(chalk.yellow('Shutting down services...'));
-    if (browser) {
-      await browser.close();
-      activeServices.browser = false;
-    }
-    if (activeServices.mcp) {
-      // MCP server cleanup would go here
-      activeServices.mcp = false;
-    }
-    process.exit(0);
+    await shutdown();
   },
   '/clear': () => {
-    history = [];
-    pendingImage = null;
-    if (fs.existsSync(MEMORY_FILE)) fs.unlinkSync(MEMORY_FILE);
-    console.log(chalk.gray('Memory cleared.'));
+    state().history = [];
+    state().pendingImage = null;
+    saveHistory();
+    console.log(chalk.gray(`Memory cleared for session ${state().session?.id}.`));
   },
   '/provider': (args) => {
     const p = args[0]?.toLowerCase();
-    if (['google', 'deepseek', 'auto'].includes(p)) {
-      currentProvider = p;
-      console.log(chalk.green(`Switched to ${p}`));
-      setPrompt();
-    } else {
-      console.log(chalk.red('Invalid provider. Options: google, deepseek, auto'));
+    if (!p) {
+      const table = new Table({ head: ['Provider', 'Model', 'Base URL', 'Key', 'Capabilities'] });
+      listProviders().forEach(provider => {
+        const caps = Object.entries(provider.spec.capabilities).filter(([, v]) => v).map(([k]) => k).join(', ');
+        const key = provider.spec.keyOptional ? 'optional' : provider.available ? chalk.green('set') : chalk.red(`missing ${provider.spec.keyEnv}`);
+        const name = provider.name === state().currentProvider ? chalk.green(`${provider.name} *`) : provider.name;
+        table.push([name, provider.model, provider.spec.baseURL || '-', key, caps]);
+      });
+      console.log(table.toString());
+      return console.log(chalk.gray('Usage: /provider <name|auto> [model] | /provider add <name> <baseURL> <model> [keyEnv]'));
+    }
+    if (p === 'add') {
+      const [, name, baseURL, model, keyEnv] = args;
+      if (!name || !baseURL || !model) return console.log(chalk.red('Usage: /provider add <name> <baseURL> <model> [keyEnv]'));
+      try {
+        const spec = { kind: 'openai', baseURL, model, ...(keyEnv ? { keyEnv } : {}), keyOptional: !keyEnv };
+        registerProvider(name, spec);
+        persistConfig(`providers.${name}`, spec);
+        console.log(chalk.green(`Registered OpenAI-compatible provider ${name} (${model} @ ${baseURL})`));
+      } catch (e) { console.log(chalk.red(e.message)); }
+      return;
+    }
+    if (p !== 'auto' && !getProvider(p)) {
+      return console.log(chalk.red(`Invalid provider. Options: ${listProviders().map(x => x.name).join(', ')}, auto`));
+    }
+    state().currentProvider = p;
+    persistConfig('currentProvider', p);
+    if (args[1] && p !== 'auto') {
+      getProvider(p).spec.model = args[1];
+      if (getConfig(`providers.${p}`)) persistConfig(`providers.${p}.model`, args[1]);
     }
+    console.log(chalk.green(`Switched to ${p}${p !== 'auto' ? ` (${getProvider(p).model})` : ''}`));
+    setPrompt();
   },
   '/ls': async (args) => {
     const dir = args[0] || '.';
     try {
       const files = await fs.promises.readdir(dir);
       console.log(chalk.cyan(files.join('\n')));
-      history.push({ role: 'system', content: `Output of /ls ${dir}:\n${files.join(', ')}` });
+      state().history.push({ role: 'system', content: `Output of /ls ${dir}:\n${files.join(', ')}` });
     } catch (e) { console.log(chalk.red(e.message)); }
   },
   '/read': async (args) => {
@@ -324,26 +1010,46 @@ const commands = {
     try {
       const content = await fs.promises.readFile(args[0], 'utf8');
       console.log(chalk.gray(`Read ${content.length} chars.`));
-      history.push({ role: 'system', content: `File ${args[0]} content:\n${content}` });
+      state().history.push({ role: 'system', content: `File ${args[0]} content:\n${content}` });
     } catch (e) { console.log(chalk.red(e.message)); }
   },
-  '/write': async (args) => {
-    if (!args[0]) return console.log(chalk.red('Usage: /write <file> <content>'));
+  '/write': async (args, line = plainLine(args)) => {
+    if (!args[0]) return console.log(chalk.red('Usage: /write <file> <content>  (or <<EOF ... EOF, or piped input)'));
     const file = args[0];
-    const content = args.slice(1).join(' ');
+    const content = unquote(line.rest(1)) || (line.input ?? '');
     try {
+      checkpointFiles(`/write ${file}`, [file]);
       await fs.promises.writeFile(file, content);
       console.log(chalk.green(`Wrote to ${file}`));
     } catch (e) { console.log(chalk.red(e.message)); }
   },
-  '/append': async (args) => {
-    if (args.length < 2) return console.log(chalk.red('Usage: /append <file> <content>'));
+  '/edit': async (args, line = plainLine(args)) => {
+    const { file, text, dryRun } = editArguments(args, line);
+    if (!file || !text.trim()) {
+      return console.log(chalk.red('Usage: /edit [--dry-run] <file> <<EOF … EOF  (search/replace blocks or a unified diff; see /help)'));
+    }
+    let edit;
+    try { edit = await prepareEdit(file, text); }
+    catch (e) { return console.log(chalk.red(`❌ ${e.message}`)); }
+    if (!edit.diff) return console.log(chalk.gray(`No changes to ${file}.`));
+    console.log(formatDiff(edit.diff));
+    const counts = `+${edit.added} -${edit.removed}`;
+    if (dryRun) return console.log(chalk.gray(`Dry run: ${file} not changed (${counts}).`));
+    try {
+      checkpointFiles(`/edit ${file}`, [file]);
+      await fs.promises.writeFile(file, edit.content);
+      console.log(chalk.green(`${edit.created ? 'Created' : 'Edited'} ${file} (${counts})`));
+    } catch (e) { console.log(chalk.red(e.message)); }
+  },
+  '/append': async (args, line = plainLine(args)) => {
+    const content = unquote(line.rest(1)) || (line.input?.replace(/\n$/, '') ?? '');
+    if (!args[0] || !content) return console.log(chalk.red('Usage: /append <file> <content>  (or <<EOF ... EOF, or piped input)'));
     const file = args[0];
-    const content = args.slice(1).join(' ');
     try {
+      checkpointFiles(`/append ${file}`, [file]);
       await fs.promises.appendFile(file, '\n' + content);
       console.log(chalk.green(`Appended to ${file}`));
-      history.push({ role: 'system', content: `Appended content to ${file}` });
+      state().history.push({ role: 'system', content: `Appended content to ${file}` });
     } catch (e) { console.log(chalk.red(e.message)); }
   },
   '/delete': async (args) => {
@@ -359,33 +1065,64 @@ const commands = {
 
     // Confirmation prompt with better styling
     console.log(chalk.yellow(`\n⚠️  WARNING: This will permanently delete '${chalk.bold(file)}'`));
-    const rlConfirm = readline.createInterface({ input: process.stdin, output: process.stdout });
-    rlConfirm.question(chalk.red('Are you sure? Type the filename to confirm: '), async (answer) => {
-      rlConfirm.close();
-      if (answer === file) {
-        const spinner = ora('Deleting file...').start();
-        try {
-          await fs.promises.unlink(file);
-          spinner.succeed(chalk.green(`✅ Deleted ${file}`));
-        } catch (e) {
-          spinner.fail(chalk.red(`❌ Failed to delete: ${e.message}`));
-        }
-      } else {
-        console.log(chalk.gray('❌ Deletion cancelled.'));
-      }
-      promptUser();
-    });
+    const answer = await askUser(chalk.red('Are you sure? Type the filename to confirm: '), { raw: true });
+    if (answer.trim() !== file) return console.log(chalk.gray('❌ Deletion cancelled.'));
+    const spinner = ora('Deleting file...').start();
+    try {
+      checkpointFiles(`/delete ${file}`, [file]);
+      await fs.promises.unlink(file);
+      spinner.succeed(chalk.green(`✅ Deleted ${file}`));
+    } catch (e) {
+      spinner.fail(chalk.red(`❌ Failed to delete: ${e.message}`));
+    }
   },
   '/rename': async (args) => {
     if (args.length < 2) return console.log(chalk.red('Usage: /rename <old> <new>'));
     try {
+      checkpointFiles(`/rename ${args[0]} ${args[1]}`, [args[0], args[1]]);
       await fs.promises.rename(args[0], args[1]);
       console.log(chalk.green(`Renamed ${args[0]} to ${args[1]}`));
     } catch (e) { console.log(chalk.red(e.message)); }
   },
+  '/checkpoint': (args) => {
+    const [sub = 'list'] = args;
+    if (sub !== 'list') return console.log(chalk.red('Usage: /checkpoint list'));
+    const checkpoints = listCheckpoints(checkpointStore());
+    if (!checkpoints.length) return console.log(chalk.gray('No checkpoints yet. Commands that change files create them.'));
+    const table = new Table({ head: ['ID', 'Command', 'Files', 'Created'] });
+    checkpoints.forEach(c => {
+      const files = c.files.map(f => relativePath(f.path) + (f.existed ? '' : ' (new)') + (f.skipped ? ` (not saved: ${f.skipped})` : ''));
+      table.push([c.id, c.label, files.slice(0, 5).join('\n') + (files.length > 5 ? `\n… ${files.length - 5} more` : ''), new Date(c.created).toLocaleString()]);
+    });
+    console.log(table.toString());
+    console.log(chalk.gray('/undo [n] reverts the last n checkpoints; /restore <id> returns files to how they were before <id>.'));
+  },
+  '/undo': (args) => {
+    const count = args[0] === undefined ? 1 : Number(args[0]);
+    if (!Number.isInteger(count) || count < 1) return console.log(chalk.red('Usage: /undo [n]  (n = number of checkpoints, default 1)'));
+    try {
+      const result = undoCheckpoints(checkpointStore(), count);
+      if (!result.checkpoints.length) return console.log(chalk.gray('Nothing to undo.'));
+      result.checkpoints.slice().reverse().forEach(c => console.log(chalk.cyan(`Undid checkpoint ${c.id}: ${c.label}`)));
+      reportRestore(result);
+      state().history.push({ role: 'system', content: `The user undid ${result.checkpoints.map(c => c.label).join(', ')}; files were restored: ${[...result.restored, ...result.removed].map(relativePath).join(', ') || 'none'}.` });
+    } catch (e) { console.log(chalk.red(e.message)); }
+  },
+  '/restore': (args) => {
+    const id = Number(args[0]);
+    if (!Number.isInteger(id)) return console.log(chalk.red('Usage: /restore <checkpoint id>  (see /checkpoint list)'));
+    try {
+      const result = restoreCheckpoint(checkpointStore(), id);
+      if (!result) return console.log(chalk.red(`No checkpoint ${id}. See /checkpoint list.`));
+      console.log(chalk.cyan(`Restored files to before checkpoint ${id} (saved the current state as checkpoint ${result.checkpoint.id}; /undo reverts this):`));
+      reportRestore(result);
+      state().history.push({ role: 'system', content: `The user restored files to before checkpoint ${id}: ${[...result.restored, ...result.removed].map(relativePath).join(', ') || 'none'}.` });
+    } catch (e) { console.log(chalk.red(e.message)); }
+  },
   '/save': async (args) => {
     const file = args[0] || `bex-history-${Date.now()}.md`;
-    const content = history.map(h => `**${h.role.toUpperCase()}**:\n${h.content}\n`).join('---\n');
+    const content = state().history.map(h => `**${h.role.toUpperCase()}**:\n${h.content}\n`).join('---\n');
+    checkpointFiles(`/save ${file}`, [file]);
     await fs.promises.writeFile(file, content);
     console.log(chalk.green(`Saved history to ${file}`));
   },
@@ -396,6 +1133,7 @@ const commands = {
     try {
       const res = await fetch(url);
       const buffer = await res.arrayBuffer();
+      checkpointFiles(`/download ${filename}`, [filename]);
       await fs.promises.writeFile(filename, Buffer.from(buffer));
       console.log(chalk.green(`Downloaded ${filename}`));
     } catch (e) { console.log(chalk.red(e.message)); }
@@ -405,150 +1143,425 @@ const commands = {
     try {
       const mimeType = mime.lookup(args[0]) || 'image/png';
       const data = await fs.promises.readFile(args[0]);
-      pendingImage = { inlineData: { data: data.toString('base64'), mimeType } };
+      state().pendingImage = { inlineData: { data: data.toString('base64'), mimeType } };
       console.log(chalk.green('Image attached to next prompt.'));
     } catch (e) { console.log(chalk.red(e.message)); }
   },
-  '/sandbox': (args) => {
-    const code = args.join(' ');
+  '/sandbox': async (args, line = plainLine(args)) => {
+    const code = line.rest(0) || (line.input ?? '');
+    if (!code.trim()) return console.log(chalk.red('Usage: /sandbox <js>'));
+    if (!isIsolated()) console.log(chalk.yellow('This Node version has no permission model; the sandbox only limits time and memory.'));
+    const run = await runSandbox(code, getConfig('sandbox'), ({ level, text }) => {
+      console.log(chalk.gray('[sandbox]'), level === 'error' || level === 'warn' ? chalk.red(text) : text);
+    });
+    if (run.error) console.log(chalk.red(`Sandbox ${run.limit ? 'limit' : 'error'}: ${run.error}`));
+    else if (run.result !== undefined) console.log(chalk.cyan('=>'), run.result);
+    const output = run.logs.map(l => (l.level === 'log' ? l.text : `[${l.level}] ${l.text}`)).join('\n');
+    state().history.push({
+      role: 'system',
+      content: `Sandbox run (${run.durationMs} ms):\n\`\`\`js\n${code}\n\`\`\`\n${output ? `Output:\n${output}\n` : ''}${run.error ? `Error: ${run.error}` : `Result: ${run.result ?? 'undefined'}`}`
+    });
+  },
+  '/exec': async (args, line = plainLine(args)) => {
+    let timeoutMs = getConfig('execTimeoutMs');
+    const explicitTimeout = args[0] === '--timeout';
+    if (explicitTimeout) {
+      const seconds = Number(args[1]);
+      if (!(seconds >= 0)) return console.log(chalk.red('Usage: /exec [--timeout <seconds>] <cmd> [&]'));
+      timeoutMs = seconds * 1000;
+    }
+    let cmd = line.rest(explicitTimeout ? 2 : 0).trim(); // Passed to the shell as written
+    const background = /[^&]&$/.test(cmd) || cmd === '&';
+    if (background) cmd = cmd.slice(0, -1).trim();
+    if (!cmd) return console.log(chalk.red('Usage: /exec [--timeout <seconds>] <cmd> [&]'));
+
+    if (background) {
+      const job = startJob(cmd, {
+        timeoutMs: explicitTimeout ? timeoutMs : 0, // Background jobs only time out when asked to
+        owner: state(),
+        onExit: (j) => console.log(chalk.gray(`\n[job ${j.id}] ${describeJobStatus(j)}: ${j.command}`))
+      });
+      console.log(chalk.green(`[job ${job.id}] started (pid ${job.pid}): ${cmd}`));
+      state().history.push({ role: 'system', content: `Started background job ${job.id}: ${cmd}. Use /logs ${job.id} to read its output, /wait ${job.id} to wait for it, /kill ${job.id} to stop it.` });
+      return;
+    }
+
+    const controller = new AbortController();
+    state().activeGeneration = controller;
     try {
-      runSandboxed(code);
-    } catch (e) {
-      console.log(chalk.red('Sandbox error:'), e.message);
+      const run = await runCommand(cmd, {
+        timeoutMs,
+        signal: controller.signal,
+        input: line.input, // Piped or heredoc input becomes stdin
+        onOutput: (text, stream) => process.stdout.write(stream === 'stderr' ? chalk.red(text) : text)
+      });
+      const status = run.error ? `failed: ${run.error}`
+        : run.timedOut ? `timed out after ${timeoutMs / 1000}s`
+        : run.cancelled ? 'cancelled'
+        : run.signal ? `killed by ${run.signal}` : `exited with code ${run.code}`;
+      const color = run.code === 0 ? chalk.gray : chalk.yellow;
+      console.log(color(`[${status}, ${(run.durationMs / 1000).toFixed(1)}s]`));
+      const output = run.output.length > MAX_EXEC_HISTORY_CHARS ? `[... earlier output omitted ...]\n${run.output.slice(-MAX_EXEC_HISTORY_CHARS)}` : run.output;
+      state().history.push({ role: 'system', content: `Command '${cmd}' ${status}. Output:\n${output}` });
+      emitEvent({ type: 'exec_result', command: cmd, code: run.code, status, output: run.output && `${run.output}\n` });
+    } finally {
+      state().activeGeneration = null;
     }
   },
-  '/exec': async (args) => {
-    const cmd = args.join(' ');
-    const spinner = ora('Executing...').start();
+  '/jobs': () => {
+    const jobs = listJobs(state());
+    if (jobs.length === 0) return console.log(chalk.gray('No background jobs. Start one with /exec <cmd> &'));
+    const table = new Table({ head: ['ID', 'PID', 'Status', 'Started', 'Command'] });
+    jobs.forEach(job => table.push([job.id, job.pid ?? '-', describeJobStatus(job), job.started.toLocaleTimeString(), job.command.substring(0, 60)]));
+    console.log(table.toString());
+  },
+  '/kill': (args) => {
+    const job = getJob(args[0], state());
+    if (!job) return console.log(chalk.red('Usage: /kill <job id>'));
+    if (!killJob(job)) return console.log(chalk.gray(`Job ${job.id} is not running (${describeJobStatus(job)}).`));
+    console.log(chalk.yellow(`Stopping job ${job.id}: ${job.command}`));
+  },
+  '/logs': (args) => {
+    const job = getJob(args[0], state());
+    if (!job) return console.log(chalk.red('Usage: /logs <job id> [lines]'));
+    const lines = Number(args[1]) || 50;
+    const text = job.output.tail(lines);
+    console.log(chalk.cyan(`[job ${job.id}] ${describeJobStatus(job)}: ${job.command}`));
+    console.log(text || chalk.gray('(no output yet)'));
+    state().history.push({ role: 'system', content: `Job ${job.id} (${job.command}, ${describeJobStatus(job)}) — last ${lines} lines:\n${text || '(no output yet)'}` });
+  },
+  '/wait': async (args) => {
+    const job = getJob(args[0], state());
+    if (!job) return console.log(chalk.red('Usage: /wait <job id> [seconds]'));
+    const seconds = Math.min(Number(args[1]) || MAX_WAIT_SECONDS, MAX_WAIT_SECONDS);
+    const controller = new AbortController();
+    state().activeGeneration = controller;
+    const spinner = ora(`Waiting for job ${job.id}...`).start();
     try {
-      const { stdout, stderr } = await execAsync(cmd);
-      spinner.stop();
-      if (stdout) console.log(stdout);
-      if (stderr) console.error(chalk.red(stderr));
-      history.push({ role: 'system', content: `Command '${cmd}' output:\n${stdout}\n${stderr}` });
-    } catch (e) {
+      const finished = await waitJob(job, { timeoutMs: seconds * 1000, signal: controller.signal });
       spinner.stop();
-      console.log(chalk.red(e.message));
+      const status = finished ? describeJobStatus(job) : 'still running';
+      console.log(chalk.cyan(`[job ${job.id}] ${status}: ${job.command}`));
+      const tail = job.output.tail(20);
+      if (finished && tail) console.log(tail);
+      state().history.push({ role: 'system', content: `Job ${job.id} (${job.command}): ${status}.${finished && tail ? ` Last lines:\n${tail}` : ''}` });
+    } finally {
+      state().activeGeneration = null;
     }
   },
-  '/task': async (args) => {
-    const goal = args.join(' ');
+  '/task': async (args, line = plainLine(args)) => {
+    const text = unquote(line.rest(0));
+    const goal = line.input === null ? text : combinePrompt(text, line.input);
     
     // Refresh instructions
     SYSTEM_INSTRUCTIONS = getSystemInstructions();
-    if (GOOGLE_API_KEY && genAI) {
-      geminiModel = genAI.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        systemInstruction: SYSTEM_INSTRUCTIONS
-      });
-    }
 
     console.log(chalk.yellow(`🤖 Agent starting: ${goal}`));
     
-    history.push({ role: 'user', content: `GOAL: ${goal}\n\nYou are an autonomous agent. Execute the task step-by-step.
-AVAILABLE COMMANDS:
-- /exec <cmd>: Run shell command
-- /read <file>: Read file
-- /write <file> <content>: Write file (creates/overwrites)
-- /append <file> <content>: Append to file
-- /ls [path]: List files
-- /browser: Open browser
-- /visit <url>: Visit website
-- /dump: Get page text
-- /click <selector>: Click element
-- /type <selector> <text>: Type text
-- /google <query>: Search Google
-- /done: Task complete
-
-INSTRUCTIONS:
-1. Output ONE command at a time.
-2. Wait for the result (SYSTEM INFO).
-3. If the goal is achieved, output "/done".
-4. Do not output markdown blocks for commands, just the command text.
-` });
+    state().history.push({ role: 'user', content: `GOAL: ${goal}
+
+You are an autonomous agent. Execute the task step-by-step using the provided tools.
+Call one or more tools per turn, inspect their results, and continue until the goal is achieved.
+When the goal is achieved (or cannot be achieved), call the "done" tool with a short summary.` });
 
     let step = 0;
-    const maxSteps = 20;
+    const maxSteps = state().maxSteps ?? getConfig('maxSteps');
+    const lastCheckpoint = listCheckpoints(checkpointStore()).at(-1)?.id ?? 0;
 
     while (step++ < maxSteps) {
       const spinner = ora(`Agent Step ${step}...`).start();
+      let turn;
       try {
-        let response = '';
-        if (currentProvider === 'deepseek' || (currentProvider === 'auto' && !geminiModel)) {
-          if (!deepseek) throw new Error('DeepSeek API Key missing.');
-          const completion = await deepseek.chat.completions.create({
-            messages: [
-              { role: 'system', content: SYSTEM_INSTRUCTIONS },
-              ...history.map(h => ({ role: h.role === 'model' ? 'assistant' : h.role === 'system' ? 'user' : h.role, content: h.content }))
-            ],
-            model: 'deepseek-chat'
-          });
-          response = completion.choices[0].message.content;
+        await ensureContextBudget(spinner);
+        const last = state().history.findLast(h => h.role === 'model');
+        const query = [goal, last?.content, ...(last?.toolCalls || []).map(call => JSON.stringify(call.args))].filter(Boolean).join('\n');
+        const turns = await withRetrievedCode(state().history, query, spinner);
+        turn = await streamReply({ history: turns, tools: true }, spinner, chalk.magenta('Agent › '));
+      } catch (e) {
+        spinner.fail(e.message);
+        emitEvent({ type: 'error', message: e.message });
+        break;
+      }
+
+      if (turn.cancelled) {
+        if (turn.text) state().history.push({ role: 'model', content: `${turn.text}\n[cancelled by user]` });
+        console.log(chalk.yellow('Agent task cancelled.'));
+        break;
+      }
+      state().history.push({ role: 'model', content: turn.text, toolCalls: turn.toolCalls });
+
+      if (turn.toolCalls.length === 0) {
+        console.log(chalk.green('Agent finished without further tool calls.'));
+        break;
+      }
+
+      let finished = false;
+      for (const call of turn.toolCalls) {
+        let output;
+        emitEvent({ type: 'tool_call', id: call.id, name: call.name, args: call.args });
+        if (call.name === DONE_TOOL.name) {
+          finished = true;
+          output = 'Task marked complete.';
+          if (call.args.summary) console.log(chalk.green(`Summary: ${call.args.summary}`));
         } else {
-          if (!geminiModel) throw new Error('Google API Key missing.');
-          const chatHistory = history.slice(0, -1).map(h => ({
-            role: h.role === 'model' ? 'model' : 'user',
-            parts: [{ text: (h.role === 'system' ? 'SYSTEM INFO: ' : '') + h.content }]
-          }));
-          const lastMsg = history[history.length - 1];
-          const parts = [{ text: (lastMsg.role === 'system' ? 'SYSTEM INFO: ' : '') + lastMsg.content }];
-          const chat = geminiModel.startChat({ history: chatHistory });
-          const result = await chat.sendMessage(parts);
-          response = result.response.text();
+          const tool = findAgentTool(call.name);
+          const errors = tool ? validateSchema(tool.parameters, call.args) : [];
+          console.log(chalk.magenta('Agent › ') + chalk.cyan(`${call.name} ${JSON.stringify(call.args)}`));
+          if (!tool) output = `Unknown tool: ${call.name}`;
+          else if (errors.length) output = `Invalid arguments: ${formatSchemaErrors(errors)}`;
+          else {
+            const args = tool.toArgs(call.args);
+            const approval = await approveAgentCommand(tool.command, args);
+            output = approval.allowed ? await runAgentCommand(tool.command, args) : `Permission denied (${approval.reason}). Do not retry this exact command.`;
+          }
         }
+        emitEvent({ type: 'tool_result', id: call.id, name: call.name, output });
+        state().history.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output });
+      }
 
-        spinner.stop();
-        const command = response.trim();
-        console.log(chalk.magenta('Agent › ') + command);
-        history.push({ role: 'model', content: command });
-
-        if (command.toLowerCase() === '/done') {
-          console.log(chalk.green('Agent completed the task.'));
+      if (finished) {
+        console.log(chalk.green('Agent completed the task.'));
+        break;
+      }
+      if (step === maxSteps) {
+        console.log(chalk.yellow(`Agent stopped after ${maxSteps} steps without finishing.`));
+        emitEvent({ type: 'error', message: `Agent stopped after ${maxSteps} steps without finishing.` });
+      }
+    }
+    const changed = summarizeCheckpoints(lastCheckpoint);
+    if (changed) emitEvent({ type: 'files_changed', ...changed });
+    saveHistory();
+  },
+  '/session': (args) => {
+    const [sub = 'list', ...rest] = args;
+    const arg = rest.join(' ');
+    try {
+      switch (sub) {
+        case 'list': {
+          const table = new Table({ head: ['ID', 'Title', 'Msgs', 'Provider', 'Directory', 'Updated'] });
+          listSessions().forEach(s => {
+            const id = s.id === state().session?.id ? chalk.green(`${s.id} *`) : s.id;
+            table.push([id, s.title.substring(0, 30), s.messages, s.provider || '-', s.cwd, new Date(s.updated).toLocaleString()]);
+          });
+          console.log(table.toString());
           break;
         }
-
-        if (command.startsWith('/')) {
-          const parts = command.split(' ');
-          const cmd = parts[0];
-          const args = parts.slice(1);
-          if (commands[cmd]) await commands[cmd](args);
-          else history.push({ role: 'system', content: 'Unknown command.' });
+        case 'new':
+          saveHistory();
+          activateSession(createSession({ title: arg || DEFAULT_TITLE, provider: state().currentProvider }), []);
+          console.log(chalk.green(`Started session ${state().session.id}.`));
+          break;
+        case 'switch': {
+          const meta = resolveSession(arg);
+          if (!meta) return console.log(chalk.red(`Usage: /session switch <id|title> (no match for '${arg}')`));
+          saveHistory();
+          activateSession(meta, loadSession(meta.id).history);
+          console.log(chalk.green(`Switched to "${meta.title}" (${meta.id}, ${state().history.length} messages).`));
+          break;
         }
-      } catch (e) {
-        spinner.fail(e.message);
-        break;
+        case 'fork': {
+          saveHistory();
+          const meta = forkSession(state().session, state().history, arg);
+          activateSession(meta, loadSession(meta.id).history);
+          console.log(chalk.green(`Forked into "${meta.title}" (${meta.id}).`));
+          break;
+        }
+        case 'rename':
+          if (!arg) return console.log(chalk.red('Usage: /session rename <title>'));
+          renameSession(state().session, arg);
+          console.log(chalk.green(`Renamed session ${state().session.id} to "${arg}".`));
+          break;
+        case 'delete': {
+          const meta = resolveSession(arg);
+          if (!meta) return console.log(chalk.red(`Usage: /session delete <id|title> (no match for '${arg}')`));
+          if (meta.id === state().session?.id) return console.log(chalk.red('Cannot delete the active session; switch to another first.'));
+          deleteSession(meta.id);
+          deleteCheckpoints(meta.id);
+          console.log(chalk.green(`Deleted session "${meta.title}" (${meta.id}).`));
+          break;
+        }
+        default:
+          console.log(chalk.red('Usage: /session [list|new [title]|switch <id>|fork [title]|rename <title>|delete <id>]'));
       }
+    } catch (e) { console.log(chalk.red(e.message)); }
+  },
+  '/context': async (args) => {
+    const provider = primaryProvider();
+    const [sub, value] = args;
+    if (sub === 'expand' || sub === 'collapse') {
+      const entry = state().history[Number(value)];
+      if (!entry) return console.log(chalk.red(`Usage: /context ${sub} <#>`));
+      entry.expanded = sub === 'expand';
+      return console.log(chalk.green(`Entry #${value} will be sent ${entry.expanded ? 'in full' : 'truncated when large'}.`));
+    }
+    if (sub === 'budget') {
+      const n = Number(value);
+      if (value !== 'auto' && !(n > 0)) return console.log(chalk.red('Usage: /context budget <tokens|auto>'));
+      contextSettings.budget = value === 'auto' ? null : n;
+      persistConfig('contextBudget', contextSettings.budget);
+      return console.log(chalk.green(`Context budget: ${budgetFor(provider)} tokens${value === 'auto' ? ' (auto)' : ''}`));
+    }
+    if (sub === 'compact') {
+      const spinner = ora('Compacting...').start();
+      const compacted = await ensureContextBudget(spinner, { force: true });
+      spinner.stop();
+      if (!compacted) console.log(chalk.gray('Nothing to compact.'));
+      return;
     }
+    if (sub) return console.log(chalk.red('Usage: /context [expand|collapse <#> | budget <tokens|auto> | compact]'));
+
+    const view = buildContextView(state().history, provider);
+    const table = new Table({ head: ['#', 'Role', 'Tokens', 'Note', 'Preview'], colWidths: [6, 8, 8, 12, 60] });
+    view.forEach(({ index, entry, tokens, truncated }) => {
+      const note = entry.summary ? 'summary' : truncated ? 'truncated' : state().history[index].expanded ? 'expanded' : '';
+      const calls = entry.toolCalls?.length ? `→ ${entry.toolCalls.map(c => c.name).join(', ')} ` : '';
+      const preview = (calls + (entry.content || '')).replace(/\s+/g, ' ').substring(0, 55);
+      table.push([index, entry.role, tokens, note, preview]);
+    });
+    console.log(table.toString());
+    const systemTokens = estimateTokens(SYSTEM_INSTRUCTIONS, provider);
+    console.log(chalk.cyan(`System instructions: ~${systemTokens} tokens`));
+    console.log(chalk.cyan(`Total sent: ~${contextTokens(view) + systemTokens} / ${budgetFor(provider)} tokens (${provider ? `${provider.name}, window ${provider.spec.contextWindow}` : 'no provider'})`));
+  },
+  '/config': (args, line = plainLine(args)) => {
+    const scopeFlag = args.find(a => a.startsWith('--'));
+    const scope = scopeFlag?.slice(2);
+    if (scope && !SCOPES.includes(scope)) return console.log(chalk.red(`Unknown scope ${scopeFlag}. Use --user or --project.`));
+    const [sub = 'list', key, ...rest] = args.filter(a => a !== scopeFlag);
+    try {
+      switch (sub) {
+        case 'list': {
+          const table = new Table({ head: ['Key', 'Value', 'Source', 'Description'], colWidths: [18, 34, 10, 40], wordWrap: true });
+          listConfig().forEach(({ key, value, source, description }) => table.push([key, JSON.stringify(value), source, description]));
+          console.log(table.toString());
+          SCOPES.forEach(s => console.log(chalk.gray(`${s}: ${configFile(s)}`)));
+          break;
+        }
+        case 'get': {
+          if (!key) return console.log(chalk.red('Usage: /config get <key>'));
+          const value = getConfig(key);
+          if (value === undefined) return console.log(chalk.red(`Unknown config key: ${key}`));
+          console.log(chalk.cyan(`${key} = ${JSON.stringify(value, null, 2)}`) + chalk.gray(` (${configSource(key)})`));
+          break;
+        }
+        case 'set': {
+          if (!key || rest.length === 0) return console.log(chalk.red('Usage: /config set <key> <value> [--user|--project]'));
+          // The raw text keeps JSON values intact; the scope flag may follow it
+          let value = line.rest(args.indexOf(key) + 1);
+          if (scopeFlag) value = value.replace(new RegExp(`(^|\\s+)${scopeFlag}(?=\\s|$)`), '').trim();
+          const written = setConfig(key, parseConfigValue(value), scope);
+          applyConfig();
+          console.log(chalk.green(`${key} = ${JSON.stringify(getConfig(key))} (saved to ${written} config)`));
+          break;
+        }
+        case 'reset': {
+          const written = resetConfig(key, scope);
+          applyConfig();
+          console.log(chalk.green(`${key ? `Reset ${key}` : 'Cleared all keys'} in ${written} config.`));
+          break;
+        }
+        default:
+          console.log(chalk.red('Usage: /config [list|get <key>|set <key> <value>|reset [key]] [--user|--project]'));
+      }
+    } catch (e) { console.log(chalk.red(e.message)); }
+  },
+  '/permissions': (args, line = plainLine(args)) => {
+    const [sub = 'list', command, ...rest] = args;
+    const rules = getConfig('permissions');
+    if (sub === 'list') {
+      const table = new Table({ head: ['#', 'Rule', 'Source'] });
+      rules.forEach((rule, i) => table.push([i, describeRule(rule), configSource('permissions')]));
+      DEFAULT_RULES.forEach(rule => table.push(['-', describeRule(rule), 'built-in']));
+      console.log(table.toString());
+      return console.log(chalk.gray(`Unmatched commands: ask. Auto-execute (skips asks): ${autoExecute ? 'ON' : 'OFF'}`));
+    }
+    if (PERMISSION_ACTIONS.includes(sub)) {
+      if (!command?.startsWith('/') && command !== '*') return console.log(chalk.red(`Usage: /permissions ${sub} </command|*> [args pattern]`));
+      const rule = { action: sub, command, ...(rest.length ? { args: unquote(line.rest(2)) } : {}) };
+      persistConfig('permissions', [...rules, rule]);
+      return console.log(chalk.green(`Added rule: ${describeRule(rule)}`));
+    }
+    if (sub === 'remove') {
+      const i = Number(command);
+      if (!Number.isInteger(i) || !rules[i]) return console.log(chalk.red('Usage: /permissions remove <#>'));
+      persistConfig('permissions', rules.filter((_, j) => j !== i));
+      return console.log(chalk.green(`Removed rule: ${describeRule(rules[i])}`));
+    }
+    console.log(chalk.red('Usage: /permissions [list | allow|ask|deny </command|*> [args pattern] | remove <#>]'));
   },
   '/auto': () => {
     autoExecute = !autoExecute;
+    persistConfig('autoExecute', autoExecute);
     console.log(chalk.yellow(`Auto-execution: ${autoExecute}`));
   },
   '/workflow': async (args) => {
-    if (!args[0]) return console.log(chalk.red('Usage: /workflow <file>'));
+    const dryRun = args.includes('--dry-run');
+    const vars = {};
+    const rest = [];
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--var' && args[i + 1]?.includes('=')) {
+        const [key, ...value] = args[++i].split('=');
+        vars[key] = parseConfigValue(value.join('='));
+      } else if (args[i] !== '--dry-run') rest.push(args[i]);
+    }
+    const file = rest.join(' ');
+    if (!file) return console.log(chalk.red('Usage: /workflow <file> [--dry-run] [--var name=value ...]'));
+    let workflow;
     try {
-      const content = await fs.promises.readFile(args[0], 'utf8');
-      const lines = content.split('\n');
-      for (const line of lines) {
-        if (line.trim()) {
-          console.log(chalk.gray(`Workflow executing: ${line}`));
-          await handleInput(line);
-        }
-      }
-    } catch (e) { console.log(chalk.red(e.message)); }
+      workflow = parseWorkflow(await fs.promises.readFile(file, 'utf8'), file);
+    } catch (e) {
+      console.log(chalk.red(e.message));
+      return emitEvent({ type: 'error', message: e.message });
+    }
+    if (dryRun) return previewWorkflow(workflow, { vars });
+
+    console.log(chalk.cyan(`Running workflow ${workflow.name} (${workflow.steps.length} steps)`));
+    const result = await runWorkflow(workflow, { runLine: runCaptured, vars });
+    const table = new Table({ head: ['Step', 'Status', 'Attempts', 'Time'] });
+    for (const [id, r] of Object.entries(result.steps)) {
+      const status = r.status === 'ok' ? chalk.green('ok') : r.status === 'failed' ? chalk.red('failed') : chalk.gray('skipped');
+      table.push([id, status, r.attempts ?? '-', r.durationMs !== undefined ? `${(r.durationMs / 1000).toFixed(1)}s` : '-']);
+    }
+    console.log(table.toString());
+    state().history.push({ role: 'system', content: `Workflow ${workflow.name} ${result.ok ? 'finished' : `failed at step ${result.failed}`}.` });
+    if (!result.ok) emitEvent({ type: 'error', message: `Workflow ${workflow.name} failed at step ${result.failed}` });
   },
   '/browser': async () => {
-    if (browser) return console.log(chalk.yellow('Browser already open.'));
+    const st = state(); // The supervisor restarts it outside this request
+    const name = browserService(st);
+    if (supervisor.get(name)) return console.log(chalk.yellow('Browser already open.'));
     const spinner = ora('Launching Puppeteer...').start();
     try {
-      browser = await puppeteer.launch({ headless: false });
-      page = await browser.newPage();
+      // Relaunched by the supervisor if Chromium crashes or is closed
+      await supervisor.add(name, {
+        description: 'Puppeteer (Chromium)',
+        start: async (crashed) => {
+          const instance = await puppeteer.launch({ headless: st !== cliState }); // API sessions may run without a display
+          try {
+            st.page = await instance.newPage();
+          } catch (e) {
+            await instance.close().catch(() => {});
+            throw e;
+          }
+          instance.on('disconnected', () => crashed(new Error('browser disconnected')));
+          st.browser = instance;
+        },
+        check: async () => {
+          if (!st.browser?.isConnected()) throw new Error('browser not connected');
+        },
+        stop: async () => {
+          const instance = st.browser;
+          st.browser = null;
+          st.page = null;
+          await instance?.close();
+        }
+      });
       spinner.succeed('Browser ready.');
     } catch (e) { spinner.fail(e.message); }
   },
-  '/google': async (args) => {
-    if (!browser) await commands['/browser']();
-    const query = args.join(' ');
+  '/google': async (args, line = plainLine(args)) => {
+    if (!state().browser) await commands['/browser']();
+    const query = unquote(line.rest(0));
     const url = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
     await commands['/visit']([url]);
     await commands['/dump']();
@@ -558,7 +1571,7 @@ INSTRUCTIONS:
     try {
       const res = await fetch(args[0]);
       const text = await res.text();
-      history.push({ role: 'system', content: `Content of ${args[0]}:\n${text.substring(0, 5000)}...` });
+      state().history.push({ role: 'system', content: `Content of ${args[0]}:\n${text.substring(0, 5000)}...` });
       console.log(chalk.green(`Fetched ${text.length} chars.`));
     } catch (e) { console.log(chalk.red(e.message)); }
   },
@@ -568,77 +1581,85 @@ INSTRUCTIONS:
     console.log(chalk.green('Opened in system browser.'));
   },
   '/visit': async (args) => {
-    if (!page) return console.log(chalk.red('Run /browser first.'));
-    try { await page.goto(args[0]); console.log(chalk.green(`Visited ${args[0]}`)); }
+    if (!state().page) return console.log(chalk.red('Run /browser first.'));
+    try { await state().page.goto(args[0]); console.log(chalk.green(`Visited ${args[0]}`)); }
     catch (e) { console.log(chalk.red(e.message)); }
   },
   '/click': async (args) => {
-    if (!page) return console.log(chalk.red('Run /browser first.'));
-    try { await page.click(args[0]); console.log(chalk.green('Clicked.')); }
+    if (!state().page) return console.log(chalk.red('Run /browser first.'));
+    try { await state().page.click(args[0]); console.log(chalk.green('Clicked.')); }
     catch (e) { console.log(chalk.red(e.message)); }
   },
-  '/type': async (args) => {
-    if (!page) return console.log(chalk.red('Run /browser first.'));
-    try { await page.type(args[0], args.slice(1).join(' ')); console.log(chalk.green('Typed.')); }
+  '/type': async (args, line = plainLine(args)) => {
+    if (!state().page) return console.log(chalk.red('Run /browser first.'));
+    try { await state().page.type(args[0], unquote(line.rest(1))); console.log(chalk.green('Typed.')); }
     catch (e) { console.log(chalk.red(e.message)); }
   },
   '/dump': async () => {
-    if (!page) return console.log(chalk.red('Run /browser first.'));
-    const text = await page.evaluate(() => document.body.innerText);
-    history.push({ role: 'system', content: `Browser Page Content:\n${text}` });
+    if (!state().page) return console.log(chalk.red('Run /browser first.'));
+    const text = await state().page.evaluate(() => document.body.innerText);
+    state().history.push({ role: 'system', content: `Browser Page Content:\n${text}` });
     console.log(chalk.green('Page content added to context.'));
   },
   '/screenshot': async () => {
-    if (!page) return console.log(chalk.red('Run /browser first.'));
+    if (!state().page) return console.log(chalk.red('Run /browser first.'));
     const fp = `screen-${Date.now()}.png`;
-    await page.screenshot({ path: fp });
+    await state().page.screenshot({ path: fp });
     console.log(chalk.green(`Saved ${fp}`));
     open(fp);
   },
   '/mcp_list': () => {
-    const table = new Table({ head: ['Label', 'URL'] });
-    Object.entries(mcpServers).forEach(([k, v]) => table.push([k, v]));
+    const table = new Table({ head: ['Label', 'Transport', 'Target', 'Server'] });
+    Object.entries(mcpServers).forEach(([label, client]) => {
+      const server = client.serverInfo ? `${client.serverInfo.name} ${client.serverInfo.version || ''}`.trim() : '-';
+      table.push([label, client.kind, client.target, server]);
+    });
     console.log(table.toString());
   },
-  '/mcp_add': (args) => {
-    if (args.length < 2) return console.log(chalk.red('Usage: /mcp_add <label> <url>'));
-    mcpServers[args[0]] = args[1];
-    activeServices.mcp = true;
-    console.log(chalk.green(`Added MCP server ${args[0]} (persistent connection)`));
+  '/mcp_add': async (args, line = plainLine(args)) => {
+    if (args.length < 2) return console.log(chalk.red('Usage: /mcp_add <label> <url|command...>'));
+    const [label] = args;
+    const target = line.rest(1); // Split again (quotes included) when the server is spawned
+    const spinner = ora(`Connecting to MCP server ${label}...`).start();
+    try {
+      const client = await connectMcpServer(label, target);
+      spinner.succeed(chalk.green(`Added MCP server ${label} (${client.serverInfo?.name || client.kind})`));
+      persistConfig('mcpServers', [...getConfig('mcpServers').filter(s => s.label !== label), { label, target }]);
+    } catch (e) { spinner.fail(chalk.red(`Failed to connect to ${label}: ${e.message}`)); }
   },
-  '/mcp_tools': async () => {
+  '/mcp_tools': async (args) => {
     if (Object.keys(mcpServers).length === 0) return console.log(chalk.yellow('No MCP servers connected.'));
-    for (const [label, url] of Object.entries(mcpServers)) {
+    const entries = args[0] ? [[args[0], mcpServers[args[0]]]] : Object.entries(mcpServers);
+    for (const [label, client] of entries) {
+      if (!client) {
+        console.log(chalk.red(`Unknown MCP server: ${label}`));
+        continue;
+      }
       try {
-        const res = await fetch(`${url}/tools`);
-        if (!res.ok) throw new Error(`HTTP ${res.status}`);
-        const json = await res.json();
-        const tools = json.tools || json;
+        const tools = await client.listTools({ refresh: true });
         console.log(chalk.cyan(`\nTools on ${label}:`));
-        if (Array.isArray(tools)) {
-          tools.forEach(t => console.log(`- ${t.name}: ${t.description || 'No description'}`));
-          history.push({ role: 'system', content: `Available tools on ${label}: ${JSON.stringify(tools)}` });
-        } else {
-          console.log(chalk.gray('Invalid tools format.'));
-        }
+        tools.forEach(t => {
+          const params = Object.keys(t.inputSchema?.properties || {});
+          console.log(`- ${t.name}${params.length ? chalk.gray(`(${params.join(', ')})`) : ''}: ${t.description || 'No description'}`);
+        });
+        state().history.push({ role: 'system', content: `Available tools on ${label}: ${JSON.stringify(tools.map(t => ({ name: t.name, description: t.description, inputSchema: t.inputSchema })))}` });
       } catch (e) { console.log(chalk.red(`Error fetching tools from ${label}: ${e.message}`)); }
     }
   },
-  '/mcp_call': async (args) => {
-    if (args.length < 2) return console.log(chalk.red('Usage: /mcp_call <label> <tool> [args...]'));
-    const [label, tool, ...rest] = args;
-    const url = mcpServers[label];
-    if (!url) return console.log(chalk.red('Unknown MCP server.'));
+  '/mcp_call': async (args, line = plainLine(args)) => {
+    if (args.length < 2) return console.log(chalk.red('Usage: /mcp_call <label> <tool> [json|key=value...]'));
+    const [label, tool] = args;
+    const client = mcpServers[label];
+    if (!client) return console.log(chalk.red('Unknown MCP server.'));
     try {
-      // Basic MCP implementation via HTTP POST
-      const res = await fetch(`${url}/tools/${tool}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ arguments: rest })
-      });
-      const json = await res.json();
-      console.log(chalk.cyan(JSON.stringify(json, null, 2)));
-      history.push({ role: 'system', content: `MCP Call ${tool} result: ${JSON.stringify(json)}` });
+      const toolArgs = parseToolArguments([line.rest(2)]);
+      const paths = await mcpCallPaths(client, tool, toolArgs);
+      if (paths.length) checkpointFiles(`/mcp_call ${label} ${tool}`, paths);
+      const result = await client.callTool(tool, toolArgs);
+      const text = formatToolResult(result);
+      if (result.isError) console.log(chalk.red(text));
+      else console.log(chalk.cyan(text));
+      state().history.push({ role: 'system', content: `MCP Call ${tool}${result.isError ? ' failed' : ' result'}: ${text}` });
     } catch (e) { console.log(chalk.red(e.message)); }
   },
   '/multiline': () => {
@@ -653,15 +1674,55 @@ INSTRUCTIONS:
   '/status': () => {
     console.log(gradient.rainbow('\n=== BEX STATUS ===\n'));
     console.log(chalk.cyan(`Persistent Mode: ${persistentMode ? 'ON' : 'OFF'}`));
-    console.log(chalk.cyan(`Browser: ${activeServices.browser ? 'Running' : 'Not running'}`));
-    console.log(chalk.cyan(`MCP Server: ${activeServices.mcp ? 'Connected' : 'Not connected'}`));
+    const services = supervisor.list();
+    if (services.length) {
+      const table = new Table({ head: ['Service', 'State', 'Restarts', 'Last error'] });
+      services.forEach(s => table.push([s.name, describeService(s), s.restarts, s.lastError ? s.lastError.substring(0, 50) : '-']));
+      console.log(table.toString());
+    } else {
+      console.log(chalk.cyan('Services: none running'));
+    }
+    console.log(chalk.cyan(`Background Jobs: ${listJobs(state()).filter(j => j.status === 'running').length} running`));
     console.log(chalk.cyan(`Multiline Mode: ${multilineMode ? 'ON' : 'OFF'}`));
     console.log(chalk.cyan(`Auto-execute: ${autoExecute ? 'ON' : 'OFF'}`));
-    console.log(chalk.cyan(`Current Provider: ${currentProvider}`));
+    console.log(chalk.cyan(`Current Provider: ${state().currentProvider}`));
+    console.log(chalk.cyan(`Session: ${state().session ? `${state().session.title} (${state().session.id})` : 'none'}`));
     console.log(gradient.rainbow('\n=== END STATUS ===\n'));
   },
+  '/retrieve': async (args, line = plainLine(args)) => {
+    const query = unquote(line.rest(0));
+    const settings = () => `top ${getConfig('retrievalTopK')} snippets, ${getConfig('retrievalTokens')} tokens`;
+    if (query === 'on' || query === 'off') {
+      persistConfig('retrieval', query === 'on');
+      return console.log(chalk.yellow(`Code retrieval: ${query.toUpperCase()}${query === 'on' ? ` (${settings()})` : ''}`));
+    }
+    if (!query) {
+      console.log(chalk.yellow(`Code retrieval: ${getConfig('retrieval') ? 'ON' : 'OFF'} (${settings()})`));
+      return console.log(chalk.gray('Usage: /retrieve <query> to preview, /retrieve on|off to toggle'));
+    }
+
+    const spinner = ora('Searching code index...').start();
+    try {
+      const provider = primaryProvider();
+      const result = await retrieveSnippets(query, { topK: getConfig('retrievalTopK'), maxTokens: getConfig('retrievalTokens'), estimate: (text) => estimateTokens(text, provider) });
+      spinner.stop();
+      for (const chunk of result.chunks) {
+        console.log(`${chalk.cyan(`${chunk.path}:${chunk.startLine}-${chunk.endLine}`)} ${chalk.gray(`score ${chunk.score.toFixed(2)}`)}`);
+        console.log(chalk.gray(chunk.text));
+        console.log();
+      }
+      const summary = result.chunks.length
+        ? `${result.chunks.length} snippet${result.chunks.length === 1 ? '' : 's'}, ~${result.tokens} of ${getConfig('retrievalTokens')} tokens`
+        : 'No matching snippets';
+      console.log(chalk.green(`${summary} (index: ${result.files} files, ${result.indexedChunks} chunks)`));
+      if (!getConfig('retrieval')) console.log(chalk.gray('Retrieval is off, so nothing is attached automatically. /retrieve on enables it.'));
+    } catch (e) {
+      spinner.fail(chalk.red(`❌ Retrieval failed: ${e.message}`));
+    }
+  },
   '/persistent': () => {
     persistentMode = !persistentMode;
+    persistConfig('persistentMode', persistentMode);
     console.log(chalk.yellow(`Persistent mode: ${persistentMode ? 'ON' : 'OFF'}`));
     if (persistentMode) {
       console.log(chalk.gray('Services will remain running after AI responses.'));
@@ -670,137 +1731,163 @@ INSTRUCTIONS:
     }
   },
   '/grep': async (args) => {
-    if (args.length < 1) return console.log(chalk.red('❌ Usage: /grep <pattern> [file]'));
-    const pattern = args[0];
-    const file = args[1];
+    let options;
+    try { options = parseGrepArgs(args); }
+    catch (e) { return console.log(chalk.red(`❌ ${e.message}`)); }
 
     const spinner = ora('Searching...').start();
     try {
-      let results = [];
-      if (file) {
-        // Search in specific file
-        const content = await fs.promises.readFile(file, 'utf8');
-        const lines = content.split('\n');
-        lines.forEach((line, index) => {
-          if (line.includes(pattern)) {
-            results.push(`${chalk.cyan(file)}:${chalk.yellow(index + 1)}:${line}`);
-          }
-        });
-      } else {
-        // Search in current directory recursively
-        const searchDir = async (dir) => {
-          const items = await fs.promises.readdir(dir, { withFileTypes: true });
-          for (const item of items) {
-            const fullPath = path.join(dir, item.name);
-            if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
-              await searchDir(fullPath);
-            } else if (item.isFile() && !item.name.startsWith('.')) {
-              try {
-                const content = await fs.promises.readFile(fullPath, 'utf8');
-                const lines = content.split('\n');
-                lines.forEach((line, index) => {
-                  if (line.includes(pattern)) {
-                    results.push(`${chalk.cyan(fullPath)}:${chalk.yellow(index + 1)}:${line.trim()}`);
-                  }
-                });
-              } catch (e) {
-                // Skip binary files or files that can't be read
-              }
-            }
-          }
-        };
-        await searchDir('.');
-      }
-
+      const result = await grep(options);
       spinner.stop();
-      if (results.length === 0) {
-        console.log(chalk.gray('No matches found.'));
-      } else {
-        console.log(chalk.green(`Found ${results.length} matches:`));
-        results.slice(0, 50).forEach(result => console.log(result));
-        if (results.length > 50) {
-          console.log(chalk.gray(`... and ${results.length - 50} more matches`));
-        }
+      const skipped = result.binary ? `, ${result.binary} binary skipped` : '';
+      if (result.matches === 0) {
+        console.log(chalk.gray(`No matches found (${result.searched} files searched${skipped}).`));
+        return state().history.push({ role: 'system', content: `grep ${options.pattern}: no matches.` });
       }
+      const re = compilePattern(options.pattern, options);
+      formatGrepResults(result, { re }).forEach(line => console.log(line));
+      const summary = `${result.matches} match${result.matches === 1 ? '' : 'es'} in ${result.files.length} file${result.files.length === 1 ? '' : 's'} (${result.searched} searched${skipped})`;
+      console.log(chalk.green(summary) + (result.truncated ? chalk.yellow(` — stopped at ${options.maxMatches}; narrow the search or raise -m`) : ''));
+
+      // Only so much of the result goes into history (searchHistoryChars)
+      const limit = getConfig('searchHistoryChars');
+      if (!limit) return;
+      let text = formatGrepResults(result).join('\n');
+      if (text.length > limit) text = `${text.slice(0, limit)}\n[... ${text.length - limit} more characters; narrow the search to see them]`;
+      state().history.push({ role: 'system', content: `grep ${options.regex ? '-E ' : ''}${options.pattern}: ${summary}${result.truncated ? ', stopped at the match limit' : ''}\n${text}` });
     } catch (e) {
       spinner.fail(chalk.red(`❌ Search failed: ${e.message}`));
     }
   },
   '/glob': async (args) => {
-    if (args.length < 1) return console.log(chalk.red('❌ Usage: /glob <pattern>'));
-    const pattern = args[0];
+    const flags = args.filter(a => a.startsWith('--'));
+    const patterns = args.filter(a => !a.startsWith('--'));
+    const unknown = flags.find(f => !['--no-ignore', '--hidden'].includes(f));
+    if (!patterns.length || unknown) return console.log(chalk.red('❌ Usage: /glob <pattern> [!exclude...] [--no-ignore] [--hidden]'));
 
     const spinner = ora('Finding files...').start();
     try {
-      const results = [];
-
-      const searchDir = async (dir, relativePath = '') => {
-        const items = await fs.promises.readdir(dir, { withFileTypes: true });
-        for (const item of items) {
-          const fullPath = path.join(dir, item.name);
-          const relPath = path.join(relativePath, item.name);
-
-          if (item.isDirectory() && !item.name.startsWith('.') && item.name !== 'node_modules') {
-            await searchDir(fullPath, relPath);
-          } else if (item.isFile()) {
-            // Simple glob matching (could be enhanced with a proper glob library)
-            if (pattern.includes('*')) {
-              const regex = new RegExp(pattern.replace(/\*/g, '.*').replace(/\?/g, '.'));
-              if (regex.test(relPath)) {
-                results.push(relPath);
-              }
-            } else if (relPath.includes(pattern)) {
-              results.push(relPath);
-            }
-          }
-        }
-      };
-
-      await searchDir('.');
+      const files = await globFiles(patterns, { gitignore: !flags.includes('--no-ignore'), hidden: flags.includes('--hidden') });
       spinner.stop();
-
-      if (results.length === 0) {
+      const label = patterns.join(' ');
+      if (files.length === 0) {
         console.log(chalk.gray('No files found matching pattern.'));
-      } else {
-        console.log(chalk.green(`Found ${results.length} files:`));
-        results.forEach(file => console.log(chalk.cyan(`  ${file}`)));
+        return state().history.push({ role: 'system', content: `Output of /glob ${label}: no files.` });
       }
+      const when = (ms) => new Date(ms).toLocaleString();
+      files.forEach(file => console.log(`${chalk.cyan(`  ${file.path}`)} ${chalk.gray(when(file.mtimeMs))}`));
+      console.log(chalk.green(`Found ${files.length} file${files.length === 1 ? '' : 's'} (newest first)`));
+
+      const limit = getConfig('searchHistoryChars');
+      if (!limit) return;
+      let text = files.map(file => file.path).join('\n');
+      if (text.length > limit) text = `${text.slice(0, limit)}\n[... ${text.length - limit} more characters; narrow the pattern to see them]`;
+      state().history.push({ role: 'system', content: `Output of /glob ${label} (${files.length} files, newest first):\n${text}` });
     } catch (e) {
       spinner.fail(chalk.red(`❌ Glob search failed: ${e.message}`));
     }
   },
   '/git': async (args) => {
-    const subcommand = args[0];
+    const [subcommand, ...rest] = args;
+    const usage = 'Usage: /git <status|log [n]|commits [days]|diff [--staged] [path...]|show [rev]|blame <file> [start[,end]]|branch [name]|checkout <branch|-b new|-- path>|add <path...>|commit [-m msg]>';
+    if (subcommand === 'commit') {
+      try { await gitCommit(rest); }
+      catch (e) { console.log(chalk.red(`❌ Git commit failed: ${e.message}`)); }
+      return;
+    }
     const spinner = ora('Running git command...').start();
 
     try {
-      let cmd;
+      let gitArgs;
+      let hint = 'pass a path to see less'; // Shown when output is cut for history
+      let colored = false;
       switch (subcommand) {
         case 'status':
-          cmd = 'git status --porcelain';
-          break;
-        case 'log':
-          cmd = `git log --oneline -${args[1] || 10}`;
+          gitArgs = ['status', '--short', '--branch'];
           break;
-        case 'diff':
-          cmd = 'git diff --stat';
+        case 'log': {
+          const count = Number(rest[0] || 10);
+          if (!Number.isInteger(count) || count < 1) throw new Error('/git log [n]: n must be a positive number');
+          gitArgs = ['log', '--oneline', '--decorate', `-${count}`];
           break;
+        }
         case 'commits':
-          const days = args[1] || 7;
-          cmd = `git log --oneline --since="${days} days ago"`;
+          gitArgs = ['log', '--oneline', `--since=${Number(rest[0]) || 7} days ago`];
+          break;
+        case 'diff': {
+          const { flags, paths } = splitPathArgs(rest);
+          const unknown = flags.find(f => !['--staged', '--cached', '--stat', '--name-only'].includes(f));
+          if (unknown) throw new Error(`/git diff: unknown option ${unknown} (use --staged, --stat or --name-only)`);
+          gitArgs = ['diff', '--no-color', ...flags, '--', ...paths];
+          colored = !flags.includes('--stat') && !flags.includes('--name-only');
+          break;
+        }
+        case 'show': {
+          // Options are refused: some (--output) write files, and show runs without approval
+          const option = splitPathArgs(rest).flags[0];
+          if (option) throw new Error(`/git show takes revisions and paths, not options (${option})`);
+          gitArgs = ['show', '--no-color', ...(rest.length ? rest : ['HEAD'])];
+          hint = 'add -- <path> to show one file';
+          colored = true;
+          break;
+        }
+        case 'blame': {
+          const [file, range] = rest;
+          if (!file) throw new Error('/git blame <file> [start[,end]]');
+          const lines = range?.match(/^(\d+)(?:[,-](\d+))?$/);
+          if (range && !lines) throw new Error('/git blame: the range is start or start,end (line numbers)');
+          gitArgs = ['blame', '--date=short', ...(lines ? ['-L', `${lines[1]},${lines[2] || lines[1]}`] : []), '--', file];
+          hint = 'pass a line range to see less';
+          break;
+        }
+        case 'branch': {
+          const option = rest.find(a => a.startsWith('-') && !['-d', '-D', '-m', '-M'].includes(a));
+          if (option) throw new Error(`/git branch: unsupported option ${option} (use -d, -D, -m or -M)`);
+          gitArgs = rest.length ? ['branch', ...rest] : ['branch', '-vv', '--no-color'];
+          break;
+        }
+        case 'checkout': {
+          // Only these forms; other options (-f, --ours, -p ...) are refused
+          if (rest[0] === '--' && rest.length > 1) {
+            checkpointFiles(`/git checkout ${rest.join(' ')}`, rest.slice(1)); // Discards local changes
+            gitArgs = ['checkout', ...rest];
+          } else if (rest[0] === '-b' && rest.length === 2 && !rest[1].startsWith('-')) {
+            gitArgs = ['checkout', '-b', rest[1]];
+          } else if (rest.length === 1 && !rest[0].startsWith('-')) {
+            const changed = await branchChanges(rest[0]);
+            if (changed.length) checkpointFiles(`/git checkout ${rest[0]}`, changed);
+            gitArgs = ['checkout', rest[0], '--']; // The -- keeps a file name from being read as a path to discard
+          } else {
+            throw new Error('/git checkout <branch> | -b <new-branch> | -- <path...>');
+          }
+          break;
+        }
+        case 'add':
+          if (rest.length === 1 && rest[0] === '-A') gitArgs = ['add', '-A'];
+          else if (rest[0] === '--' && rest.length > 1) gitArgs = ['add', ...rest];
+          else if (rest.length && !rest.some(arg => arg.startsWith('-'))) gitArgs = ['add', '--', ...rest];
+          else throw new Error('/git add <path...> (or -A for everything)');
           break;
         default:
           spinner.stop();
-          return console.log(chalk.red('❌ Usage: /git <status|log|diff|commits [days]>'));
+          return console.log(chalk.red(`❌ ${usage}`));
       }
 
-      const { stdout } = await execAsync(cmd);
+      let stdout = await runGit(gitArgs);
+      if (subcommand === 'add' || subcommand === 'checkout') stdout = await runGit(['status', '--short', '--branch']);
       spinner.stop();
 
+      const label = [subcommand, ...rest].join(' ');
       if (stdout.trim()) {
-        console.log(chalk.green(`Git ${subcommand}:`));
-        console.log(stdout);
-        history.push({ role: 'system', content: `Git ${subcommand} output:\n${stdout}` });
+        console.log(chalk.green(`Git ${label}:`));
+        console.log(colored ? formatDiff(stdout.trimEnd()) : stdout.trimEnd());
+        pushGitOutput(label, stdout, hint);
+      } else if (subcommand === 'diff') {
+        const staged = rest.includes('--staged') || rest.includes('--cached');
+        console.log(chalk.gray(staged ? 'No staged changes.' : 'No unstaged changes (staged changes: /git diff --staged).'));
+        state().history.push({ role: 'system', content: `Output of /git ${label}: no changes.` });
+      } else if (subcommand === 'branch') {
+        console.log(chalk.green(`✅ git ${label}`));
       } else {
         console.log(chalk.gray(`No git ${subcommand} output.`));
       }
@@ -808,47 +1895,21 @@ INSTRUCTIONS:
       spinner.fail(chalk.red(`❌ Git command failed: ${e.message}`));
     }
   },
-  '/project': async () => {
-    const spinner = ora('Analyzing project...').start();
+  '/project': async (args) => {
+    const unknown = args.find(a => !['--map', '--rebuild'].includes(a));
+    if (unknown) return console.log(chalk.red('❌ Usage: /project [--map] [--rebuild]'));
+    const spinner = ora('Indexing project...').start();
     try {
-      const stats = {
-        files: 0,
-        dirs: 0,
-        totalSize: 0,
-        extensions: {}
-      };
-
-      const analyzeDir = async (dir) => {
-        const items = await fs.promises.readdir(dir, { withFileTypes: true });
-        for (const item of items) {
-          if (item.name.startsWith('.') || item.name === 'node_modules') continue;
-
-          const fullPath = path.join(dir, item.name);
-          if (item.isDirectory()) {
-            stats.dirs++;
-            await analyzeDir(fullPath);
-          } else if (item.isFile()) {
-            stats.files++;
-            try {
-              const stat = await fs.promises.stat(fullPath);
-              stats.totalSize += stat.size;
-
-              const ext = path.extname(item.name) || 'no-ext';
-              stats.extensions[ext] = (stats.extensions[ext] || 0) + 1;
-            } catch (e) {
-              // Skip files that can't be stat'd
-            }
-          }
-        }
-      };
-
-      await analyzeDir('.');
+      const index = await buildProjectIndex(process.cwd(), { rebuild: args.includes('--rebuild') });
       spinner.stop();
+      const { stats } = index;
+      const modules = Object.keys(index.modules).length;
 
       console.log(chalk.green('\n📊 Project Summary:'));
       console.log(chalk.cyan(`Files: ${stats.files}`));
       console.log(chalk.cyan(`Directories: ${stats.dirs}`));
       console.log(chalk.cyan(`Total Size: ${(stats.totalSize / 1024 / 1024).toFixed(2)} MB`));
+      console.log(chalk.cyan(`Modules: ${modules} (${index.parsed} parsed, ${index.reused} cached${index.skipped ? `, ${index.skipped} too large` : ''})`));
 
       console.log(chalk.green('\n📁 File Extensions:'));
       Object.entries(stats.extensions)
@@ -858,6 +1919,30 @@ INSTRUCTIONS:
           console.log(chalk.cyan(`  ${ext}: ${count} files`));
         });
 
+      if (index.entryPoints.length) {
+        console.log(chalk.green('\n🚪 Entry Points:'));
+        const reasons = {};
+        for (const { file, reason } of index.entryPoints) (reasons[file] ||= new Set()).add(reason);
+        Object.entries(reasons).forEach(([file, why]) => console.log(`${chalk.cyan(`  ${file}`)} ${chalk.gray([...why].join(', '))}`));
+      }
+      const packages = Object.entries(index.external).sort(([,a], [,b]) => b - a);
+      if (packages.length) {
+        console.log(chalk.green('\n📦 Packages Used:'));
+        console.log(chalk.cyan(`  ${packages.slice(0, 15).map(([name, count]) => `${name} (${count})`).join(', ')}${packages.length > 15 ? ', …' : ''}`));
+      }
+      if (!modules) return;
+
+      // The repo map replaces any earlier one in history (repoMapChars caps it)
+      const limit = getConfig('repoMapChars');
+      if (args.includes('--map')) console.log(`\n${formatRepoMap(index, { maxChars: limit || Infinity })}`);
+      if (!limit) return;
+      const map = formatRepoMap(index, { maxChars: limit });
+      const history = state().history;
+      for (let i = history.length - 1; i >= 0; i--) {
+        if (history[i].role === 'system' && history[i].content.startsWith(REPO_MAP_HEADER)) history.splice(i, 1);
+      }
+      history.push({ role: 'system', content: `${REPO_MAP_HEADER} (${modules} modules, most imported first):\n${map}` });
+      console.log(chalk.gray(`\nRepo map added to the conversation (${map.length} characters${args.includes('--map') ? '' : '; /project --map prints it'}).`));
     } catch (e) {
       spinner.fail(chalk.red(`❌ Project analysis failed: ${e.message}`));
     }
@@ -902,7 +1987,7 @@ INSTRUCTIONS:
           console.log(chalk.cyan(`\n${item.path} (${(item.size / 1024).toFixed(1)} KB):`));
           console.log(item.content.substring(0, 200) + (item.content.length > 200 ? '...' : ''));
         });
-        history.push({ role: 'system', content: `Memory files found: ${JSON.stringify(memory)}` });
+        state().history.push({ role: 'system', content: `Memory files found: ${JSON.stringify(memory)}` });
       }
     } catch (e) {
       spinner.fail(chalk.red(`❌ Memory analysis failed: ${e.message}`));
@@ -911,6 +1996,20 @@ INSTRUCTIONS:
 };
 
 async function handleInput(line, isSystemPrompt = false) {
+  // A heredoc typed line by line: collect lines until its delimiter
+  if (state().heredoc !== null && !multilineMode) {
+    const text = `${state().heredoc}\n${line}`;
+    let pending = null;
+    try { pending = parseCommandLine(text, { isCommand }).pending; }
+    catch (e) { /* Reported when the command runs */ }
+    if (pending) {
+      state().heredoc = text;
+      return;
+    }
+    state().heredoc = null;
+    setPrompt();
+    line = text;
+  }
   heartbeat = Date.now();
   line = line.trim();
 
@@ -935,103 +2034,43 @@ async function handleInput(line, isSystemPrompt = false) {
 
   if (!line) return;
 
-  // Refresh System Instructions & Model
+  // Refresh System Instructions
   SYSTEM_INSTRUCTIONS = getSystemInstructions();
-  console.log(chalk.gray(`System instructions loaded (${SYSTEM_INSTRUCTIONS.length} chars)`));
-  if (GOOGLE_API_KEY && genAI) {
-    geminiModel = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash-lite',
-      systemInstruction: SYSTEM_INSTRUCTIONS
-    });
-  }
+  if (!oneShot) console.log(chalk.gray(`System instructions loaded (${SYSTEM_INSTRUCTIONS.length} chars)`));
 
   if (line.startsWith('/')) {
-    const parts = line.split(' ');
-    const cmd = parts[0];
-    const args = parts.slice(1);
-    try {
-      if (commands[cmd]) await commands[cmd](args);
-      else console.log(chalk.red('Unknown command.'));
-    } catch (e) {
-      console.log(chalk.red(`Command execution error: ${e.message}`));
+    let parsed;
+    try { parsed = parseCommandLine(line, { isCommand }); }
+    catch (e) {
+      console.log(chalk.red(e.message));
+      return emitEvent({ type: 'error', message: e.message });
+    }
+    if (parsed.pending && !line.includes('\n')) {
+      state().heredoc = line;
+      setPrompt();
+      return console.log(chalk.gray(`Heredoc started. End it with a line containing only ${parsed.pending}.`));
     }
+    await runPipeline(parsed.stages);
   } else {
     // AI Chat
-    if (!isSystemPrompt) history.push({ role: 'user', content: line });
+    if (!isSystemPrompt) state().history.push({ role: 'user', content: line });
     
     const spinner = ora('Thinking...').start();
     try {
-      let response = '';
-      
-      let providerToUse = currentProvider;
-      if (currentProvider === 'auto') {
-        providerToUse = 'google'; // Default to Google, fallback to DeepSeek
-      }
-
-      const callGoogle = async () => {
-        if (!geminiModel) throw new Error('Google API Key missing.');
-        const chatHistory = (isSystemPrompt ? history : history.slice(0, -1)).map(h => ({
-          role: h.role === 'model' ? 'model' : 'user',
-          parts: [{ text: (h.role === 'system' ? 'SYSTEM INFO: ' : '') + h.content }]
-        }));
-        
-        // Attach image if pending
-        let parts = [{ text: line }];
-        if (pendingImage) {
-          parts.push(pendingImage);
-          pendingImage = null; // Consume image
-        }
-
-        const chat = geminiModel.startChat({ history: chatHistory });
-        const result = await chat.sendMessage(parts);
-        return result.response.text();
-      };
-
-      const callDeepSeek = async () => {
-        if (!deepseek) throw new Error('DeepSeek API Key missing.');
-        const messages = [
-          { role: 'system', content: SYSTEM_INSTRUCTIONS },
-          ...history.map(h => ({ role: h.role === 'model' ? 'assistant' : h.role, content: h.content }))
-        ];
-        if (isSystemPrompt) messages.push({ role: 'user', content: line });
-        const completion = await deepseek.chat.completions.create({
-          messages,
-          model: 'deepseek-chat'
-        });
-        return completion.choices[0].message.content;
-      };
-
-      try {
-        if (providerToUse === 'google') response = await callGoogle();
-        else response = await callDeepSeek();
-      } catch (err) {
-        if (currentProvider === 'auto' && providerToUse === 'google') {
-          spinner.text = 'Google failed, trying DeepSeek...';
-          response = await callDeepSeek();
-        } else {
-          throw err;
-        }
+      const image = state().pendingImage;
+      state().pendingImage = null; // Consume image
+      await ensureContextBudget(spinner);
+      const turns = await withRetrievedCode(isSystemPrompt ? [...state().history, { role: 'user', content: line }] : state().history, line, spinner);
+      const reply = await streamReply({ history: turns, image }, spinner, gradient.rainbow('AI › '));
+      const response = reply.text;
+      if (reply.cancelled) {
+        if (response) state().history.push({ role: 'model', content: `${response}\n[cancelled by user]` });
+        saveHistory();
+        return;
       }
 
-      spinner.stop();
-      
-      // Format and log response
-      const formattedResponse = response.split(/(```[\s\S]*?```)/g).map(part => {
-        if (part.startsWith('```')) {
-          const match = part.match(/```(\w*)\n?([\s\S]*?)```/);
-          if (match) {
-            try { return '\n' + highlight(match[2]) + '\n'; }
-            catch (e) { return '\n' + chalk.gray(match[2]) + '\n'; }
-          }
-          return part;
-        }
-        return part.replace(/\*\*(.*?)\*\*/g, (_, text) => chalk.bold(text))
-                   .replace(/`([^`]+)`/g, (_, text) => chalk.yellow(text));
-      }).join('');
-
-      console.log(gradient.rainbow('AI › ') + formattedResponse);
-      history.push({ role: 'model', content: response });
-      fs.writeFileSync(MEMORY_FILE, JSON.stringify(history, null, 2));
+      state().history.push({ role: 'model', content: response });
+      saveHistory();
 
       // Check for JSON plan (Agentic Mode)
       if (response.trim().startsWith('[') && response.trim().endsWith(']')) {
@@ -1041,7 +2080,9 @@ async function handleInput(line, isSystemPrompt = false) {
             console.log(chalk.cyan('Detected plan. Executing...'));
             for (const step of plan) {
               console.log(chalk.gray(`> ${step}`));
-              await handleInput(step);
+              emitEvent({ type: 'plan_step', step: String(step) });
+              // Each command is approved as it runs (runCommandStage)
+              await stateScope.run({ ...stateScope.getStore(), state: state(), approve: true }, () => handleInput(String(step)));
             }
           }
         } catch (e) { /* Not a JSON plan */ }
@@ -1050,50 +2091,165 @@ async function handleInput(line, isSystemPrompt = false) {
     } catch (e) {
       console.log(chalk.red(`Error: ${e.message}`));
       spinner.fail('Failed to process input.');
+      emitEvent({ type: 'error', message: e.message });
     }
   }
 }
 
-if (fs.existsSync(MEMORY_FILE)) {
-  history = JSON.parse(fs.readFileSync(MEMORY_FILE, 'utf8'));
-  console.log(chalk.gray('Restored agent memory.'));
+// Resume the last session for this project unless --new or --session <ref> says otherwise
+(() => {
+  if (isServe) return; // API clients open their own sessions
+  if (oneShot && !ownFlags.includes('--session')) return; // One-shot runs are ephemeral unless --session is given
+  const ref = flagValue('--session') ?? null;
+  let meta = null;
+  try { meta = ref ? resolveSession(ref) : null; }
+  catch (e) { console.log(chalk.red(e.message)); }
+  if (ref && !meta) console.log(chalk.red(`Session '${ref}' not found; starting a new one.`));
+
+  if (!meta && !ref && !ownFlags.includes('--new')) meta = findLatestSession(process.cwd());
+  if (meta) {
+    activateSession(meta, loadSession(meta.id).history);
+    if (!oneShot) console.log(chalk.gray(`Resumed session "${meta.title}" (${meta.id}). Use /session new to start fresh.`));
+    return;
+  }
+
+  let imported = [];
+  if (!ownFlags.includes('--new') && fs.existsSync(LEGACY_MEMORY_FILE)) {
+    try {
+      imported = JSON.parse(fs.readFileSync(LEGACY_MEMORY_FILE, 'utf8'));
+      console.log(chalk.gray(`Imported ${LEGACY_MEMORY_FILE} into a new session.`));
+    } catch (e) { console.log(chalk.red(`Could not import ${LEGACY_MEMORY_FILE}: ${e.message}`)); }
+  }
+  activateSession(createSession({ provider: state().currentProvider, history: imported }), imported);
+})();
+
+// Runs `bex -p` / `bex run` and returns the exit code.
+async function runOneShot() {
+  let options;
+  let line;
+  try {
+    options = parseOneShotArgs(cliArgs);
+    if (options.provider && options.provider !== 'auto' && !getProvider(options.provider)) throw new UsageError(`Unknown provider: ${options.provider}`);
+    line = options.mode === 'run' ? options.line : combinePrompt(options.prompt, await readStdin());
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(chalk.red(e.message));
+    return EXIT_CODES.usage;
+  }
+
+  // MCP servers are only connected if already reachable; nothing is spawned
+  await connectMcpServer('files', 'http://localhost:4000/mcp').catch(() => {});
+  for (const { label, target } of getConfig('mcpServers')) await connectMcpServer(label, target).catch(() => {});
+
+  const st = cliState;
+  if (options.provider) st.currentProvider = options.provider;
+  st.maxSteps = options.maxSteps;
+  const reporter = createReporter({ format: options.output, mode: options.mode, write: writeStdout });
+  st.emit = (event) => reporter.onEvent(event);
+
+  const { output, reply, messages, errors, exitCode: execCode } = await stateScope.run({ state: st }, () => runCaptured(line));
+  // `bex run /exec ...` exits with the command's own exit code
+  let exitCode = errors.length ? EXIT_CODES.failed : EXIT_CODES.ok;
+  if (options.mode === 'run' && line.split(' ')[0] === '/exec' && execCode !== null) exitCode = execCode;
+  if (options.output === 'text') errors.forEach(message => console.error(chalk.red(message)));
+  reporter.finish({ ok: exitCode === 0, exitCode, reply, output, messages, errors });
+  await new Promise(resolve => writeStdout('', resolve)); // Flush before exiting
+  return exitCode;
 }
 
 // Startup Sequence
-if (!isWorker) {
-  (async () => {
+(async () => {
+  if (oneShot) return shutdown(await runOneShot());
+
   // Auto-connect/start local MCP server
-  const mcpUrl = 'http://localhost:4000';
+  const mcpUrl = 'http://localhost:4000/mcp';
   try {
-    await fetch(`${mcpUrl}/tools`);
-    mcpServers['files'] = mcpUrl;
+    await connectMcpServer('files', mcpUrl, { startServer: startFilesServer });
     console.log(chalk.green('Connected to local MCP server (files).'));
-  } catch (e) {
-    const serverPath = path.join(__dirname, 'mcp-files-server.js');
-    if (fs.existsSync(serverPath)) {
-      console.log(chalk.yellow('Starting local MCP server...'));
-      const child = spawn('node', [serverPath], { 
-        detached: true, 
-        stdio: 'ignore',
-        cwd: __dirname 
+  } catch (e) { console.log(chalk.red(`Failed to connect to local MCP server: ${e.message}`)); }
+
+  // MCP servers saved in the config (from /mcp_add or edited by hand)
+  for (const { label, target } of getConfig('mcpServers')) {
+    try {
+      await connectMcpServer(label, target);
+      console.log(chalk.green(`Connected to MCP server ${label}.`));
+    } catch (e) { console.log(chalk.red(`Failed to connect to MCP server ${label}: ${e.message}`)); }
+  }
+
+  if (isServe) {
+    const token = resolveServeToken(flagValue('--token'));
+    try {
+      const api = await serveApi({
+        port: Number(flagValue('--port') || process.env.BEX_SERVE_PORT || DEFAULT_PORT),
+        host: flagValue('--host') || '127.0.0.1',
+        token,
+        openState: openApiState,
+        isCommand,
+        runLine: (st, line) => stateScope.run({ state: st }, () => handleInput(line)),
+        closeState: closeApiState
       });
-      child.unref();
-      await new Promise(resolve => setTimeout(resolve, 1500));
-      try {
-        await fetch(`${mcpUrl}/tools`);
-        mcpServers['files'] = mcpUrl;
-        console.log(chalk.green('Started & connected to local MCP server (files).'));
-      } catch (err) { console.log(chalk.red('Failed to connect to local MCP server.')); }
+      console.log(chalk.green(`BEX API listening on ${api.url}`));
+      console.log(chalk.gray(flagValue('--token') || process.env.BEX_SERVE_TOKEN ? 'Token: as given.' : `Token: ${serveTokenFile()}`));
+      const shutdown = async () => {
+        await api.close();
+        await commands['/quit']();
+      };
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+    } catch (e) {
+      console.log(chalk.red(`Could not start the API server: ${e.message}`));
+      await commands['/quit']();
     }
+    return;
+  }
+
+  if (isWorker) {
+    daemonHost = serveDaemon({
+      onInput: (line) => handleInput(line),
+      onInterrupt: () => state().activeGeneration?.abort(),
+      getPrompt: promptText,
+      getStatus: () => ({
+        session: state().session ? `${state().session.title} (${state().session.id})` : null,
+        provider: state().currentProvider,
+        restarts: Number(process.env.BEX_DAEMON_RESTARTS) || 0,
+        services: [...supervisor.list().map(s => s.state === 'running' ? s.name : `${s.name} (${s.state})`), ...listJobs().filter(j => j.status === 'running').map(j => `job:${j.id}`)].filter(Boolean).join(', ') || 'none',
+        lastActivity: heartbeat
+      }),
+      onShutdown: () => commands['/quit']()
+    });
+    console.log(chalk.green(`BEX daemon ready (pid ${process.pid}).`));
+    return;
   }
 
-  if ((GOOGLE_API_KEY || DEEPSEEK_API_KEY) && history.length === 0) {
+  const daemonPid = readDaemonPid();
+  if (daemonPid) console.log(chalk.gray(`A BEX daemon is running (pid ${daemonPid}); \`bex attach\` connects to it.`));
+  if (state().history.length === 0 && hasAvailableProvider(state().currentProvider)) {
     await handleInput('Greetings! Please introduce yourself and your capabilities.', true);
   }
   setPrompt();
   promptUser();
   process.stdin.resume();
-  })();
+})();
+
+if (interactive) {
+  // Ctrl+C cancels a streaming reply; pressed twice while idle it exits
+  let lastInterrupt = 0;
+  rl.on('SIGINT', () => {
+    if (state().heredoc !== null) {
+      state().heredoc = null;
+      setPrompt();
+      console.log(chalk.gray('\n(Heredoc cancelled)'));
+      return promptUser();
+    }
+    if (state().activeGeneration) {
+      state().activeGeneration.abort();
+      return;
+    }
+    if (Date.now() - lastInterrupt < 2000) return commands['/quit']();
+    lastInterrupt = Date.now();
+    console.log(chalk.gray('\n(Press Ctrl+C again to exit, or type /quit)'));
+    promptUser();
+  });
 
   rl.on('line', async line => {
     try {
@@ -0,0 +1,125 @@
+// =======================
+// AGENT TOOL DECLARATIONS
+// =======================
+// Typed function-calling declarations for the slash commands the /task agent
+// may use. `toArgs` turns the model's named arguments back into the args array
+// the command handler expects, so multi-line content survives intact.
+// Interactive or session-level commands (/help, /quit, /clear, /provider,
+// /delete, /task, ...) are deliberately not exposed.
+
+const str = (description) => ({ type: 'string', description });
+const obj = (properties = {}, required = []) => ({ type: 'object', properties, required });
+
+export const AGENT_TOOLS = [
+  { command: '/ls', description: 'List files in a directory.', parameters: obj({ path: str('Directory to list (default: current directory).') }), toArgs: a => a.path ? [a.path] : [] },
+  { command: '/read', description: 'Read a file into the conversation.', parameters: obj({ file: str('File path.') }, ['file']), toArgs: a => [a.file] },
+  { command: '/write', description: 'Create a new file, or replace a file entirely. To change part of an existing file use /edit.', parameters: obj({ file: str('File path.'), content: str('Full file content.') }, ['file', 'content']), toArgs: a => [a.file, a.content] },
+  {
+    command: '/edit',
+    description: 'Change part of an existing file. Give one or more search/replace blocks:\n<<<<<<< SEARCH\nexact lines from the file\n=======\nnew lines\n>>>>>>> REPLACE\nor a unified diff. Each SEARCH must match whole lines exactly once; the edit fails (and nothing is written) otherwise.',
+    parameters: obj({ file: str('File path.'), edits: str('Search/replace blocks or a unified diff.') }, ['file', 'edits']),
+    toArgs: a => [a.file, a.edits]
+  },
+  { command: '/append', description: 'Append content to a file.', parameters: obj({ file: str('File path.'), content: str('Content to append.') }, ['file', 'content']), toArgs: a => [a.file, a.content] },
+  { command: '/rename', description: 'Rename or move a file.', parameters: obj({ from: str('Existing path.'), to: str('New path.') }, ['from', 'to']), toArgs: a => [a.from, a.to] },
+  { command: '/download', description: 'Download a URL to a local file.', parameters: obj({ url: str('URL to download.'), filename: str('Target file name (optional).') }, ['url']), toArgs: a => a.filename ? [a.url, a.filename] : [a.url] },
+  {
+    command: '/exec',
+    description: 'Run a shell command and return its output. Use background for servers, watchers and other long-running commands.',
+    parameters: obj({
+      command: str('Shell command line.'),
+      background: { type: 'boolean', description: 'Run as a background job and return immediately (default false).' },
+      timeout: { type: 'number', description: 'Time limit in seconds (optional).' }
+    }, ['command']),
+    toArgs: a => [...(a.timeout ? ['--timeout', String(a.timeout)] : []), a.background ? `${a.command} &` : a.command]
+  },
+  { command: '/jobs', description: 'List background jobs and their status.', parameters: obj(), toArgs: () => [] },
+  { command: '/logs', description: 'Read the latest output of a background job.', parameters: obj({ id: { type: 'integer', description: 'Job id.' }, lines: { type: 'integer', description: 'Number of lines (default 50).' } }, ['id']), toArgs: a => a.lines ? [String(a.id), String(a.lines)] : [String(a.id)] },
+  { command: '/wait', description: 'Wait for a background job to finish.', parameters: obj({ id: { type: 'integer', description: 'Job id.' }, seconds: { type: 'number', description: 'Give up after this many seconds (optional, at most 600).' } }, ['id']), toArgs: a => a.seconds ? [String(a.id), String(a.seconds)] : [String(a.id)] },
+  { command: '/kill', description: 'Stop a background job.', parameters: obj({ id: { type: 'integer', description: 'Job id.' } }, ['id']), toArgs: a => [String(a.id)] },
+  { command: '/sandbox', description: 'Run JavaScript in an isolated sandbox.', parameters: obj({ code: str('JavaScript source.') }, ['code']), toArgs: a => [a.code] },
+  {
+    command: '/grep',
+    description: 'Search files for text or a regular expression (skips .gitignore\'d and binary files).',
+    parameters: obj({
+      pattern: str('Text to search for (a regular expression when regex is true).'),
+      path: str('File or directory to search (default: current directory).'),
+      regex: { type: 'boolean', description: 'Treat pattern as a JavaScript regular expression.' },
+      ignoreCase: { type: 'boolean', description: 'Case-insensitive search.' },
+      context: { type: 'integer', description: 'Lines of context around each match.' },
+      include: str('Only search files matching this glob, e.g. *.ts or src/**/*.js (optional).')
+    }, ['pattern']),
+    toArgs: a => [
+      ...(a.regex ? ['-E'] : []), ...(a.ignoreCase ? ['-i'] : []), ...(a.context ? ['-C', String(a.context)] : []),
+      ...(a.include ? ['--include', a.include] : []), '--', a.pattern, ...(a.path ? [a.path] : [])
+    ]
+  },
+  { command: '/glob', description: 'Find files whose path matches a glob pattern (newest first; skips .gitignore\'d files).', parameters: obj({ pattern: str('Glob pattern, e.g. src/**/*.{js,ts}; a pattern without / matches file names at any depth.'), exclude: str('Glob of files to leave out, e.g. **/*.test.js (optional).') }, ['pattern']), toArgs: a => a.exclude ? [a.pattern, `!${a.exclude}`] : [a.pattern] },
+  {
+    command: '/git',
+    description: 'Run a read-only git query. diff returns full hunks (unstaged, or staged with staged: true); show a commit; blame a file; branch lists branches.',
+    parameters: obj({
+      subcommand: { type: 'string', enum: ['status', 'log', 'diff', 'commits', 'show', 'blame', 'branch'], description: 'Git query to run.' },
+      arg: str('Count for log, days for commits, a path for diff or blame, a revision for show (optional).'),
+      staged: { type: 'boolean', description: 'diff: show staged instead of unstaged changes.' }
+    }, ['subcommand']),
+    toArgs: a => [a.subcommand, ...(a.subcommand === 'diff' && a.staged ? ['--staged'] : []), ...(a.arg && !['status', 'branch'].includes(a.subcommand) ? [a.arg] : [])]
+  },
+  { command: '/project', description: 'Index the project and add a repo map (modules ranked by imports, with their exports, functions, classes and entry points) to the conversation.', parameters: obj(), toArgs: () => [] },
+  { command: '/memory', description: 'Collect documentation/memory files (.md, .txt).', parameters: obj(), toArgs: () => [] },
+  { command: '/status', description: 'Show BEX status and active services.', parameters: obj(), toArgs: () => [] },
+  { command: '/save', description: 'Save the chat history to a markdown file.', parameters: obj({ file: str('Target file (optional).') }), toArgs: a => a.file ? [a.file] : [] },
+  { command: '/url', description: 'Fetch the raw content of a URL.', parameters: obj({ url: str('URL to fetch.') }, ['url']), toArgs: a => [a.url] },
+  { command: '/open', description: 'Open a URL in the system browser.', parameters: obj({ url: str('URL to open.') }, ['url']), toArgs: a => [a.url] },
+  { command: '/browser', description: 'Launch the automated browser.', parameters: obj(), toArgs: () => [] },
+  { command: '/visit', description: 'Navigate the automated browser to a URL.', parameters: obj({ url: str('URL to visit.') }, ['url']), toArgs: a => [a.url] },
+  { command: '/google', description: 'Search Google in the automated browser and read the results.', parameters: obj({ query: str('Search query.') }, ['query']), toArgs: a => [a.query] },
+  { command: '/click', description: 'Click an element in the browser page.', parameters: obj({ selector: str('CSS selector.') }, ['selector']), toArgs: a => [a.selector] },
+  { command: '/type', description: 'Type text into an input in the browser page.', parameters: obj({ selector: str('CSS selector.'), text: str('Text to type.') }, ['selector', 'text']), toArgs: a => [a.selector, a.text] },
+  { command: '/dump', description: 'Read the text content of the current browser page.', parameters: obj(), toArgs: () => [] },
+  { command: '/screenshot', description: 'Save a screenshot of the current browser page.', parameters: obj(), toArgs: () => [] },
+  { command: '/mcp_list', description: 'List connected MCP servers.', parameters: obj(), toArgs: () => [] },
+  { command: '/mcp_tools', description: 'List the tools offered by connected MCP servers.', parameters: obj({ label: str('Only this server (optional).') }), toArgs: a => a.label ? [a.label] : [] },
+  { command: '/mcp_call', description: 'Call a tool on a connected MCP server.', parameters: obj({ label: str('MCP server label.'), tool: str('Tool name.'), arguments: str('Named tool arguments as a JSON object string.') }, ['label', 'tool']), toArgs: a => [a.label, a.tool, typeof a.arguments === 'object' ? JSON.stringify(a.arguments) : (a.arguments || '{}')] },
+].map(tool => ({ ...tool, name: tool.command.slice(1) }));
+
+export const DONE_TOOL = {
+  name: 'done',
+  description: 'Call when the goal is achieved (or cannot be achieved) to end the task.',
+  parameters: obj({ summary: str('Short summary of the outcome.') })
+};
+
+export function findAgentTool(name) {
+  return AGENT_TOOLS.find(t => t.name === name);
+}
+
+// Gemini accepts an OpenAPI subset; drop keywords it rejects.
+function toGeminiSchema(schema) {
+  const { type, description, enum: values, properties, required, items } = schema;
+  const out = { type };
+  if (description) out.description = description;
+  if (values) out.enum = values;
+  if (items) out.items = toGeminiSchema(items);
+  if (type === 'object' && properties && Object.keys(properties).length) {
+    out.properties = Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, toGeminiSchema(v)]));
+    if (required?.length) out.required = required;
+  }
+  return out;
+}
+
+export function toGeminiTools(tools = [...AGENT_TOOLS, DONE_TOOL]) {
+  return [{
+    functionDeclarations: tools.map(t => {
+      const decl = { name: t.name, description: t.description };
+      if (Object.keys(t.parameters.properties).length) decl.parameters = toGeminiSchema(t.parameters);
+      return decl;
+    })
+  }];
+}
+
+export function toOpenAITools(tools = [...AGENT_TOOLS, DONE_TOOL]) {
+  return tools.map(t => ({
+    type: 'function',
+    function: { name: t.name, description: t.description, parameters: t.parameters }
+  }));
+}
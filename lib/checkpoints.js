@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { bexHome } from './sessions.js';
+
+// =======================
+// CHECKPOINTS
+// =======================
+// Before a command changes files (/write, /edit, /append, /rename, /delete,
+// /download, MCP file tools), the files' current contents are saved as a
+// checkpoint, so /undo and /restore can put them back. Checkpoints are kept
+// per session under ~/.bex/checkpoints/<session> (or $BEX_HOME/checkpoints):
+//   index.json     { next, checkpoints: [{ id, label, created, files }] }
+//   blobs/<sha1>   file contents, stored once however many checkpoints share them
+// A file entry is { path, existed, blob } (absolute path; existed false when
+// the command created it, so restoring deletes it again).
+
+const MAX_CHECKPOINTS = 200; // Older checkpoints are dropped
+const MAX_SNAPSHOT_BYTES = 50 * 1024 * 1024; // Bigger files are listed but not saved
+const MAX_DIRECTORY_FILES = 1000;
+
+export function checkpointsDir(sessionId) {
+  return path.join(bexHome(), 'checkpoints', sessionId);
+}
+
+const indexFile = (sessionId) => path.join(checkpointsDir(sessionId), 'index.json');
+const blobFile = (sessionId, hash) => path.join(checkpointsDir(sessionId), 'blobs', hash);
+
+function readIndex(sessionId) {
+  try { return JSON.parse(fs.readFileSync(indexFile(sessionId), 'utf8')); }
+  catch (e) { return { next: 1, checkpoints: [] }; }
+}
+
+// Write to a temp file and rename so a crash never leaves half a file behind
+function writeIndex(sessionId, index) {
+  const file = indexFile(sessionId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Removes blobs no checkpoint refers to any more.
+function collectGarbage(sessionId, index) {
+  const used = new Set(index.checkpoints.flatMap(c => c.files.map(f => f.blob)).filter(Boolean));
+  const dir = path.join(checkpointsDir(sessionId), 'blobs');
+  let blobs = [];
+  try { blobs = fs.readdirSync(dir); }
+  catch (e) { return; }
+  for (const hash of blobs) {
+    if (!used.has(hash)) fs.rmSync(path.join(dir, hash), { force: true });
+  }
+}
+
+// The files a path stands for: itself, or every file below it for a directory.
+function expandPath(target) {
+  let stat;
+  try { stat = fs.statSync(target); }
+  catch (e) { return [target]; } // Does not exist (yet)
+  if (!stat.isDirectory()) return [target];
+  const files = [];
+  for (const entry of fs.readdirSync(target, { recursive: true, withFileTypes: true })) {
+    if (!entry.isFile()) continue;
+    files.push(path.join(entry.parentPath ?? entry.path, entry.name));
+    if (files.length >= MAX_DIRECTORY_FILES) break;
+  }
+  return files.length ? files : [target];
+}
+
+function snapshot(sessionId, file) {
+  let buffer;
+  try {
+    const stat = fs.statSync(file);
+    if (stat.isDirectory()) return { path: file, existed: true, directory: true };
+    if (stat.size > MAX_SNAPSHOT_BYTES) return { path: file, existed: true, blob: null, skipped: 'too large' };
+    buffer = fs.readFileSync(file);
+  } catch (e) {
+    if (e.code === 'ENOENT') return { path: file, existed: false, blob: null };
+    return { path: file, existed: true, blob: null, skipped: e.message };
+  }
+  const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+  const blob = blobFile(sessionId, hash);
+  if (!fs.existsSync(blob)) {
+    fs.mkdirSync(path.dirname(blob), { recursive: true });
+    fs.writeFileSync(blob, buffer);
+  }
+  return { path: file, existed: true, blob: hash };
+}
+
+// Saves the current contents of `files` (paths relative to cwd or absolute)
+// and returns the new checkpoint.
+export function createCheckpoint(sessionId, { label, files, cwd = process.cwd() }) {
+  const paths = [...new Set(files.filter(Boolean).flatMap(f => expandPath(path.resolve(cwd, f))))];
+  const index = readIndex(sessionId);
+  const checkpoint = { id: index.next++, label, created: new Date().toISOString(), files: paths.map(p => snapshot(sessionId, p)) };
+  index.checkpoints.push(checkpoint);
+  const dropped = index.checkpoints.length > MAX_CHECKPOINTS;
+  if (dropped) index.checkpoints = index.checkpoints.slice(-MAX_CHECKPOINTS);
+  writeIndex(sessionId, index);
+  if (dropped) collectGarbage(sessionId, index);
+  return checkpoint;
+}
+
+export function listCheckpoints(sessionId) {
+  return readIndex(sessionId).checkpoints;
+}
+
+export function deleteCheckpoints(sessionId) {
+  fs.rmSync(checkpointsDir(sessionId), { recursive: true, force: true });
+}
+
+// Puts files back as the oldest of `checkpoints` found them. Returns
+// { restored: [path], removed: [path], failed: [{ path, error }] }.
+function restoreFiles(sessionId, checkpoints) {
+  const entries = new Map();
+  for (const checkpoint of [...checkpoints].sort((a, b) => b.id - a.id)) {
+    for (const file of checkpoint.files) entries.set(file.path, file); // Older entries win
+  }
+  const result = { restored: [], removed: [], failed: [] };
+  for (const file of entries.values()) {
+    try {
+      if (file.directory) continue;
+      if (!file.existed) {
+        if (fs.existsSync(file.path)) {
+          fs.rmSync(file.path, { recursive: true, force: true });
+          result.removed.push(file.path);
+        }
+        continue;
+      }
+      if (!file.blob) throw new Error(`not saved (${file.skipped})`);
+      fs.mkdirSync(path.dirname(file.path), { recursive: true });
+      fs.writeFileSync(file.path, fs.readFileSync(blobFile(sessionId, file.blob)));
+      result.restored.push(file.path);
+    } catch (e) {
+      result.failed.push({ path: file.path, error: e.message });
+    }
+  }
+  return result;
+}
+
+// Undoes the last `count` checkpoints and forgets them. Returns
+// { checkpoints, restored, removed, failed }.
+export function undoCheckpoints(sessionId, count = 1) {
+  const index = readIndex(sessionId);
+  const undone = index.checkpoints.splice(-count, count);
+  if (!undone.length) return { checkpoints: [], restored: [], removed: [], failed: [] };
+  const result = restoreFiles(sessionId, undone);
+  writeIndex(sessionId, index);
+  collectGarbage(sessionId, index);
+  return { checkpoints: undone, ...result };
+}
+
+// Returns every file changed since checkpoint `id` to how it was just before
+// it. The current state is checkpointed first, so /undo reverts the restore.
+// Returns { checkpoint, restored, removed, failed } or null for an unknown id.
+export function restoreCheckpoint(sessionId, id, { label = `/restore ${id}` } = {}) {
+  const later = listCheckpoints(sessionId).filter(c => c.id >= id);
+  if (!later.some(c => c.id === id)) return null;
+  const paths = [...new Set(later.flatMap(c => c.files.filter(f => !f.directory).map(f => f.path)))];
+  const checkpoint = createCheckpoint(sessionId, { label, files: paths });
+  return { checkpoint, ...restoreFiles(sessionId, later) };
+}
+
+// What changed a file since the checkpoint that first touched it:
+// 'created', 'deleted', 'modified' or 'unchanged'.
+export function describeChange(entry) {
+  const exists = fs.existsSync(entry.path);
+  if (!entry.existed) return exists ? 'created' : 'unchanged';
+  return exists ? 'modified' : 'deleted';
+}
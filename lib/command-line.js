@@ -0,0 +1,184 @@
+// =======================
+// COMMAND LINE PARSING
+// =======================
+// Slash commands are split like a small shell:
+//   /write "my notes.txt" 'two  spaces'   quotes group words; \ escapes a space,
+//                                         quote, | or \ outside single quotes
+//   /write app.js <<EOF                   heredoc: the lines up to EOF are the
+//   ...                                   command's input (<<'EOF' is the same;
+//   EOF                                   <<-EOF strips leading tabs)
+//   /exec npm test | /write test.log      pipe: one command's output is the
+//                                         next command's input
+// An unmatched quote is kept as a literal character, so plain text such as
+// `/task fix the user's bug` still parses. A `|` only starts a new stage when
+// a known slash command follows it, so shell pipes inside /exec keep working.
+// Heredoc delimiters are upper-case words, which keeps `a << b` in code intact.
+
+export class CommandLineError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandLineError';
+  }
+}
+
+const ESCAPABLE = new Set([' ', '\t', '"', "'", '\\', '|']);
+const HEREDOC = /^<<(-?)[ \t]*(['"]?)([A-Z_][A-Z0-9_]*)\2(?=\s|\||$)/;
+
+// Index of the quote closing the one at `from`, or -1 when it is unmatched.
+function closingQuote(text, from) {
+  const quote = text[from];
+  for (let i = from + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') i++;
+    else if (text[i] === quote) return i;
+  }
+  return -1;
+}
+
+// Calls visit(i) for every character outside quotes and escapes.
+function eachUnquoted(text, visit) {
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && ESCAPABLE.has(text[i + 1])) {
+      i++;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      const end = closingQuote(text, i);
+      if (end !== -1) {
+        i = end;
+        continue;
+      }
+    }
+    visit(i);
+  }
+}
+
+// Words with their source positions: [{ value, start, end }].
+function scanWords(text) {
+  const words = [];
+  let i = 0;
+  while (i < text.length) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    if (i >= text.length) break;
+    const start = i;
+    let value = '';
+    while (i < text.length && !/\s/.test(text[i])) {
+      const ch = text[i];
+      if (ch === '\\' && ESCAPABLE.has(text[i + 1])) {
+        value += text[i + 1];
+        i += 2;
+      } else if (ch === "'" || ch === '"') {
+        const end = closingQuote(text, i);
+        if (end === -1) {
+          value += ch;
+          i++;
+          continue;
+        }
+        const body = text.slice(i + 1, end);
+        value += ch === '"' ? body.replace(/\\(["\\])/g, '$1') : body;
+        i = end + 1;
+      } else {
+        value += ch;
+        i++;
+      }
+    }
+    words.push({ value, start, end: i });
+  }
+  return words;
+}
+
+export const tokenize = (text) => scanWords(text).map(word => word.value);
+
+// The text after the first `n` words, exactly as written.
+export function restAfter(text, n) {
+  const words = scanWords(text);
+  return n < words.length ? text.slice(words[n].start).trimEnd() : '';
+}
+
+// Quotes a word so tokenize() reads it back as the same single word:
+// my file.txt → 'my file.txt'. Plain words are returned as is.
+export function quoteArg(word) {
+  if (word && !/[\s"'\\|<]/.test(word)) return word;
+  return word.includes("'") ? `"${word.replace(/["\\]/g, '\\$&')}"` : `'${word}'`;
+}
+
+// Drops the quotes around text that is a single quoted word ("a  b" → a  b);
+// anything else is returned as is.
+export function unquote(text) {
+  const words = scanWords(text);
+  return words.length === 1 && /^['"]/.test(text) && words[0].end === text.length ? words[0].value : text;
+}
+
+// Parses one line of input (plus heredoc body lines) into
+//   { stages: [{ name, raw, input }], pending }
+// where `raw` is a stage's argument text, `input` its heredoc body (or null),
+// and `pending` the delimiter of a heredoc whose closing line is missing
+// (null otherwise). `isCommand(name)` decides which `| /name` start a stage.
+export function parseCommandLine(text, { isCommand = () => true } = {}) {
+  const newline = text.indexOf('\n');
+  const first = newline === -1 ? text : text.slice(0, newline);
+
+  let heredoc = null;
+  eachUnquoted(first, (i) => {
+    if (heredoc || !first.startsWith('<<', i) || first[i - 1] === '<') return;
+    const match = first.slice(i).match(HEREDOC);
+    if (match) heredoc = { start: i, end: i + match[0].length, strip: match[1] === '-', delimiter: match[3] };
+  });
+
+  // Without a heredoc every line belongs to the command (e.g. multi-line /write content)
+  let command = text;
+  let input = null;
+  let pending = null;
+  if (heredoc) {
+    command = first.slice(0, heredoc.start) + ' '.repeat(heredoc.end - heredoc.start) + first.slice(heredoc.end);
+    const lines = newline === -1 ? [] : text.slice(newline + 1).split('\n');
+    const clean = (line) => (heredoc.strip ? line.replace(/^\t+/, '') : line);
+    const close = lines.findIndex(line => clean(line).trimEnd() === heredoc.delimiter);
+    if (close === -1) pending = heredoc.delimiter;
+    else if (lines.slice(close + 1).some(line => line.trim())) {
+      throw new CommandLineError(`Unexpected text after the closing ${heredoc.delimiter}.`);
+    }
+    const body = (close === -1 ? lines : lines.slice(0, close)).map(clean);
+    input = body.length ? `${body.join('\n')}\n` : '';
+  }
+
+  const cuts = [];
+  eachUnquoted(command, (i) => {
+    if (command[i] !== '|' || command[i + 1] === '|' || command[i - 1] === '|') return;
+    const next = command.slice(i + 1).match(/^\s*(\/\S+)/);
+    if (next && isCommand(next[1])) cuts.push(i);
+  });
+
+  const stages = [];
+  let from = 0;
+  for (const cut of [...cuts, command.length]) {
+    const segment = command.slice(from, cut).trim();
+    const [name = ''] = segment.split(/\s/, 1);
+    const hasHeredoc = heredoc && heredoc.start >= from && heredoc.start < cut;
+    stages.push({ name, raw: segment.slice(name.length).trim(), input: hasHeredoc ? input : null });
+    from = cut + 1;
+  }
+  if (stages.some(stage => !stage.name)) throw new CommandLineError('Empty command in pipeline.');
+  return { stages, pending };
+}
+
+// Splits a script into command lines, keeping each heredoc body with its command.
+export function splitCommandLines(text, options) {
+  const entries = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    if (current !== null) {
+      current += `\n${line}`;
+      if (!parseCommandLine(current, options).pending) {
+        entries.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!line.trim()) continue;
+    if (parseCommandLine(line.trim(), options).pending) current = line.trim();
+    else entries.push(line.trim());
+  }
+  if (current !== null) entries.push(current);
+  return entries;
+}
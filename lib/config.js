@@ -0,0 +1,244 @@
+import fs from 'fs';
+import path from 'path';
+import { bexHome } from './sessions.js';
+import { validateSchema, formatSchemaErrors } from './schema.js';
+import { PERMISSION_RULE_SCHEMA } from './permissions.js';
+import { SANDBOX_DEFAULTS, SAFE_GLOBALS, SAFE_MODULES } from './sandbox.js';
+
+// =======================
+// LAYERED CONFIGURATION
+// =======================
+// Effective value = defaults < user (~/.bex/config.json) < project
+// (./cli-config.json) < environment variables. Object-valued keys are merged
+// key by key across layers, so a project file adding one provider keeps the
+// user's others. Runtime changes are written to the project file when the
+// project has one, otherwise to the user file.
+// Keys marked `userOnly` (approvals, MCP servers that are spawned at startup,
+// provider endpoints that receive API keys) are never read from or written to
+// the project file: a cloned repository must not be able to set them.
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    currentProvider: { type: 'string', default: 'google', env: 'BEX_PROVIDER', description: 'Active AI provider name, or auto' },
+    autoExecute: { type: 'boolean', default: false, env: 'BEX_AUTO_EXECUTE', userOnly: true, description: 'Skip ask-level permission prompts' },
+    permissions: { type: 'array', default: [], items: PERMISSION_RULE_SCHEMA, userOnly: true, description: 'Allow/ask/deny rules for agent-run commands' },
+    persistentMode: { type: 'boolean', default: true, env: 'BEX_PERSISTENT', description: 'Keep services running after responses' },
+    contextBudget: { type: ['integer', 'null'], default: null, env: 'BEX_CONTEXT_BUDGET', description: 'Token budget for context (null: derive from provider)' },
+    execTimeoutMs: { type: 'integer', minimum: 0, default: 120000, env: 'BEX_EXEC_TIMEOUT_MS', description: 'Foreground /exec time limit in ms (0: none)' },
+    maxSteps: { type: 'integer', minimum: 1, default: 20, env: 'BEX_MAX_STEPS', description: 'Tool-calling turns a /task may take' },
+    searchHistoryChars: { type: 'integer', minimum: 0, default: 8000, env: 'BEX_SEARCH_HISTORY_CHARS', description: 'Characters of /grep and /glob results added to history (0: none)' },
+    gitHistoryChars: { type: 'integer', minimum: 0, default: 12000, env: 'BEX_GIT_HISTORY_CHARS', description: 'Characters of /git diff, show and blame output added to history (0: none)' },
+    repoMapChars: { type: 'integer', minimum: 0, default: 6000, env: 'BEX_REPO_MAP_CHARS', description: 'Characters of the /project repo map added to history (0: none)' },
+    retrieval: { type: 'boolean', default: true, env: 'BEX_RETRIEVAL', description: 'Attach relevant code snippets to chat turns and /task steps' },
+    retrievalTopK: { type: 'integer', minimum: 1, default: 5, description: 'Most code snippets attached per request' },
+    retrievalTokens: { type: 'integer', minimum: 0, default: 1500, env: 'BEX_RETRIEVAL_TOKENS', description: 'Token budget for attached code snippets' },
+    sandbox: {
+      type: 'object',
+      default: SANDBOX_DEFAULTS,
+      description: 'Limits and opt-in globals/modules for /sandbox',
+      additionalProperties: false,
+      properties: {
+        timeoutMs: { type: 'integer', minimum: 100 },
+        memoryMb: { type: 'integer', minimum: 16 },
+        globals: { type: 'array', items: { type: 'string', enum: SAFE_GLOBALS } },
+        modules: { type: 'array', items: { type: 'string', enum: SAFE_MODULES } }
+      }
+    },
+    mcpServers: {
+      type: 'array',
+      default: [],
+      userOnly: true,
+      description: 'MCP servers connected at startup',
+      items: {
+        type: 'object',
+        required: ['label', 'target'],
+        additionalProperties: false,
+        properties: { label: { type: 'string' }, target: { type: 'string' } }
+      }
+    },
+    providers: {
+      type: 'object',
+      default: {},
+      userOnly: true,
+      description: 'Extra provider specs by name',
+      additionalProperties: {
+        type: 'object',
+        required: ['kind', 'model'],
+        properties: {
+          kind: { type: 'string', enum: ['gemini', 'openai'] },
+          baseURL: { type: 'string' },
+          model: { type: 'string' },
+          keyEnv: { type: 'string' },
+          keyOptional: { type: 'boolean' },
+          contextWindow: { type: 'integer', minimum: 1 },
+          charsPerToken: { type: 'number', minimum: 1 },
+          capabilities: { type: 'object' }
+        }
+      }
+    }
+  }
+};
+
+export const SCOPES = ['user', 'project'];
+
+const isUserOnly = (key) => Boolean(CONFIG_SCHEMA.properties[key.split('.')[0]]?.userOnly);
+
+const layers = { defaults: {}, user: {}, project: {}, env: {} };
+let projectDir = process.cwd();
+
+export function configFile(scope) {
+  return scope === 'user' ? path.join(bexHome(), 'config.json') : path.join(projectDir, 'cli-config.json');
+}
+
+function readLayer(scope, warn) {
+  const file = configFile(scope);
+  if (!fs.existsSync(file)) return {};
+  let data;
+  try { data = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (e) {
+    warn(`Ignoring ${file}: ${e.message}`);
+    return {};
+  }
+  // Drop invalid keys one by one so a single typo does not discard the file
+  for (const key of Object.keys(data)) {
+    if (scope === 'project' && isUserOnly(key)) {
+      warn(`Ignoring ${key} in ${file}: it can only be set in ${configFile('user')} or the environment`);
+      delete data[key];
+      continue;
+    }
+    const errors = validateSchema(CONFIG_SCHEMA, { [key]: data[key] });
+    if (errors.length) {
+      warn(`Ignoring ${key} in ${file}: ${formatSchemaErrors(errors)}`);
+      delete data[key];
+    }
+  }
+  return data;
+}
+
+// Unrecognised text is returned as is, so validation reports it
+function parseEnv(schema, raw) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const text = raw.trim().toLowerCase();
+  if (types.includes('boolean')) {
+    if (['1', 'true', 'yes', 'on'].includes(text)) return true;
+    if (['0', 'false', 'no', 'off', ''].includes(text)) return false;
+  }
+  if (types.includes('null') && (text === '' || text === 'null')) return null;
+  if (types.includes('integer') && /^-?\d+$/.test(text)) return Number(text);
+  return raw;
+}
+
+export function loadConfig({ cwd = process.cwd(), warn = () => {} } = {}) {
+  projectDir = cwd;
+  layers.defaults = Object.fromEntries(Object.entries(CONFIG_SCHEMA.properties).map(([k, v]) => [k, structuredClone(v.default)]));
+  layers.user = readLayer('user', warn);
+  layers.project = readLayer('project', warn);
+  layers.env = {};
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA.properties)) {
+    if (!schema.env || process.env[schema.env] === undefined) continue;
+    const value = parseEnv(schema, process.env[schema.env]);
+    const errors = validateSchema(CONFIG_SCHEMA, { [key]: value });
+    if (errors.length) warn(`Ignoring ${schema.env}: ${formatSchemaErrors(errors)}`);
+    else layers.env[key] = value;
+  }
+}
+
+const getPath = (obj, parts) => parts.reduce((o, p) => (o && typeof o === 'object' ? o[p] : undefined), obj);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// `over` on top of `base`: objects merge key by key, anything else replaces.
+function mergeValues(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return over;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(over)) merged[key] = mergeValues(base[key], value);
+  return merged;
+}
+
+// Returns [value, layerName] for a dotted key such as `providers.local.model`;
+// layerName is the highest layer that sets it.
+function lookup(key) {
+  const parts = key.split('.');
+  let merged;
+  let source = null;
+  for (const name of ['defaults', 'user', 'project', 'env']) {
+    const value = layers[name][parts[0]];
+    if (value === undefined) continue;
+    merged = merged === undefined ? value : mergeValues(merged, value);
+    if (getPath(layers[name], parts) !== undefined) source = name;
+  }
+  const value = getPath({ [parts[0]]: merged }, parts);
+  return value === undefined ? [undefined, null] : [value, source];
+}
+
+export function getConfig(key) {
+  return lookup(key)[0];
+}
+
+export function configSource(key) {
+  return lookup(key)[1];
+}
+
+// Where a change to `key` is saved when no scope is given.
+export function defaultScope(key) {
+  if (key && isUserOnly(key)) return 'user';
+  return fs.existsSync(configFile('project')) ? 'project' : 'user';
+}
+
+function writeLayer(scope) {
+  const file = configFile(scope);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(layers[scope], null, 2) + '\n');
+}
+
+// Sets a (possibly dotted) key in one file layer after validating the result.
+export function setConfig(key, value, scope = defaultScope(key)) {
+  const parts = key.split('.');
+  if (!CONFIG_SCHEMA.properties[parts[0]]) throw new Error(`Unknown config key: ${parts[0]}`);
+  if (scope === 'project' && isUserOnly(key)) throw new Error(`${parts[0]} can only be set in the user config.`);
+  const top = parts[0];
+  let next;
+  if (parts.length === 1) {
+    next = value;
+  } else {
+    // Only this layer's own entries are written; an entry it does not have
+    // yet starts from the effective one, so it stays complete when valid
+    next = structuredClone(layers[scope][top] ?? {});
+    let node = next;
+    parts.slice(1, -1).forEach((part, i) => {
+      node = node[part] ??= structuredClone(getConfig(parts.slice(0, i + 2).join('.')) ?? {});
+    });
+    node[parts[parts.length - 1]] = value;
+  }
+  const errors = validateSchema(CONFIG_SCHEMA, { [top]: next });
+  if (errors.length) throw new Error(formatSchemaErrors(errors));
+  layers[scope][top] = next;
+  writeLayer(scope);
+  return scope;
+}
+
+// Removes a key from a layer, or the whole layer when no key is given.
+export function resetConfig(key, scope = defaultScope()) {
+  if (!key) {
+    layers[scope] = {};
+  } else {
+    const parts = key.split('.');
+    const parent = parts.length === 1 ? layers[scope] : getPath(layers[scope], parts.slice(0, -1));
+    if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+  }
+  writeLayer(scope);
+  return scope;
+}
+
+export function listConfig() {
+  return Object.entries(CONFIG_SCHEMA.properties).map(([key, schema]) => {
+    const [value, source] = lookup(key);
+    return { key, value, source, description: schema.description };
+  });
+}
+
+export function parseConfigValue(raw) {
+  try { return JSON.parse(raw); }
+  catch (e) { return raw; }
+}
@@ -0,0 +1,98 @@
+// =======================
+// CONTEXT WINDOW MANAGEMENT
+// =======================
+// History is kept whole; what is sent to a provider is a "view" of it in which
+// older large tool outputs are cut down to a head/tail excerpt (unless the
+// entry was expanded with /context expand). When the view still exceeds the
+// token budget, the oldest turns are summarised into a single system note.
+
+export const contextSettings = {
+  budget: null, // Set from the contextBudget config key; null derives it from the provider's window
+  maxOutputTokens: 1500, // Larger tool/system outputs are truncated once they age out
+  keepRecentOutputs: 3 // The newest outputs are always sent in full
+};
+
+const DEFAULT_WINDOW = 8192;
+
+export function estimateTokens(text, provider) {
+  const ratio = provider?.spec.charsPerToken || 4;
+  return Math.ceil((text?.length || 0) / ratio);
+}
+
+export function entryTokens(entry, provider) {
+  const calls = entry.toolCalls?.length ? JSON.stringify(entry.toolCalls) : '';
+  return estimateTokens(entry.content, provider) + estimateTokens(calls, provider) + 4; // Per-message overhead
+}
+
+export function budgetFor(provider, settings = contextSettings) {
+  const window = provider?.spec.contextWindow || DEFAULT_WINDOW;
+  const budget = settings.budget || Math.min(Math.floor(window * 0.5), 64000);
+  return Math.min(budget, Math.floor(window * 0.9));
+}
+
+const isOutput = (entry) => entry.role === 'system' || entry.role === 'tool';
+
+function truncate(content, maxTokens, provider, index) {
+  const keep = Math.floor(maxTokens * (provider?.spec.charsPerToken || 4) / 2);
+  const hidden = content.length - keep * 2;
+  return `${content.slice(0, keep)}\n\n[... ${hidden} chars truncated — /context expand ${index} to send in full ...]\n\n${content.slice(-keep)}`;
+}
+
+// Returns [{ index, entry, tokens, truncated }] where `entry` is what is sent.
+export function buildContextView(history, provider, settings = contextSettings) {
+  const outputs = history.map((h, i) => (isOutput(h) && !h.summary ? i : -1)).filter(i => i !== -1);
+  const recent = new Set(outputs.slice(-settings.keepRecentOutputs));
+
+  return history.map((entry, index) => {
+    let sent = entry;
+    let truncated = false;
+    if (isOutput(entry) && !entry.summary && !entry.expanded && !recent.has(index)
+        && estimateTokens(entry.content, provider) > settings.maxOutputTokens) {
+      sent = { ...entry, content: truncate(entry.content, settings.maxOutputTokens, provider, index) };
+      truncated = true;
+    }
+    return { index, entry: sent, tokens: entryTokens(sent, provider), truncated };
+  });
+}
+
+export function contextTokens(view) {
+  return view.reduce((sum, v) => sum + v.tokens, 0);
+}
+
+// Index at which to split history so that the kept tail fits in `target`
+// tokens. Tool results are never separated from the model turn that called
+// them. Returns 0 when nothing can be compacted.
+export function findCompactionCut(view, target) {
+  let tail = 0;
+  let start = view.length;
+  while (start > 0 && tail + view[start - 1].tokens <= target) {
+    start--;
+    tail += view[start].tokens;
+  }
+  const isBoundary = (i) => view[i].entry.role !== 'tool';
+  for (let i = Math.max(start, 1); i < view.length; i++) {
+    if (isBoundary(i)) return i;
+  }
+  // Even the last turn is over target: keep just that turn
+  for (let i = view.length - 1; i > 0; i--) {
+    if (isBoundary(i)) return i;
+  }
+  return 0;
+}
+
+// Builds the request asking a model to condense the given entries.
+export function summarizationRequest(entries) {
+  const transcript = entries.map(h => {
+    const calls = h.toolCalls?.length ? ` [calls: ${h.toolCalls.map(c => `${c.name}(${JSON.stringify(c.args)})`).join(', ')}]` : '';
+    const content = (h.content || '').length > 2000 ? `${h.content.slice(0, 2000)} [...]` : (h.content || '');
+    return `${h.role.toUpperCase()}${h.name ? ` (${h.name})` : ''}:${calls} ${content}`;
+  }).join('\n\n').slice(-120000);
+
+  return {
+    system: 'You condense conversations between a user and a terminal AI agent into compact notes for the agent to continue from.',
+    history: [{
+      role: 'user',
+      content: `Summarize the conversation below in at most 250 words. Keep the user's goals and preferences, decisions made, files and commands involved, key findings, and any unfinished work. Omit pleasantries.\n\n${transcript}`
+    }]
+  };
+}
@@ -0,0 +1,490 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import util from 'util';
+import readline from 'readline';
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+import { bexHome } from './sessions.js';
+import { Supervisor } from './supervisor.js';
+
+// =======================
+// BACKGROUND DAEMON
+// =======================
+// `bex daemon start` runs BEX as a detached worker that keeps sessions, the
+// browser, MCP connections and background jobs alive. Terminals talk to it
+// over a Unix socket with newline-delimited JSON messages:
+//   client → daemon  { type: 'attach' | 'input', line | 'answer', text | 'interrupt' | 'status' | 'shutdown' }
+//   daemon → client  { type: 'output', text | 'prompt', text | 'question', text | 'status', ... | 'bye' }
+// One terminal is attached at a time; a new attach takes over.
+// The worker runs under a small supervisor process that restarts it with
+// backoff if it crashes or stops answering on the socket.
+
+export function daemonPaths() {
+  const dir = bexHome();
+  return {
+    dir,
+    pidFile: path.join(dir, 'daemon.pid'),
+    supervisorPidFile: path.join(dir, 'daemon-supervisor.pid'),
+    socket: path.join(dir, 'daemon.sock'),
+    logFile: path.join(dir, 'daemon.log')
+  };
+}
+
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+};
+
+// PID of the running daemon, or null (stale files are cleaned up).
+export function readDaemonPid() {
+  const { pidFile, socket } = daemonPaths();
+  let pid;
+  try { pid = Number(fs.readFileSync(pidFile, 'utf8').trim()); }
+  catch (e) { return null; }
+  if (pid && isAlive(pid)) return pid;
+  fs.rmSync(pidFile, { force: true });
+  fs.rmSync(socket, { force: true });
+  return null;
+}
+
+function readSupervisorPid() {
+  const { supervisorPidFile } = daemonPaths();
+  let pid;
+  try { pid = Number(fs.readFileSync(supervisorPidFile, 'utf8').trim()); }
+  catch (e) { return null; }
+  if (pid && isAlive(pid)) return pid;
+  fs.rmSync(supervisorPidFile, { force: true });
+  return null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function onMessages(stream, handle) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  lines.on('error', () => {}); // Socket errors are handled by the caller
+  lines.on('line', line => {
+    if (!line.trim()) return;
+    let message;
+    try { message = JSON.parse(line); }
+    catch (e) { return; } // Ignore garbage from misbehaving peers
+    handle(message);
+  });
+}
+
+const sendTo = (conn) => (message) => {
+  if (!conn.destroyed) conn.write(JSON.stringify(message) + '\n');
+};
+
+// Sends one message and resolves with the first reply.
+export function requestDaemon(message, { timeoutMs = 5000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const conn = net.createConnection(daemonPaths().socket);
+    const timer = setTimeout(() => {
+      conn.destroy();
+      reject(new Error('Daemon did not answer.'));
+    }, timeoutMs);
+    conn.on('connect', () => sendTo(conn)(message));
+    conn.on('error', e => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    onMessages(conn, reply => {
+      clearTimeout(timer);
+      conn.end();
+      resolve(reply);
+    });
+  });
+}
+
+// =======================
+// SERVER SIDE (runs in the worker)
+// =======================
+
+// Starts the control socket. Handlers:
+//   onInput(line) → Promise   run one line of input
+//   onInterrupt()              Ctrl+C in the attached terminal
+//   getPrompt() → string       prompt shown after each line
+//   getStatus() → object       extra fields for `bex daemon status`
+//   onShutdown()               `bex daemon stop`
+// Everything the process writes to stdout/stderr is mirrored to the attached
+// terminal (with colours) and to the log file (without).
+export function serveDaemon({ onInput, onInterrupt, getPrompt, getStatus, onShutdown }) {
+  const { dir, pidFile, socket } = daemonPaths();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.rmSync(socket, { force: true });
+  fs.writeFileSync(pidFile, String(process.pid));
+  const started = Date.now();
+  let attached = null; // { conn, send, answer }
+
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = stream.write.bind(stream);
+    stream.write = (chunk, ...rest) => {
+      attached?.send({ type: 'output', text: String(chunk) });
+      return write(util.stripVTControlCharacters(String(chunk)), ...rest);
+    };
+  }
+
+  const detach = (conn) => {
+    if (attached?.conn !== conn) return;
+    attached.answer?.('');
+    attached = null;
+  };
+
+  const server = net.createServer(conn => {
+    const send = sendTo(conn);
+    let queue = Promise.resolve();
+    conn.on('error', () => {});
+    conn.on('close', () => detach(conn));
+    onMessages(conn, message => {
+      switch (message.type) {
+        case 'status':
+          send({ type: 'status', pid: process.pid, uptime: Date.now() - started, attached: Boolean(attached), ...getStatus() });
+          break;
+        case 'shutdown':
+          send({ type: 'bye' });
+          conn.end();
+          onShutdown();
+          break;
+        case 'attach':
+          if (attached) {
+            attached.send({ type: 'output', text: chalk.yellow('\nAnother terminal attached to the daemon; detaching.\n') });
+            attached.conn.end();
+            detach(attached.conn);
+          }
+          attached = { conn, send, answer: null };
+          send({ type: 'prompt', text: getPrompt() });
+          break;
+        case 'input':
+          if (attached?.conn !== conn) return;
+          queue = queue
+            .then(() => onInput(String(message.line ?? '')))
+            .catch(e => console.log(chalk.red(`Unexpected error: ${e.message}`)))
+            .then(() => send({ type: 'prompt', text: getPrompt() }));
+          break;
+        case 'answer':
+          if (attached?.conn === conn) attached.answer?.(String(message.text ?? ''));
+          break;
+        case 'interrupt':
+          if (attached?.conn !== conn) return;
+          attached.answer?.(''); // Ctrl+C at a question declines it
+          onInterrupt();
+          break;
+      }
+    });
+  });
+  server.listen(socket, () => fs.chmodSync(socket, 0o600));
+
+  const cleanup = () => {
+    fs.rmSync(socket, { force: true });
+    if (readDaemonPidFile() === process.pid) fs.rmSync(pidFile, { force: true });
+  };
+  process.on('exit', cleanup);
+  process.on('SIGTERM', onShutdown);
+
+  return {
+    get attached() {
+      return Boolean(attached);
+    },
+    // Asks the attached terminal a question; resolves '' when nobody is attached.
+    ask(question) {
+      if (!attached) return Promise.resolve('');
+      const client = attached;
+      return new Promise(resolve => {
+        client.answer = (text) => {
+          client.answer = null;
+          resolve(text);
+        };
+        client.send({ type: 'question', text: question });
+      });
+    }
+  };
+}
+
+function readDaemonPidFile() {
+  try { return Number(fs.readFileSync(daemonPaths().pidFile, 'utf8').trim()); }
+  catch (e) { return null; }
+}
+
+// Waits until the worker answers on the socket, or `isDone()` turns true.
+async function waitForSocket(isDone, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline && !isDone()) {
+    if (fs.existsSync(daemonPaths().socket)) {
+      try {
+        await requestDaemon({ type: 'status' }, { timeoutMs: 1000 });
+        return true;
+      } catch (e) { /* Not listening yet */ }
+    }
+    await sleep(200);
+  }
+  return false;
+}
+
+// =======================
+// SUPERVISOR (parent of the worker)
+// =======================
+
+// Runs `script --worker` until it shuts down cleanly (exit code 0), restarting
+// it after crashes or failed health checks. Resolves with the exit code.
+export function superviseDaemon(script, args = []) {
+  const { dir, supervisorPidFile } = daemonPaths();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(supervisorPidFile, String(process.pid));
+  process.on('exit', () => {
+    if (readSupervisorPid() === process.pid) fs.rmSync(supervisorPidFile, { force: true });
+  });
+
+  const supervisor = new Supervisor({ log: msg => console.log(`[watchdog] ${new Date().toISOString()} ${msg}`) });
+  let worker = null;
+
+  return new Promise(resolve => {
+    const keepAlive = setInterval(() => {}, 60000); // Supervisor timers are unref'd
+    const finish = async (code) => {
+      clearInterval(keepAlive);
+      await supervisor.removeAll();
+      resolve(code);
+    };
+    process.on('SIGTERM', () => finish(0));
+    process.on('SIGINT', () => finish(0));
+
+    supervisor.add('worker', {
+      description: 'BEX daemon worker',
+      start: async (crashed) => {
+        const restarts = supervisor.get('worker')?.restarts ?? 0;
+        const child = spawn(process.execPath, [script, '--worker', ...args], {
+          stdio: ['ignore', 'inherit', 'inherit'],
+          env: { ...process.env, BEX_DAEMON_RESTARTS: String(restarts) }
+        });
+        worker = child;
+        let exited = false;
+        child.on('exit', (code, signal) => {
+          exited = true;
+          if (worker !== child) return; // Replaced or being stopped
+          worker = null;
+          if (code === 0) finish(0);
+          else crashed(new Error(`worker exited (${signal || `code ${code}`})`));
+        });
+        if (!await waitForSocket(() => exited)) {
+          if (!exited) child.kill('SIGKILL');
+          throw new Error('worker did not come up');
+        }
+      },
+      check: () => requestDaemon({ type: 'status' }, { timeoutMs: 10000 }),
+      stop: async () => {
+        const child = worker;
+        worker = null;
+        if (!child || child.exitCode !== null || child.signalCode !== null) return;
+        const gone = new Promise(done => child.once('exit', done));
+        child.kill('SIGTERM'); // The worker saves its session and quits
+        const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+        await gone;
+        clearTimeout(timer);
+      }
+    }).catch(e => {
+      console.log(`[watchdog] ${e.message}`);
+      clearInterval(keepAlive);
+      resolve(1);
+    });
+  });
+}
+
+// =======================
+// CLIENT SIDE
+// =======================
+
+export async function startDaemon(script, args = []) {
+  const running = readDaemonPid() || readSupervisorPid();
+  if (running) throw new Error(`Daemon already running (pid ${running}).`);
+  const { dir, logFile } = daemonPaths();
+  fs.mkdirSync(dir, { recursive: true });
+  const log = fs.openSync(logFile, 'a');
+  fs.writeSync(log, `\n=== BEX daemon starting ${new Date().toISOString()} in ${process.cwd()} ===\n`);
+  const child = spawn(process.execPath, [script, '--supervise', ...args], {
+    detached: true,
+    stdio: ['ignore', log, log],
+    env: { ...process.env, FORCE_COLOR: process.env.FORCE_COLOR || '1' } // Colours are stripped from the log but kept for attached terminals
+  });
+  child.unref();
+  fs.closeSync(log);
+
+  let exited = false;
+  child.on('exit', () => { exited = true; });
+  if (await waitForSocket(() => exited)) return readDaemonPid();
+  throw new Error(`Daemon failed to start; see ${logFile}`);
+}
+
+export async function stopDaemon() {
+  const pid = readDaemonPid();
+  const supervisorPid = readSupervisorPid();
+  if (!pid && !supervisorPid) return false;
+  if (supervisorPid) {
+    process.kill(supervisorPid, 'SIGTERM'); // Stops the worker without restarting it
+  } else {
+    try { await requestDaemon({ type: 'shutdown' }); }
+    catch (e) { process.kill(pid, 'SIGTERM'); } // Socket unresponsive
+  }
+  const pids = [pid, supervisorPid].filter(Boolean);
+  const deadline = Date.now() + 15000;
+  while (pids.some(isAlive) && Date.now() < deadline) await sleep(100);
+  for (const p of pids.filter(isAlive)) process.kill(p, 'SIGKILL');
+  readDaemonPid(); // Clears leftover files
+  readSupervisorPid();
+  return true;
+}
+
+function tailFile(file, lines) {
+  const text = fs.readFileSync(file, 'utf8');
+  return text.split('\n').slice(-lines - 1).join('\n');
+}
+
+function followFile(file) {
+  let position = fs.statSync(file).size;
+  fs.watchFile(file, { interval: 500 }, (current) => {
+    if (current.size < position) position = 0; // Truncated
+    if (current.size === position) return;
+    const stream = fs.createReadStream(file, { start: position, end: current.size - 1 });
+    position = current.size;
+    stream.pipe(process.stdout, { end: false });
+  });
+  return new Promise(() => {}); // Until Ctrl+C
+}
+
+const formatUptime = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return s < 60 ? `${s}s` : s < 3600 ? `${Math.floor(s / 60)}m ${s % 60}s` : `${Math.floor(s / 3600)}h ${Math.floor(s % 3600 / 60)}m`;
+};
+
+// Entry point for `bex daemon <start|stop|status|logs>`. Returns the exit code.
+export async function daemonCommand([sub = 'status', ...args], { script }) {
+  const { logFile, socket } = daemonPaths();
+  switch (sub) {
+    case 'start': {
+      try {
+        const pid = await startDaemon(script, args);
+        console.log(chalk.green(`BEX daemon started (pid ${pid}). Attach with: bex attach`));
+        return 0;
+      } catch (e) {
+        console.log(chalk.red(e.message));
+        return 1;
+      }
+    }
+    case 'stop': {
+      const stopped = await stopDaemon();
+      console.log(stopped ? chalk.green('BEX daemon stopped.') : chalk.gray('BEX daemon is not running.'));
+      return 0;
+    }
+    case 'status': {
+      const pid = readDaemonPid();
+      if (!pid) {
+        const supervisorPid = readSupervisorPid();
+        if (supervisorPid) {
+          console.log(chalk.yellow(`BEX daemon worker is restarting (supervisor pid ${supervisorPid}); see ${logFile}`));
+          return 1;
+        }
+        console.log(chalk.gray('BEX daemon is not running.'));
+        return 3;
+      }
+      try {
+        const status = await requestDaemon({ type: 'status' });
+        console.log(chalk.green(`BEX daemon running (pid ${status.pid}, up ${formatUptime(status.uptime)})`));
+        console.log(chalk.cyan(`Socket: ${socket}`));
+        console.log(chalk.cyan(`Log: ${logFile}`));
+        console.log(chalk.cyan(`Terminal attached: ${status.attached ? 'yes' : 'no'}`));
+        if (status.restarts) console.log(chalk.yellow(`Worker restarts: ${status.restarts}`));
+        if (status.session) console.log(chalk.cyan(`Session: ${status.session}`));
+        if (status.provider) console.log(chalk.cyan(`Provider: ${status.provider}`));
+        if (status.services) console.log(chalk.cyan(`Services: ${status.services}`));
+        if (status.lastActivity) console.log(chalk.cyan(`Last activity: ${new Date(status.lastActivity).toLocaleString()}`));
+      } catch (e) {
+        console.log(chalk.yellow(`BEX daemon process ${pid} exists but does not answer on ${socket}: ${e.message}`));
+        return 1;
+      }
+      return 0;
+    }
+    case 'logs': {
+      if (!fs.existsSync(logFile)) {
+        console.log(chalk.gray(`No daemon log at ${logFile}.`));
+        return 1;
+      }
+      const follow = args.includes('-f') || args.includes('--follow');
+      const lines = Number(args.find(a => /^\d+$/.test(a))) || 50;
+      process.stdout.write(tailFile(logFile, lines));
+      if (follow) await followFile(logFile);
+      return 0;
+    }
+    default:
+      console.log(chalk.red('Usage: bex daemon <start|stop|status|logs [n] [-f]>'));
+      return 1;
+  }
+}
+
+// Connects this terminal to the running daemon. /detach (or /quit) and
+// Ctrl+C while idle leave the daemon running.
+export function attachToDaemon() {
+  return new Promise(resolve => {
+    const pid = readDaemonPid();
+    if (!pid) {
+      console.log(chalk.red('BEX daemon is not running. Start it with: bex daemon start'));
+      return resolve(1);
+    }
+    const conn = net.createConnection(daemonPaths().socket);
+    const send = sendTo(conn);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    let busy = true; // Until the first prompt arrives
+    let question = false;
+    let lastInterrupt = 0;
+
+    const detach = () => {
+      conn.end();
+    };
+
+    conn.on('connect', () => {
+      console.log(chalk.gray(`Attached to BEX daemon (pid ${pid}). /detach leaves it running; \`bex daemon stop\` stops it.`));
+      send({ type: 'attach', cwd: process.cwd() });
+    });
+    conn.on('error', e => console.log(chalk.red(`Daemon connection failed: ${e.message}`)));
+    conn.on('close', () => {
+      rl.close();
+      console.log(chalk.gray('\nDetached from BEX daemon.'));
+      resolve(0);
+    });
+
+    onMessages(conn, message => {
+      if (message.type === 'output') {
+        process.stdout.write(message.text);
+      } else if (message.type === 'prompt') {
+        busy = false;
+        question = false;
+        rl.setPrompt(message.text);
+        rl.prompt();
+      } else if (message.type === 'question') {
+        question = true;
+        rl.setPrompt(message.text);
+        rl.prompt();
+      }
+    });
+
+    rl.on('close', detach); // Ctrl+D or end of piped input
+    rl.on('line', line => {
+      if (question) {
+        question = false;
+        return send({ type: 'answer', text: line });
+      }
+      if (!busy && ['/detach', '/quit', '/exit'].includes(line.trim())) return detach();
+      busy = true;
+      send({ type: 'input', line });
+    });
+    rl.on('SIGINT', () => {
+      if (busy || question) return send({ type: 'interrupt' });
+      if (Date.now() - lastInterrupt < 2000) return detach();
+      lastInterrupt = Date.now();
+      console.log(chalk.gray('\n(Press Ctrl+C again to detach, or type /detach)'));
+      rl.prompt();
+    });
+  });
+}
@@ -0,0 +1,272 @@
+import fs from 'fs';
+import chalk from 'chalk';
+
+// =======================
+// FILE EDITS
+// =======================
+// /edit changes part of a file instead of rewriting it. Edits come in one of
+// two forms:
+//   search/replace blocks          a unified diff (as printed by git diff)
+//     <<<<<<< SEARCH                 --- a/app.js
+//     old lines                      +++ b/app.js
+//     =======                        @@ -10,3 +10,3 @@
+//     new lines                       context
+//     >>>>>>> REPLACE                -old
+//                                    +new
+// Blocks apply in order, each to the result of the one before. A SEARCH text
+// (or a hunk's context and removed lines) must match whole lines exactly once;
+// otherwise nothing is written and the error names the failing block. An
+// empty SEARCH creates a file that does not exist yet. Line endings follow the
+// file's own (CRLF files stay CRLF).
+
+const DIFF_CONTEXT = 3;
+const MAX_DIFF_CELLS = 4000000; // Larger changed regions are shown as one replacement
+
+export class EditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EditError';
+  }
+}
+
+const SEARCH_MARK = /^<{5,9} ?SEARCH\s*$/;
+const DIVIDER_MARK = /^={5,9}\s*$/;
+const REPLACE_MARK = /^>{5,9} ?REPLACE\s*$/;
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/;
+
+function parseBlocks(lines) {
+  const edits = [];
+  let block = null;
+  for (const line of lines) {
+    if (!block) {
+      if (SEARCH_MARK.test(line)) block = { search: [], replace: [], part: 'search' };
+    } else if (block.part === 'search' && DIVIDER_MARK.test(line)) {
+      block.part = 'replace';
+    } else if (block.part === 'replace' && REPLACE_MARK.test(line)) {
+      edits.push({ search: block.search.join('\n'), replace: block.replace.join('\n') });
+      block = null;
+    } else {
+      block[block.part].push(line);
+    }
+  }
+  if (block) {
+    throw new EditError(`Block ${edits.length + 1} is missing its ${block.part === 'search' ? '=======' : '>>>>>>> REPLACE'} line.`);
+  }
+  return edits;
+}
+
+function parseHunks(lines) {
+  const edits = [];
+  let hunk = null;
+  for (const line of lines) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      hunk = { search: [], replace: [], line: Number(header[1]) };
+      edits.push(hunk);
+    } else if (!hunk || /^(?:---|\+\+\+|diff |index )/.test(line) || line.startsWith('\\')) {
+      continue; // File headers and "\ No newline at end of file"
+    } else if (line.startsWith('-')) {
+      hunk.search.push(line.slice(1));
+    } else if (line.startsWith('+')) {
+      hunk.replace.push(line.slice(1));
+    } else {
+      // Context; models often drop the leading space of blank lines
+      const text = line.startsWith(' ') ? line.slice(1) : line;
+      hunk.search.push(text);
+      hunk.replace.push(text);
+    }
+  }
+  // Trailing blank context lines are usually an artifact of the text's final newline
+  for (const edit of edits) {
+    while (edit.search.length && edit.search.at(-1) === '' && edit.replace.at(-1) === '') {
+      edit.search.pop();
+      edit.replace.pop();
+    }
+  }
+  return edits.map(edit => ({ search: edit.search.join('\n'), replace: edit.replace.join('\n'), line: edit.line }));
+}
+
+// Parses edit text into [{ search, replace, line? }] (line: a diff hunk's
+// starting line, used to tell identical matches apart).
+export function parseEdits(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  let edits = [];
+  if (lines.some(line => SEARCH_MARK.test(line))) edits = parseBlocks(lines);
+  else if (lines.some(line => HUNK_HEADER.test(line))) edits = parseHunks(lines);
+  if (!edits.length) {
+    throw new EditError('No edits found. Use <<<<<<< SEARCH / ======= / >>>>>>> REPLACE blocks or a unified diff (@@ hunks).');
+  }
+  return edits;
+}
+
+const lineAt = (content, index) => content.slice(0, index).split('\n').length;
+
+// Offsets where `search` matches whole lines of `content`.
+function findMatches(content, search) {
+  const found = [];
+  for (let i = content.indexOf(search); i !== -1; i = content.indexOf(search, i + 1)) {
+    const end = i + search.length;
+    if ((i === 0 || content[i - 1] === '\n') && (end === content.length || content[end] === '\n')) found.push(i);
+  }
+  return found;
+}
+
+// Applies parsed edits to `content` (with \n line endings). `name` is used
+// in error messages. Throws EditError when a block cannot be placed.
+export function applyEdits(content, edits, { name = 'the file' } = {}) {
+  let result = content;
+  let shift = 0; // Lines added by earlier hunks, to follow a diff's line numbers
+  edits.forEach((edit, i) => {
+    const label = edits.length > 1 ? `Block ${i + 1}` : 'The edit';
+    if (!edit.search) {
+      if (result.trim()) throw new EditError(`${label} has an empty SEARCH, which only works for a new or empty file; ${name} is not empty.`);
+      result = edit.replace.endsWith('\n') || !edit.replace ? edit.replace : `${edit.replace}\n`;
+      return;
+    }
+    let matches = findMatches(result, edit.search);
+    if (matches.length > 1 && edit.line) {
+      const hinted = matches.filter(at => lineAt(result, at) === edit.line + shift);
+      if (hinted.length === 1) matches = hinted;
+    }
+    if (matches.length === 0) {
+      const first = edit.search.split('\n').find(line => line.trim());
+      const near = first ? findMatches(result, first).map(at => lineAt(result, at)) : [];
+      const hint = near.length ? ` Its first line appears at line ${near.slice(0, 5).join(', ')}; check the lines after it (whitespace must match exactly).` : '';
+      throw new EditError(`${label}: the search text was not found in ${name}.${hint}`);
+    }
+    if (matches.length > 1) {
+      const lines = matches.map(at => lineAt(result, at));
+      throw new EditError(`${label}: the search text matches ${matches.length} places in ${name} (lines ${lines.slice(0, 5).join(', ')}${lines.length > 5 ? ', …' : ''}). Include more surrounding lines so it matches once.`);
+    }
+    const at = matches[0];
+    let end = at + edit.search.length;
+    if (!edit.replace && result[end] === '\n') end++; // Deleted lines take their line break along
+    result = result.slice(0, at) + edit.replace + result.slice(end);
+    shift += (edit.replace ? edit.replace.split('\n').length : 0) - edit.search.split('\n').length;
+  });
+  return result;
+}
+
+// =======================
+// DIFF
+// =======================
+
+// Line operations turning `a` into `b`: [{ op: ' ' | '-' | '+', text }].
+function diffOps(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = a.slice(0, start).map(text => ({ op: ' ', text }));
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(text => ({ op: '-', text })), ...midB.map(text => ({ op: '+', text })));
+  } else {
+    // Longest common subsequence, filled from the end
+    const width = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j] ? lcs[(i + 1) * width + j + 1] + 1 : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push({ op: ' ', text: midA[i++] });
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push({ op: '-', text: midA[i++] });
+      } else {
+        ops.push({ op: '+', text: midB[j++] });
+      }
+    }
+  }
+  ops.push(...a.slice(endA).map(text => ({ op: ' ', text })));
+  return ops;
+}
+
+const splitLines = (text) => {
+  const lines = text.split('\n');
+  if (lines.at(-1) === '') lines.pop();
+  return lines;
+};
+
+// Unified diff of two texts with `context` lines around each change.
+// Resolves to { text, added, removed }; text is '' when nothing changed.
+export function diffLines(before, after, { path = 'file', context = DIFF_CONTEXT } = {}) {
+  const ops = diffOps(splitLines(before), splitLines(after));
+  const changed = ops.map((o, i) => (o.op === ' ' ? -1 : i)).filter(i => i !== -1);
+  if (!changed.length) return { text: '', added: 0, removed: 0 };
+
+  // Group changes whose context overlaps into hunks
+  const ranges = [];
+  for (const i of changed) {
+    const last = ranges.at(-1);
+    if (last && i - last.end <= context * 2 + 1) last.end = i;
+    else ranges.push({ start: i, end: i });
+  }
+  const out = [`--- ${path}`, `+++ ${path}`];
+  let added = 0;
+  let removed = 0;
+  for (const range of ranges) {
+    const from = Math.max(0, range.start - context);
+    const to = Math.min(ops.length, range.end + context + 1);
+    const before = ops.slice(0, from);
+    const oldStart = before.filter(o => o.op !== '+').length + 1;
+    const newStart = before.filter(o => o.op !== '-').length + 1;
+    const body = ops.slice(from, to);
+    const oldCount = body.filter(o => o.op !== '+').length;
+    const newCount = body.filter(o => o.op !== '-').length;
+    out.push(`@@ -${oldCount ? oldStart : oldStart - 1},${oldCount} +${newCount ? newStart : newStart - 1},${newCount} @@`);
+    for (const { op, text } of body) {
+      out.push(`${op}${text}`);
+      if (op === '+') added++;
+      if (op === '-') removed++;
+    }
+  }
+  return { text: out.join('\n'), added, removed };
+}
+
+export function formatDiff(text) {
+  return text.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    return chalk.gray(line);
+  }).join('\n');
+}
+
+// =======================
+// FILES
+// =======================
+
+// Works out what applying `editText` to `file` would do, without writing.
+// Resolves to { file, content, diff, added, removed, created } where content
+// is the new file text. Throws EditError when the edits do not apply.
+export async function prepareEdit(file, editText) {
+  let original = '';
+  let created = false;
+  try { original = await fs.promises.readFile(file, 'utf8'); }
+  catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    created = true;
+  }
+  const crlf = original.includes('\r\n');
+  const before = crlf ? original.replace(/\r\n/g, '\n') : original;
+  const edits = parseEdits(editText);
+  if (created && edits.some(edit => edit.search)) {
+    throw new EditError(`${file} does not exist. Create it with an empty SEARCH block (or /write).`);
+  }
+  const after = applyEdits(before, edits, { name: file });
+  const diff = diffLines(before, after, { path: file });
+  return { file, content: crlf ? after.replace(/\n/g, '\r\n') : after, diff: diff.text, added: diff.added, removed: diff.removed, created };
+}
@@ -0,0 +1,265 @@
+import fs from 'fs';
+import path from 'path';
+
+// =======================
+// FILE WALKING & GLOBS
+// =======================
+// Shared by /grep, /glob and the other commands that look at a whole project.
+// Globs follow gitignore conventions: `*` and `?` stay inside one path
+// segment, `**` spans directories, `[a-z]` / `[!a-z]` are classes, `{a,b}`
+// alternatives and `\` escapes. The walker honours .gitignore files (nested
+// ones included, plus .git/info/exclude) and node_modules, skips hidden
+// entries unless asked not to, and reads directories concurrently.
+
+const DEFAULT_CONCURRENCY = 16;
+const ALWAYS_SKIPPED = new Set(['.git']);
+const DEFAULT_SKIPPED = new Set(['node_modules']);
+
+// Converts a glob to a RegExp source matching a whole relative path.
+function globSource(glob) {
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+        i++;
+        if (atStart && atEnd) {
+          if (glob[i + 1] === '/') {
+            i++;
+            source += '(?:.*/)?'; // `**/` : zero or more directories
+          } else {
+            source += '.*'; // trailing `**` : everything below
+          }
+          continue;
+        }
+      }
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      let body = glob.slice(i + 1, end);
+      const negated = body[0] === '!' || body[0] === '^';
+      if (negated) body = body.slice(1);
+      source += `[${negated ? '^/' : ''}${body.replace(/\\/g, '\\\\').replace(/^\]/, '\\]')}]`;
+      i = end;
+    } else if (ch === '{') {
+      braces++;
+      source += '(?:';
+    } else if (ch === ',' && braces > 0) {
+      source += '|';
+    } else if (ch === '}' && braces > 0) {
+      braces--;
+      source += ')';
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+  return source + ')'.repeat(braces);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// A glob without a slash matches the file name at any depth (`*.js`), one
+// with a slash matches the path from the root (`src/**/*.js`).
+export function globToRegExp(glob) {
+  const anchored = glob.replace(/^\//, '');
+  const prefix = glob.includes('/') && !glob.startsWith('**/') ? '' : '(?:.*/)?';
+  return new RegExp(`^${prefix}${globSource(anchored)}$`);
+}
+
+// Returns (relativePath) => boolean for a list of globs; `!glob` excludes.
+// With no positive globs everything not excluded matches.
+export function globMatcher(globs = []) {
+  const include = globs.filter(g => !g.startsWith('!')).map(globToRegExp);
+  const exclude = globs.filter(g => g.startsWith('!')).map(g => globToRegExp(g.slice(1)));
+  return (relPath) => {
+    const p = relPath.split(path.sep).join('/');
+    return (include.length === 0 || include.some(re => re.test(p))) && !exclude.some(re => re.test(p));
+  };
+}
+
+// =======================
+// .gitignore
+// =======================
+
+// Parses one ignore file into rules relative to `base` (an absolute directory).
+export function parseIgnore(text, base) {
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    line = line.replace(/(?<!\\)\s+$/, '');
+    const negated = line.startsWith('!');
+    if (negated) line = line.slice(1);
+    if (line.startsWith('\\#') || line.startsWith('\\!')) line = line.slice(1);
+    const dirOnly = line.endsWith('/');
+    if (dirOnly) line = line.slice(0, -1);
+    if (!line) continue;
+    rules.push({ regex: globToRegExp(line.includes('/') ? `/${line.replace(/^\//, '')}` : line), negated, dirOnly });
+  }
+  return { base, rules };
+}
+
+function readIgnore(file, base) {
+  try { return parseIgnore(fs.readFileSync(file, 'utf8'), base); }
+  catch (e) { return null; }
+}
+
+// True when the deepest ignore file with a matching rule says so (the last
+// matching rule in a file wins, as in git).
+function isIgnored(sets, absPath, isDir) {
+  for (let i = sets.length - 1; i >= 0; i--) {
+    const { base, rules } = sets[i];
+    const rel = path.relative(base, absPath).split(path.sep).join('/');
+    if (!rel || rel.startsWith('..')) continue;
+    for (let j = rules.length - 1; j >= 0; j--) {
+      const rule = rules[j];
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.regex.test(rel)) return !rule.negated;
+    }
+  }
+  return false;
+}
+
+// Ignore files that apply above `root`: .gitignore files from the enclosing
+// repository's top down to root's parent, and .git/info/exclude.
+function ancestorIgnores(root) {
+  let top = root;
+  while (!fs.existsSync(path.join(top, '.git'))) {
+    if (path.dirname(top) === top) return [];
+    top = path.dirname(top);
+  }
+  const sets = [readIgnore(path.join(top, '.git', 'info', 'exclude'), top)];
+  const dirs = [];
+  for (let dir = root; dir !== top;) {
+    dir = path.dirname(dir);
+    dirs.unshift(dir);
+  }
+  for (const dir of dirs) sets.push(readIgnore(path.join(dir, '.gitignore'), dir));
+  return sets.filter(Boolean);
+}
+
+// =======================
+// WALKER
+// =======================
+
+// Runs at most `concurrency` tasks at once. Tasks must not wait on each other.
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || !queue.length) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve().then(task).then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+// Calls onFile({ path, relPath, dirent }) for every file under `root`
+// (relPath uses /). Options:
+//   gitignore (true)   honour .gitignore files (and skip node_modules)
+//   hidden (false)     include dotfiles and dot-directories
+//   filter(relPath)    only files for which it returns true are reported
+//   concurrency        parallel directory reads and onFile calls
+//   shouldStop()       checked before each directory and file
+// Resolves to { files, dirs } counts once everything (onFile included) is done.
+export async function walkFiles(root, onFile, { gitignore = true, hidden = false, filter = () => true, concurrency = DEFAULT_CONCURRENCY, shouldStop = () => false } = {}) {
+  const absRoot = path.resolve(root);
+  const limit = createLimiter(concurrency);
+  const stats = { files: 0, dirs: 0 };
+  const skip = (name) => ALWAYS_SKIPPED.has(name) || (!hidden && name.startsWith('.')) || (gitignore && DEFAULT_SKIPPED.has(name));
+
+  const walk = async (dir, sets) => {
+    if (shouldStop()) return;
+    let entries;
+    try { entries = await limit(() => fs.promises.readdir(dir, { withFileTypes: true })); }
+    catch (e) { return; } // Unreadable directory
+    stats.dirs++;
+    if (gitignore && entries.some(e => e.name === '.gitignore' && e.isFile())) {
+      const own = readIgnore(path.join(dir, '.gitignore'), dir);
+      if (own) sets = [...sets, own];
+    }
+    const pending = [];
+    for (const entry of entries) {
+      if (skip(entry.name)) continue;
+      const abs = path.join(dir, entry.name);
+      const isDir = entry.isDirectory();
+      if (gitignore && isIgnored(sets, abs, isDir)) continue;
+      if (isDir) {
+        pending.push(walk(abs, sets));
+      } else if (entry.isFile()) {
+        const relPath = path.relative(absRoot, abs).split(path.sep).join('/');
+        if (!filter(relPath)) continue;
+        pending.push(limit(async () => {
+          if (shouldStop()) return;
+          stats.files++;
+          await onFile({ path: abs, relPath, dirent: entry });
+        }));
+      }
+    }
+    await Promise.all(pending);
+  };
+
+  await walk(absRoot, gitignore ? ancestorIgnores(absRoot) : []);
+  return stats;
+}
+
+// The directory a glob's matches must be under: `src/lib/**/*.js` → src/lib.
+export function staticPrefix(glob) {
+  if (!glob.includes('/')) return '';
+  const parts = glob.replace(/^\//, '').split('/').slice(0, -1);
+  const fixed = [];
+  for (const part of parts) {
+    if (/[*?[\]{}\\]/.test(part)) break;
+    fixed.push(part);
+  }
+  return fixed.join('/');
+}
+
+// Files under `cwd` matching globs (`!glob` excludes), newest first:
+// [{ path, mtimeMs, size }]. A single pattern with a fixed leading directory
+// only walks that directory.
+export async function globFiles(globs, { cwd = process.cwd(), gitignore = true, hidden = false } = {}) {
+  const clean = globs.map(g => g.replace(/^(!?)\.\//, '$1'));
+  const positive = clean.filter(g => !g.startsWith('!'));
+  const prefix = positive.length === 1 ? staticPrefix(positive[0]) : '';
+  const root = path.join(cwd, prefix);
+  const matches = globMatcher(clean);
+  const found = [];
+  if (!fs.existsSync(root)) return found;
+  await walkFiles(root, async ({ path: abs, relPath }) => {
+    try {
+      const { mtimeMs, size } = await fs.promises.stat(abs);
+      found.push({ path: prefix ? `${prefix}/${relPath}` : relPath, mtimeMs, size });
+    } catch (e) { /* Removed meanwhile */ }
+  }, { gitignore, hidden, filter: (relPath) => matches(prefix ? `${prefix}/${relPath}` : relPath) });
+  return found.sort((a, b) => b.mtimeMs - a.mtimeMs || a.path.localeCompare(b.path));
+}
+
+// True when the start of the file looks binary (contains a NUL byte).
+export async function isBinaryFile(file, bytes = 8000) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
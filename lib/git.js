@@ -0,0 +1,63 @@
+import { execFile } from 'child_process';
+
+// =======================
+// GIT
+// =======================
+// Helpers for /git. Git runs without a shell, so paths and messages reach it
+// exactly as typed, and never prompts (GIT_TERMINAL_PROMPT=0) since BEX owns
+// the terminal. Commit messages are drafted by the current provider from the
+// staged diff; commitMessageRequest builds that request.
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+const MAX_DRAFT_DIFF_CHARS = 60000; // Diff text sent when drafting a commit message
+
+export class GitError extends Error {
+  constructor(message, { code } = {}) {
+    super(message);
+    this.name = 'GitError';
+    this.code = code;
+  }
+}
+
+// Runs `git <args>` and resolves to its stdout. Rejects with a GitError
+// carrying git's own message.
+export function runGit(args, { cwd = process.cwd() } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: MAX_BUFFER, env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } }, (error, stdout, stderr) => {
+      if (!error) return resolve(stdout);
+      const message = error.code === 'ENOENT' ? 'git is not installed' : (stderr || stdout || error.message).trim();
+      reject(new GitError(message, { code: error.code }));
+    });
+  });
+}
+
+// Splits leading options from paths: `--staged src` → { flags: ['--staged'], paths: ['src'] }.
+// Everything after `--` is a path.
+export function splitPathArgs(args) {
+  const end = args.indexOf('--');
+  const head = end === -1 ? args : args.slice(0, end);
+  const flags = head.filter(a => a.startsWith('-'));
+  const paths = [...head.filter(a => !a.startsWith('-')), ...(end === -1 ? [] : args.slice(end + 1))];
+  return { flags, paths };
+}
+
+// The request that drafts a commit message for `diff` (the staged changes).
+// `log` is recent subjects, so the draft follows the repository's style.
+export function commitMessageRequest(diff, { stat = '', log = '', branch = '' } = {}) {
+  const shown = diff.length > MAX_DRAFT_DIFF_CHARS ? `${diff.slice(0, MAX_DRAFT_DIFF_CHARS)}\n[... diff cut; see the summary above for every file]` : diff;
+  return {
+    system: 'You write git commit messages. Reply with the commit message only: no preamble, no code fences.',
+    history: [{
+      role: 'user',
+      content: `Write a commit message for the staged changes below. Use an imperative subject line of at most 72 characters; add a blank line and a short body only when the reason for the change is not obvious from the subject. Match the style of the recent commits.${branch ? `\n\nBranch: ${branch}` : ''}${log ? `\n\nRecent commits:\n${log}` : ''}\n\nChanged files:\n${stat}\n\nDiff:\n${shown}`
+    }]
+  };
+}
+
+// Tidies a drafted message: drops code fences and surrounding quotes, trims
+// trailing spaces, and collapses runs of blank lines.
+export function cleanCommitMessage(text) {
+  let message = (text || '').trim().replace(/^```[\w-]*\n([\s\S]*?)\n```$/, '$1').trim();
+  if (/^(["'`]).*\1$/s.test(message)) message = message.slice(1, -1).trim();
+  return message.split('\n').map(line => line.trimEnd()).join('\n').replace(/\n{3,}/g, '\n\n');
+}
@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import chalk from 'chalk';
+import { walkFiles, globMatcher, isBinaryFile } from './files.js';
+
+// =======================
+// GREP
+// =======================
+//   /grep [-E] [-i] [-C n] [--include glob]... [--exclude glob]... [-m n]
+//         [--no-ignore] [--hidden] [--] <pattern> [path...]
+// The pattern is literal text unless -E makes it a regular expression. Files
+// are streamed line by line, so big files are never read whole, and binary
+// files (a NUL byte near the start) are skipped. Directories are walked with
+// lib/files.js (.gitignore aware, concurrent). Results are grouped per file
+// and sorted by path; the search stops after `maxMatches` matches.
+
+export const DEFAULT_MAX_MATCHES = 1000;
+const MAX_CONTEXT = 20;
+const MAX_LINE_CHARS = 400;
+const WHOLE_FILE_BYTES = 1024 * 1024;
+const BINARY_SNIFF_BYTES = 8000;
+
+export class GrepError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GrepError';
+  }
+}
+
+export const GREP_USAGE = 'Usage: /grep [-E] [-i] [-C n] [--include glob] [--exclude glob] [-m n] [--no-ignore] [--hidden] <pattern> [path...]';
+
+export function parseGrepArgs(args) {
+  const options = { regex: false, ignoreCase: false, context: 0, include: [], exclude: [], maxMatches: DEFAULT_MAX_MATCHES, gitignore: true, hidden: false };
+  const positional = [];
+  const number = (flag, value, max = Infinity) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new GrepError(`${flag} needs a non-negative number.`);
+    return Math.min(n, max);
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--') {
+      positional.push(...args.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') positional.push(arg);
+    else if (arg === '-E' || arg === '--regex') options.regex = true;
+    else if (arg === '-i' || arg === '--ignore-case') options.ignoreCase = true;
+    else if (/^-C\d+$/.test(arg)) options.context = number('-C', arg.slice(2), MAX_CONTEXT);
+    else if (arg === '-C' || arg === '--context') options.context = number(arg, args[++i], MAX_CONTEXT);
+    else if (arg === '-m' || arg === '--max') options.maxMatches = number(arg, args[++i]) || Infinity;
+    else if (arg === '--include' || arg === '--exclude') {
+      if (!args[i + 1]) throw new GrepError(`${arg} needs a glob.`);
+      options[arg.slice(2)].push(args[++i]);
+    } else if (arg === '--no-ignore') options.gitignore = false;
+    else if (arg === '--hidden') options.hidden = true;
+    else throw new GrepError(`Unknown option ${arg}. ${GREP_USAGE}`);
+  }
+  const [pattern, ...paths] = positional;
+  if (!pattern) throw new GrepError(GREP_USAGE);
+  return { ...options, pattern, paths: paths.length ? paths : ['.'] };
+}
+
+export function compilePattern(pattern, { regex = false, ignoreCase = false } = {}) {
+  const source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try { return new RegExp(source, ignoreCase ? 'gi' : 'g'); }
+  catch (e) { throw new GrepError(`${e.message}. Drop -E to search for the literal text.`); }
+}
+
+const clip = (text) => (text.length > MAX_LINE_CHARS ? `${text.slice(0, MAX_LINE_CHARS)}…` : text);
+
+const matches = (re, line) => {
+  re.lastIndex = 0;
+  return re.test(line);
+};
+
+// Finds matches in a sequence of lines (an array or an async iterable).
+// Resolves to { matches, blocks } where blocks are runs of adjacent lines:
+// [{ number, text, match }].
+async function scanLines(lines, re, { context, budget }) {
+  const blocks = [];
+  let count = 0;
+  let block = null;
+  let before = [];
+  let after = 0;
+  let number = 0;
+  for await (const line of lines) {
+    number++;
+    if (matches(re, line)) {
+      if (!budget.take()) break;
+      count++;
+      if (!block || block.at(-1).number < number - before.length - 1) {
+        block = [];
+        blocks.push(block);
+      }
+      block.push(...before, { number, text: clip(line), match: true });
+      before = [];
+      after = context;
+    } else if (after > 0) {
+      block.push({ number, text: clip(line), match: false });
+      after--;
+    } else if (context) {
+      before.push({ number, text: clip(line), match: false });
+      if (before.length > context) before.shift();
+    }
+  }
+  return { matches: count, blocks };
+}
+
+// Searches one file; resolves to null for binary files. Small files are read
+// whole, bigger ones streamed.
+async function searchFile(file, re, options) {
+  const { size } = await fs.promises.stat(file);
+  if (size <= WHOLE_FILE_BYTES) {
+    const buffer = await fs.promises.readFile(file);
+    if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return null;
+    const lines = buffer.toString('utf8').split(/\r?\n/);
+    if (lines.at(-1) === '') lines.pop();
+    return scanLines(lines, re, options);
+  }
+  if (await isBinaryFile(file, BINARY_SNIFF_BYTES)) return null;
+  const stream = fs.createReadStream(file, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    return await scanLines(lines, re, options);
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+// Runs a search. Resolves to
+// { files: [{ path, matches, blocks }], matches, searched, binary, truncated, context }
+// where `path` is relative to cwd.
+export async function grep({ pattern, paths = ['.'], regex, ignoreCase, context = 0, include = [], exclude = [], maxMatches = DEFAULT_MAX_MATCHES, gitignore = true, hidden = false, cwd = process.cwd() }) {
+  const re = compilePattern(pattern, { regex, ignoreCase });
+  let remaining = maxMatches;
+  const budget = { take: () => remaining-- > 0 };
+  const result = { files: [], matches: 0, searched: 0, binary: 0, truncated: false, context };
+  const filter = globMatcher([...include, ...exclude.map(glob => `!${glob}`)]);
+
+  const search = async (file, shown) => {
+    if (remaining <= 0) return;
+    try {
+      const found = await searchFile(file, re, { context, budget });
+      if (!found) {
+        result.binary++;
+        return;
+      }
+      result.searched++;
+      if (found.matches) {
+        result.files.push({ path: shown, ...found });
+        result.matches += found.matches;
+      }
+    } catch (e) { /* Unreadable file */ }
+  };
+
+  for (const target of paths) {
+    const abs = path.resolve(cwd, target);
+    let stat;
+    try { stat = await fs.promises.stat(abs); }
+    catch (e) { throw new GrepError(`No such file or directory: ${target}`); }
+    if (stat.isDirectory()) {
+      await walkFiles(abs, ({ path: file }) => search(file, path.relative(cwd, file) || path.basename(file)), {
+        gitignore, hidden, filter, shouldStop: () => remaining <= 0
+      });
+    } else {
+      await search(abs, target);
+    }
+  }
+  result.truncated = remaining <= 0; // Stopped at the limit
+  result.files.sort((a, b) => a.path.localeCompare(b.path));
+  return result;
+}
+
+// Formats results as grep does: `path:line:text` for matches, `path-line-text`
+// for context lines and, with context, `--` between separate blocks. With
+// `re`, output is colored and matches are highlighted.
+export function formatGrepResults(result, { re = null } = {}) {
+  const out = [];
+  for (const file of result.files) {
+    file.blocks.forEach((block, i) => {
+      if (result.context && (i > 0 || out.length)) out.push(re ? chalk.gray('--') : '--');
+      for (const { number, text, match } of block) {
+        if (!re) {
+          out.push(`${file.path}${match ? ':' : '-'}${number}${match ? ':' : '-'}${text}`);
+          continue;
+        }
+        re.lastIndex = 0;
+        const shown = match ? text.replace(re, (m) => chalk.red.bold(m)) : chalk.gray(text);
+        out.push(`${chalk.cyan(file.path)}${chalk.gray(match ? ':' : '-')}${chalk.yellow(number)}${chalk.gray(match ? ':' : '-')}${shown}`);
+      }
+    });
+  }
+  return out;
+}
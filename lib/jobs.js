@@ -0,0 +1,159 @@
+import { spawn } from 'child_process';
+
+// =======================
+// SHELL COMMANDS & BACKGROUND JOBS
+// =======================
+// Commands run through the shell in their own process group so a timeout or
+// /kill stops the whole pipeline. Output is streamed to callbacks and only the
+// most recent MAX_OUTPUT_CHARS are retained, so chatty commands cannot exhaust
+// memory the way exec's maxBuffer did.
+// Every job belongs to an `owner` (the conversation state that started it), so
+// API sessions served by one process only see and stop their own jobs. Job ids
+// stay unique across owners.
+
+const MAX_OUTPUT_CHARS = 200000;
+const KILL_GRACE_MS = 2000;
+
+class OutputBuffer {
+  constructor(limit = MAX_OUTPUT_CHARS) {
+    this.limit = limit;
+    this.text = '';
+    this.dropped = 0;
+  }
+
+  push(chunk) {
+    this.text += chunk;
+    if (this.text.length > this.limit) {
+      const excess = this.text.length - this.limit;
+      this.dropped += excess;
+      this.text = this.text.slice(excess);
+    }
+  }
+
+  // The last `lines` lines, with a marker when older output was discarded.
+  tail(lines = Infinity) {
+    const all = this.text.split('\n');
+    if (all[all.length - 1] === '') all.pop();
+    const kept = Number.isFinite(lines) ? all.slice(-lines) : all;
+    const omitted = all.length - kept.length;
+    const note = this.dropped || omitted ? `[... earlier output omitted ...]\n` : '';
+    return note + kept.join('\n');
+  }
+}
+
+function killGroup(child, signal = 'SIGTERM') {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  try { process.kill(-child.pid, signal); }
+  catch (e) {
+    try { child.kill(signal); } catch (err) { /* Already gone */ }
+  }
+}
+
+// Stops a process group, escalating to SIGKILL if it ignores SIGTERM.
+function terminate(child) {
+  killGroup(child, 'SIGTERM');
+  const timer = setTimeout(() => killGroup(child, 'SIGKILL'), KILL_GRACE_MS);
+  timer.unref();
+}
+
+function startProcess(command, { cwd, onOutput, input = null }) {
+  const child = spawn(command, { shell: true, cwd, detached: true, stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+  if (input !== null) {
+    child.stdin.on('error', () => {}); // The command may exit without reading it
+    child.stdin.end(input);
+  }
+  const output = new OutputBuffer();
+  const collect = (stream) => (chunk) => {
+    const text = chunk.toString();
+    output.push(text);
+    onOutput?.(text, stream);
+  };
+  child.stdout.on('data', collect('stdout'));
+  child.stderr.on('data', collect('stderr'));
+  const done = new Promise(resolve => {
+    child.on('error', e => resolve({ code: null, signal: null, error: e.message }));
+    child.on('close', (code, signal) => resolve({ code, signal }));
+  });
+  return { child, output, done };
+}
+
+// Runs a command in the foreground, with `input` (if given) on its stdin.
+// Resolves to { code, signal, output, timedOut, cancelled, error?, durationMs }.
+export async function runCommand(command, { cwd = process.cwd(), timeoutMs = 0, signal, onOutput, input = null } = {}) {
+  const started = Date.now();
+  const { child, output, done } = startProcess(command, { cwd, onOutput, input });
+  let timedOut = false;
+  let cancelled = false;
+  const timer = timeoutMs > 0 ? setTimeout(() => { timedOut = true; terminate(child); }, timeoutMs) : null;
+  const onAbort = () => { cancelled = true; terminate(child); };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  try {
+    const result = await done;
+    return { ...result, output: output.tail(), timedOut, cancelled, durationMs: Date.now() - started };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+const jobs = new Map();
+let nextJobId = 1;
+
+// Starts a background job for `owner` and returns it. `onExit(job)` fires when it ends.
+export function startJob(command, { cwd = process.cwd(), timeoutMs = 0, onExit, owner = null } = {}) {
+  const { child, output, done } = startProcess(command, { cwd });
+  const job = { id: nextJobId++, owner, command, pid: child.pid, started: new Date(), ended: null, status: 'running', code: null, signal: null, output, child };
+  jobs.set(job.id, job);
+  const timer = timeoutMs > 0 ? setTimeout(() => { job.status = 'timed out'; terminate(child); }, timeoutMs) : null;
+  job.done = done.then(result => {
+    clearTimeout(timer);
+    job.ended = new Date();
+    job.code = result.code;
+    job.signal = result.signal;
+    if (job.status === 'running') {
+      job.status = result.error ? 'failed' : result.code === 0 ? 'done' : 'exited';
+    }
+    if (result.error) output.push(`${result.error}\n`);
+    onExit?.(job);
+    return job;
+  });
+  return job;
+}
+
+// `owner`'s jobs, or every job when no owner is given.
+export function listJobs(owner) {
+  const all = [...jobs.values()];
+  return owner === undefined ? all : all.filter(job => job.owner === owner);
+}
+
+export function getJob(id, owner) {
+  const job = jobs.get(Number(String(id).replace(/^%/, '')));
+  return job && (owner === undefined || job.owner === owner) ? job : undefined;
+}
+
+export function killJob(job) {
+  if (job.status !== 'running') return false;
+  job.status = 'killed';
+  terminate(job.child);
+  return true;
+}
+
+export function killAllJobs(owner) {
+  listJobs(owner).forEach(killJob);
+}
+
+// Resolves with the job once it ends, or null if `timeoutMs` passes first.
+export function waitJob(job, { timeoutMs = 0, signal } = {}) {
+  if (job.status !== 'running') return Promise.resolve(job);
+  return new Promise(resolve => {
+    const timer = timeoutMs > 0 ? setTimeout(() => resolve(null), timeoutMs) : null;
+    signal?.addEventListener('abort', () => { clearTimeout(timer); resolve(null); }, { once: true });
+    job.done.then(() => { clearTimeout(timer); resolve(job); });
+  });
+}
+
+export function describeJobStatus(job) {
+  if (job.status === 'running') return 'running';
+  if (job.status === 'done' || job.status === 'exited') return `${job.status} (code ${job.code})`;
+  return job.signal ? `${job.status} (${job.signal})` : job.status;
+}
@@ -0,0 +1,354 @@
+import { spawn } from 'child_process';
+import readline from 'readline';
+
+// =======================
+// MCP CLIENT (JSON-RPC 2.0)
+// =======================
+// Speaks the Model Context Protocol over either a spawned stdio process or the
+// Streamable HTTP transport. Only the client side of the tools capability is
+// implemented: initialize, tools/list and tools/call.
+
+export const MCP_PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_INFO = { name: 'bex-cli-ultra', version: '1.0.0' };
+const REQUEST_TIMEOUT = 30000;
+
+export class McpError extends Error {
+  constructor(message, code, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// Newline-delimited JSON-RPC over a child process' stdin/stdout.
+class StdioTransport {
+  constructor(command, args = [], { cwd, env } = {}) {
+    this.command = command;
+    this.args = args;
+    this.cwd = cwd;
+    this.env = env;
+    this.child = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.stderr = [];
+  }
+
+  get target() {
+    return [this.command, ...this.args].join(' ');
+  }
+
+  async start() {
+    this.child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+      this.child.once('spawn', resolve);
+      this.child.once('error', reject);
+    });
+
+    const lines = readline.createInterface({ input: this.child.stdout });
+    lines.on('line', line => {
+      if (!line.trim()) return;
+      let message;
+      try { message = JSON.parse(line); }
+      catch (e) { return; } // Servers may print non-protocol noise
+      this.onmessage?.(message);
+    });
+
+    // Keep a short tail of stderr so failures can be reported
+    this.child.stderr.on('data', chunk => {
+      this.stderr.push(chunk.toString());
+      if (this.stderr.length > 20) this.stderr.shift();
+    });
+
+    this.child.on('exit', code => {
+      this.child = null;
+      this.onclose?.(new McpError(`Process exited with code ${code}. ${this.stderr.join('').trim()}`.trim()));
+    });
+  }
+
+  async send(message) {
+    if (!this.child) throw new McpError('Transport is not running.');
+    this.child.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  async close() {
+    if (!this.child) return;
+    const child = this.child;
+    this.child = null;
+    child.stdin.end();
+    child.kill();
+  }
+}
+
+// Streamable HTTP: every message is a POST, responses come back either as a
+// single JSON body or as an SSE stream carrying one or more messages.
+class HttpTransport {
+  constructor(url, { headers = {} } = {}) {
+    this.url = url;
+    this.headers = headers;
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.onmessage = null;
+    this.onclose = null;
+  }
+
+  get target() {
+    return this.url;
+  }
+
+  async start() {}
+
+  async send(message) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...this.headers
+    };
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+    if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+
+    const res = await fetch(this.url, { method: 'POST', headers, body: JSON.stringify(message) });
+    const sessionId = res.headers.get('mcp-session-id');
+    if (sessionId) this.sessionId = sessionId;
+
+    if (res.status === 202) return;
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new McpError(`HTTP ${res.status}${text ? `: ${text.substring(0, 200)}` : ''}`);
+    }
+
+    const type = res.headers.get('content-type') || '';
+    if (type.includes('text/event-stream')) {
+      await this.readEventStream(res.body);
+    } else if (type.includes('application/json')) {
+      const body = await res.json();
+      for (const msg of Array.isArray(body) ? body : [body]) this.onmessage?.(msg);
+    }
+  }
+
+  async readEventStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let index;
+      while ((index = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        const event = buffer.slice(0, index);
+        buffer = buffer.slice(index).replace(/^\r?\n\r?\n/, '');
+        const data = event.split(/\r?\n/)
+          .filter(l => l.startsWith('data:'))
+          .map(l => l.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (!data) continue;
+        try { this.onmessage?.(JSON.parse(data)); }
+        catch (e) { /* Ignore malformed events */ }
+      }
+    }
+  }
+
+  async close() {
+    if (!this.sessionId) return;
+    try {
+      await fetch(this.url, { method: 'DELETE', headers: { 'Mcp-Session-Id': this.sessionId, ...this.headers } });
+    } catch (e) { /* Server already gone */ }
+    this.sessionId = null;
+  }
+}
+
+export class McpClient {
+  constructor(label, transport) {
+    this.label = label;
+    this.transport = transport;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.serverInfo = null;
+    this.capabilities = {};
+    this.tools = null;
+    this.connected = false;
+    this.ondisconnect = null; // Called when an established connection drops
+
+    transport.onmessage = msg => this.handleMessage(msg);
+    transport.onclose = err => {
+      if (this.connected) this.ondisconnect?.(err || new McpError('Connection closed.'));
+      this.connected = false;
+      for (const { reject, timer } of this.pending.values()) {
+        clearTimeout(timer);
+        reject(err || new McpError('Connection closed.'));
+      }
+      this.pending.clear();
+    };
+  }
+
+  get kind() {
+    return this.transport instanceof HttpTransport ? 'http' : 'stdio';
+  }
+
+  get target() {
+    return this.transport.target;
+  }
+
+  async connect() {
+    await this.transport.start();
+    const result = await this.request('initialize', {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: CLIENT_INFO
+    });
+    this.serverInfo = result.serverInfo || null;
+    this.capabilities = result.capabilities || {};
+    if (this.transport instanceof HttpTransport) this.transport.protocolVersion = result.protocolVersion;
+    await this.notify('notifications/initialized');
+    this.connected = true;
+    return result;
+  }
+
+  async listTools({ refresh = false } = {}) {
+    if (this.tools && !refresh) return this.tools;
+    const tools = [];
+    let cursor;
+    do {
+      const result = await this.request('tools/list', cursor ? { cursor } : {});
+      tools.push(...(result.tools || []));
+      cursor = result.nextCursor;
+    } while (cursor);
+    this.tools = tools;
+    return tools;
+  }
+
+  async callTool(name, args = {}) {
+    return this.request('tools/call', { name, arguments: args });
+  }
+
+  ping({ timeout = 5000 } = {}) {
+    return this.request('ping', {}, { timeout });
+  }
+
+  async close() {
+    this.connected = false;
+    await this.transport.close();
+  }
+
+  request(method, params, { timeout = REQUEST_TIMEOUT } = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new McpError(`Request '${method}' timed out after ${timeout}ms.`));
+      }, timeout);
+      this.pending.set(id, { resolve, reject, timer });
+      this.transport.send({ jsonrpc: '2.0', id, method, params }).catch(err => {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(err);
+      });
+    });
+  }
+
+  notify(method, params) {
+    return this.transport.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+  }
+
+  handleMessage(msg) {
+    // Response to one of our requests
+    if (msg.id !== undefined && !msg.method) {
+      const entry = this.pending.get(msg.id);
+      if (!entry) return;
+      this.pending.delete(msg.id);
+      clearTimeout(entry.timer);
+      if (msg.error) entry.reject(new McpError(msg.error.message, msg.error.code, msg.error.data));
+      else entry.resolve(msg.result);
+      return;
+    }
+
+    if (msg.method === 'notifications/tools/list_changed') {
+      this.tools = null;
+      return;
+    }
+
+    // Server-initiated request: answer pings, refuse anything else
+    if (msg.id !== undefined && msg.method) {
+      const reply = msg.method === 'ping'
+        ? { jsonrpc: '2.0', id: msg.id, result: {} }
+        : { jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } };
+      this.transport.send(reply).catch(() => {});
+    }
+  }
+}
+
+// Splits a command line into argv. Quotes may appear anywhere in a word
+// (`key="a b"`) and are removed; there is no escape handling.
+function splitCommand(str) {
+  const out = [];
+  let current = null;
+  let quote = null;
+  for (const ch of str) {
+    if (quote) {
+      if (ch === quote) quote = null;
+      else current += ch;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current ??= '';
+    } else if (/\s/.test(ch)) {
+      if (current !== null) out.push(current);
+      current = null;
+    } else {
+      current = (current ?? '') + ch;
+    }
+  }
+  if (current !== null) out.push(current);
+  return out;
+}
+
+// `target` is either an http(s) URL (Streamable HTTP) or a command line that
+// launches a stdio server, e.g. `npx -y @modelcontextprotocol/server-memory`.
+export function createMcpClient(label, target, options = {}) {
+  if (/^https?:\/\//i.test(target)) {
+    return new McpClient(label, new HttpTransport(target, options));
+  }
+  const [command, ...args] = splitCommand(target);
+  if (!command) throw new McpError('Missing MCP server command.');
+  return new McpClient(label, new StdioTransport(command, args, options));
+}
+
+// Turns `/mcp_call` arguments into a named-arguments object. Accepts either a
+// JSON object or key=value pairs (values are JSON-parsed when possible).
+export function parseToolArguments(rest) {
+  const raw = rest.join(' ').trim();
+  if (!raw) return {};
+  if (raw.startsWith('{')) {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new McpError('Tool arguments must be a JSON object.');
+    }
+    return parsed;
+  }
+  const args = {};
+  for (const pair of splitCommand(raw)) {
+    const eq = pair.indexOf('=');
+    if (eq <= 0) throw new McpError(`Expected key=value, got '${pair}'.`);
+    const key = pair.slice(0, eq);
+    const value = pair.slice(eq + 1);
+    try { args[key] = JSON.parse(value); }
+    catch (e) { args[key] = value; }
+  }
+  return args;
+}
+
+// Flattens a tools/call result into plain text for display and history.
+export function formatToolResult(result) {
+  const parts = (result?.content || []).map(item => {
+    if (item.type === 'text') return item.text;
+    if (item.type === 'resource') return item.resource?.text ?? `[resource ${item.resource?.uri}]`;
+    if (item.type === 'resource_link') return `[resource ${item.uri}]`;
+    return `[${item.type}${item.mimeType ? ` ${item.mimeType}` : ''}]`;
+  });
+  if (result?.structuredContent && parts.length === 0) {
+    parts.push(JSON.stringify(result.structuredContent, null, 2));
+  }
+  return parts.join('\n');
+}
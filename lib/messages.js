@@ -0,0 +1,54 @@
+// =======================
+// HISTORY → PROVIDER MESSAGES
+// =======================
+// History entries are { role, content } where role is 'user' | 'model' |
+// 'system' | 'tool'. Model turns may carry `toolCalls: [{ id, name, args }]`
+// and tool turns carry `toolCallId` and `name` of the call they answer.
+
+// Gemini has no system or tool role inside the conversation: system notes
+// become user text and tool results become functionResponse parts.
+export function toGeminiContents(history) {
+  const contents = [];
+  for (const h of history) {
+    if (h.role === 'tool') {
+      const part = { functionResponse: { name: h.name, response: { name: h.name, content: h.content } } };
+      const last = contents[contents.length - 1];
+      if (last?.role === 'function') last.parts.push(part);
+      else contents.push({ role: 'function', parts: [part] });
+    } else if (h.role === 'model') {
+      const parts = [];
+      if (h.content) parts.push({ text: h.content });
+      for (const call of h.toolCalls || []) parts.push({ functionCall: { name: call.name, args: call.args } });
+      if (parts.length) contents.push({ role: 'model', parts });
+    } else {
+      contents.push({ role: 'user', parts: [{ text: (h.role === 'system' ? 'SYSTEM INFO: ' : '') + h.content }] });
+    }
+  }
+  // Gemini requires the conversation to open with a user turn
+  if (contents.length && contents[0].role !== 'user') {
+    contents.unshift({ role: 'user', parts: [{ text: '(session start)' }] });
+  }
+  return contents;
+}
+
+export function toOpenAIMessages(history, systemInstructions) {
+  const messages = systemInstructions ? [{ role: 'system', content: systemInstructions }] : [];
+  for (const h of history) {
+    if (h.role === 'tool') {
+      messages.push({ role: 'tool', tool_call_id: h.toolCallId, content: h.content });
+    } else if (h.role === 'model') {
+      const msg = { role: 'assistant', content: h.content || '' };
+      if (h.toolCalls?.length) {
+        msg.tool_calls = h.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args || {}) }
+        }));
+      }
+      messages.push(msg);
+    } else {
+      messages.push({ role: h.role, content: h.content });
+    }
+  }
+  return messages;
+}
@@ -0,0 +1,128 @@
+// =======================
+// ONE-SHOT MODE
+// =======================
+// `bex -p "prompt"` asks one question and `bex run /command args` runs one
+// slash command, then exit. Nothing decorative is printed: stdout carries
+// only the result in the chosen --output format, so BEX can be used from
+// scripts and CI:
+//   text         the reply (streamed) or the command's output
+//   json         one object: { ok, exitCode, reply, output, messages, errors }
+//   stream-json  one event per line as it happens, then a { type: 'result', ... } line
+// Piped stdin is appended to the prompt (`git diff | bex -p "review"`).
+// BEX's own options go before `run`; every word after it belongs to the
+// command, and each keeps its boundaries (`bex run /write "my file.txt" hi`).
+
+import { quoteArg } from './command-line.js';
+
+export const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+export const EXIT_CODES = { ok: 0, failed: 1, usage: 2 };
+
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const VALUE_FLAGS = ['--output', '--provider', '--max-steps', '--session'];
+const takesPrompt = (args, i) => args[i + 1] !== undefined && !args[i + 1].startsWith('--');
+
+// Index of the `run` word when it is the first word that is not an option, else -1.
+function runIndex(args) {
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-p' || arg === '--print') {
+      if (takesPrompt(args, i)) i++;
+    } else if (VALUE_FLAGS.includes(arg)) {
+      i++;
+    } else if (!arg.startsWith('-')) {
+      return arg === 'run' ? i : -1;
+    }
+  }
+  return -1;
+}
+
+// The arguments BEX reads itself: all of them except the words of a `bex run` command.
+export function ownArgs(args) {
+  const end = runIndex(args);
+  return end === -1 ? args : args.slice(0, end + 1);
+}
+
+export const isOneShot = (args) => runIndex(args) !== -1 || args.includes('-p') || args.includes('--print');
+
+// Splits the command line into { mode: 'prompt' | 'run', prompt, line, output, provider, maxSteps }.
+export function parseOneShotArgs(args) {
+  const options = { output: 'text', provider: null, maxSteps: null };
+  const end = runIndex(args);
+  const own = end === -1 ? args : args.slice(0, end);
+  const rest = [];
+  let prompt = null;
+  for (let i = 0; i < own.length; i++) {
+    const arg = own[i];
+    if (arg === '-p' || arg === '--print') {
+      prompt = takesPrompt(own, i) ? own[++i] : '';
+    } else if (VALUE_FLAGS.includes(arg)) {
+      const value = own[++i];
+      if (value === undefined) throw new UsageError(`${arg} needs a value.`);
+      if (arg === '--output') options.output = value;
+      if (arg === '--provider') options.provider = value;
+      if (arg === '--max-steps') options.maxSteps = value;
+    } else if (arg !== '--new') {
+      rest.push(arg);
+    }
+  }
+  if (!OUTPUT_FORMATS.includes(options.output)) throw new UsageError(`--output must be one of: ${OUTPUT_FORMATS.join(', ')}.`);
+  if (options.maxSteps !== null) {
+    options.maxSteps = Number(options.maxSteps);
+    if (!Number.isInteger(options.maxSteps) || options.maxSteps < 1) throw new UsageError('--max-steps must be a positive integer.');
+  }
+
+  if (rest.length) throw new UsageError(`Unexpected argument: ${rest[0]}`);
+  if (end !== -1) {
+    const [command, ...words] = args.slice(end + 1);
+    if (!command) throw new UsageError('Usage: bex [options] run </command> [args...]');
+    // A whole line given as one word (`bex run "/exec npm test | /write log"`) is used as typed
+    const line = [command, ...words.map(quoteArg)].join(' ');
+    return { mode: 'run', line: line.startsWith('/') ? line : `/${line}`, ...options };
+  }
+  return { mode: 'prompt', prompt, ...options };
+}
+
+// Everything piped into stdin, or null when stdin is a terminal.
+export async function readStdin(stream = process.stdin) {
+  if (stream.isTTY) return null;
+  let text = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+export function combinePrompt(prompt, stdin) {
+  const input = stdin?.trim() ? stdin.replace(/\s+$/, '') : '';
+  if (!prompt?.trim() && !input) throw new UsageError('Nothing to ask: pass a prompt with -p "..." or pipe input on stdin.');
+  if (!input) return prompt.trim();
+  if (!prompt?.trim()) return input;
+  return `${prompt.trim()}\n\n<input>\n${input}\n</input>`;
+}
+
+// Turns session events into stdout output for the chosen format.
+export function createReporter({ format, mode, write = (text) => process.stdout.write(text) }) {
+  let streamed = '';
+  return {
+    onEvent(event) {
+      if (format === 'stream-json') return write(JSON.stringify(event) + '\n');
+      if (format === 'text' && mode === 'prompt' && event.type === 'delta') {
+        streamed += event.text;
+        write(event.text);
+      }
+    },
+    finish(result) {
+      if (format === 'stream-json') return write(JSON.stringify({ type: 'result', ...result }) + '\n');
+      if (format === 'json') return write(JSON.stringify(result, null, 2) + '\n');
+      const text = mode === 'prompt' ? result.reply.slice(streamed.length) : result.output;
+      if (text) write(text);
+      const last = text || streamed;
+      if (last && !last.endsWith('\n')) write('\n');
+    }
+  };
+}
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { parseGrepArgs } from './grep.js';
+import { staticPrefix } from './files.js';
+
+// =======================
+// PERMISSION POLICY
+// =======================
+// Decides whether a slash command proposed by the model (via /task or a JSON
+// plan) may run. A rule is
+//   { action: 'allow' | 'ask' | 'deny', command: '/exec' | ['/write', ...] | '*',
+//     args?: 'git status*', outsideCwd?: true }
+// `args` is matched against the space-joined arguments; `*` matches anything
+// and `\*` a literal asterisk. `outsideCwd` matches when a path argument
+// resolves outside the working directory. A matching deny rule always wins;
+// otherwise the first matching rule applies, user rules before the defaults.
+// Commands no rule covers are asked about.
+
+export const PERMISSION_ACTIONS = ['allow', 'ask', 'deny'];
+
+export const PERMISSION_RULE_SCHEMA = {
+  type: 'object',
+  required: ['action', 'command'],
+  additionalProperties: false,
+  properties: {
+    action: { type: 'string', enum: PERMISSION_ACTIONS },
+    command: { type: ['string', 'array'], items: { type: 'string' } },
+    args: { type: 'string' },
+    outsideCwd: { type: 'boolean' }
+  }
+};
+
+// Which arguments of each command are file paths: indexes, or a function
+// returning the paths for commands whose paths follow options
+const PATH_ARGUMENTS = {
+  '/ls': [0],
+  '/read': [0],
+  '/write': [0],
+  '/edit': [0],
+  '/append': [0],
+  '/rename': [0, 1],
+  '/delete': [0],
+  '/download': [1],
+  '/grep': (args) => {
+    try { return parseGrepArgs(args).paths; }
+    catch (e) { return []; } // Rejected by /grep itself
+  },
+  '/glob': (args) => args.filter(a => !a.startsWith('!') && !a.startsWith('--')).map(glob => staticPrefix(glob) || '.')
+};
+
+function pathArguments(command, args) {
+  const paths = PATH_ARGUMENTS[command];
+  if (typeof paths === 'function') return paths(args);
+  return (paths || []).map(i => args[i]).filter(Boolean);
+}
+
+export const DEFAULT_RULES = [
+  { action: 'deny', command: ['/write', '/edit', '/append', '/rename', '/delete', '/download'], outsideCwd: true },
+  { action: 'ask', command: ['/ls', '/read', '/grep', '/glob'], outsideCwd: true },
+  { action: 'allow', command: ['/ls', '/read', '/grep', '/glob', '/project', '/memory', '/status', '/dump', '/mcp_list', '/mcp_tools', '/jobs', '/logs', '/wait'] },
+  { action: 'allow', command: '/git', args: 'status*' },
+  { action: 'allow', command: '/git', args: 'log*' },
+  { action: 'allow', command: '/git', args: 'diff*' },
+  { action: 'allow', command: '/git', args: 'commits*' },
+  { action: 'allow', command: '/git', args: 'show*' },
+  { action: 'allow', command: '/git', args: 'blame*' },
+  { action: 'allow', command: '/git', args: 'branch' }
+];
+
+export function matchesPattern(pattern, text) {
+  const source = pattern.split(/(\\\*|\*)/).map(part => {
+    if (part === '*') return '.*';
+    if (part === '\\*') return '\\*';
+    return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 's').test(text);
+}
+
+const literalPattern = (text) => text.replace(/\*/g, '\\*');
+
+// The rule saved when the user answers "always": file commands are allowed
+// for the same paths with any content, everything else for the exact arguments.
+export function alwaysAllowRule(command, args) {
+  const paths = PATH_ARGUMENTS[command];
+  if (!Array.isArray(paths)) return { action: 'allow', command, args: literalPattern(args.join(' ')) };
+  const fixed = args.slice(0, Math.max(...paths) + 1);
+  const rest = args.length > fixed.length ? ' *' : '';
+  return { action: 'allow', command, args: literalPattern(fixed.join(' ')) + rest };
+}
+
+// Resolves symlinks through the nearest existing ancestor, so a link inside
+// the working directory that points elsewhere counts as outside.
+function realResolve(target, cwd) {
+  let current = path.resolve(cwd, target);
+  const missing = [];
+  while (!fs.existsSync(current)) {
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    missing.unshift(path.basename(current));
+    current = parent;
+  }
+  try { current = fs.realpathSync(current); }
+  catch (e) { /* Unreadable ancestor: compare the lexical path */ }
+  return path.join(current, ...missing);
+}
+
+export function isOutsideCwd(target, cwd = process.cwd()) {
+  let root = cwd;
+  try { root = fs.realpathSync(cwd); }
+  catch (e) { /* Keep the lexical cwd */ }
+  const relative = path.relative(root, realResolve(target, cwd));
+  return relative.startsWith('..') || path.isAbsolute(relative);
+}
+
+function ruleMatches(rule, command, args, cwd) {
+  const commands = Array.isArray(rule.command) ? rule.command : [rule.command];
+  if (!commands.includes('*') && !commands.includes(command)) return false;
+  if (rule.args !== undefined && !matchesPattern(rule.args, args.join(' '))) return false;
+  if (rule.outsideCwd !== undefined) {
+    const paths = pathArguments(command, args);
+    if (paths.some(p => isOutsideCwd(p, cwd)) !== rule.outsideCwd) return false;
+  }
+  return true;
+}
+
+// Returns { action, rule } where `rule` is the deciding rule (null for the fallback).
+export function evaluatePermission(command, args, { rules = [], cwd = process.cwd() } = {}) {
+  const all = [...rules, ...DEFAULT_RULES];
+  const matching = all.filter(rule => ruleMatches(rule, command, args, cwd));
+  const rule = matching.find(r => r.action === 'deny') || matching[0] || null;
+  return { action: rule ? rule.action : 'ask', rule };
+}
+
+export function describeRule(rule) {
+  const commands = Array.isArray(rule.command) ? rule.command.join(',') : rule.command;
+  const conditions = [
+    rule.args !== undefined ? `args "${rule.args}"` : '',
+    rule.outsideCwd !== undefined ? `${rule.outsideCwd ? 'outside' : 'inside'} cwd` : ''
+  ].filter(Boolean).join(', ');
+  return `${rule.action} ${commands}${conditions ? ` (${conditions})` : ''}`;
+}
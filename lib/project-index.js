@@ -0,0 +1,558 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { builtinModules } from 'module';
+import { bexHome } from './sessions.js';
+import { walkFiles } from './files.js';
+
+// =======================
+// PROJECT INDEX & REPO MAP
+// =======================
+// /project builds an offline index of the JS/TS and Python modules under the
+// working directory: their exports, functions, classes (with methods) and
+// imports, the import graph between them and the entry points named by
+// package.json files. Parsing is a light scanner plus line patterns, not a
+// full parser, so it works on any syntax the file happens to use.
+//
+// Results are cached per project in ~/.bex/index/<hash>.json, keyed by file
+// mtime and size, so only changed files are read again. formatRepoMap() turns
+// the index into a compact, ranked outline sized for the model's context.
+
+export const PROJECT_INDEX_VERSION = 1;
+const MAX_PARSE_BYTES = 512 * 1024;
+const MAX_SIGNATURE_CHARS = 80;
+
+const LANGUAGES = {
+  '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'js',
+  '.ts': 'js', '.tsx': 'js', '.mts': 'js', '.cts': 'js',
+  '.py': 'python'
+};
+const JS_EXTENSIONS = Object.keys(LANGUAGES).filter(ext => LANGUAGES[ext] === 'js');
+const NODE_BUILTINS = new Set(builtinModules);
+
+export const languageOf = (file) => (file.endsWith('.min.js') ? null : LANGUAGES[path.extname(file)] || null);
+
+const squash = (text) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > MAX_SIGNATURE_CHARS ? `${flat.slice(0, MAX_SIGNATURE_CHARS)}…` : flat;
+};
+
+// Index just past the bracket closing the one at `from` (or the text's end).
+function matchingClose(text, from) {
+  const open = text[from];
+  const close = { '(': ')', '{': '}', '[': ']' }[open];
+  let depth = 0;
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === open) depth++;
+    else if (text[i] === close && --depth === 0) return i + 1;
+  }
+  return text.length;
+}
+
+// =======================
+// JAVASCRIPT / TYPESCRIPT
+// =======================
+
+const REGEX_AFTER = new Set(['', '(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const REGEX_AFTER_WORDS = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'yield', 'await', 'void', 'delete', 'throw', 'new']);
+
+// Blanks comments (→ `bare`) and additionally string, template and regex
+// contents (→ `code`), keeping every offset and line break in place. `code`
+// is safe to scan for braces and keywords, `bare` still has import paths.
+export function maskSource(text) {
+  const bare = text.split('');
+  const code = text.split('');
+  const blank = (target, from, to) => {
+    for (let i = from; i < to; i++) if (target[i] !== '\n') target[i] = ' ';
+  };
+  let prev = '';
+  let word = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+    if (ch === '/' && next === '/') {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      blank(bare, i, stop);
+      blank(code, i, stop);
+      i = stop;
+    } else if (ch === '/' && next === '*') {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      blank(bare, i, stop);
+      blank(code, i, stop);
+      i = stop;
+    } else if (ch === "'" || ch === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== ch && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1;
+      blank(code, i + 1, Math.min(j, text.length));
+      i = j + 1;
+      prev = ch;
+    } else if (ch === '`') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '`') {
+        if (text[j] === '\\') j += 2;
+        else if (text[j] === '$' && text[j + 1] === '{') j = matchingClose(text, j + 1);
+        else j++;
+      }
+      blank(code, i + 1, Math.min(j, text.length));
+      i = j + 1;
+      prev = ch;
+    } else if (ch === '/' && (REGEX_AFTER.has(prev) || REGEX_AFTER_WORDS.has(word))) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < text.length && text[j] !== '\n' && (inClass || text[j] !== '/')) {
+        if (text[j] === '\\') j++;
+        else if (text[j] === '[') inClass = true;
+        else if (text[j] === ']') inClass = false;
+        j++;
+      }
+      blank(code, i + 1, Math.min(j, text.length));
+      i = j + 1;
+      prev = '/';
+      word = '';
+    } else {
+      if (/[\w$]/.test(ch)) word = /[\w$]/.test(text[i - 1] || '') ? word + ch : ch;
+      else if (!/\s/.test(ch)) word = '';
+      if (!/\s/.test(ch)) prev = /[\w$]/.test(ch) ? 'a' : ch;
+      i++;
+    }
+  }
+  return { bare: bare.join(''), code: code.join('') };
+}
+
+const MODIFIERS = '(?:(?:static|async|get|set|public|private|protected|readonly|override|abstract|declare)\\s+)*';
+const JS_DECLARATIONS = [
+  { kind: 'function', re: /^(export\s+(?:default\s+)?)?(?:declare\s+)?(?:async\s+)?function\s*\*?\s*([\w$]+)\s*(?:<[^(]*>)?\s*\(/ },
+  { kind: 'class', re: /^(export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?class\s+([\w$]+)([^{]*)/ },
+  { kind: 'function', re: /^(export\s+)?(?:declare\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?function\b[^(]*\(/ },
+  { kind: 'function', arrow: true, re: /^(export\s+)?(?:declare\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:(?:<[^(]*>)?\(|[\w$]+\s*=>)/ },
+  { kind: 'const', re: /^(export\s+)(?:declare\s+)?(?:const|let|var)\s+([\w$]+)/ },
+  { kind: 'interface', re: /^(export\s+)?(?:declare\s+)?interface\s+([\w$]+)/ },
+  { kind: 'type', re: /^(export\s+)?(?:declare\s+)?type\s+([\w$]+)\s*(?:<[^=]*>)?\s*=/ },
+  { kind: 'enum', re: /^(export\s+)?(?:declare\s+)?(?:const\s+)?enum\s+([\w$]+)/ }
+];
+const METHOD = new RegExp(`^\\s*${MODIFIERS}\\*?\\s*(#?[\\w$]+)\\s*(?:<[^(]*>)?\\s*\\(`);
+const FIELD_ARROW = new RegExp(`^\\s*${MODIFIERS}(#?[\\w$]+)\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:\\([^)]*\\)|[\\w$]+)\\s*=>`);
+const NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'super', 'await']);
+const JS_IMPORTS = [
+  /\bimport\s+(?:type\s+)?(?:[\w$*{}\s,]+?\s+from\s+)?['"]([^'"\n]+)['"]/g,
+  /\bexport\s+(?:type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*['"]([^'"\n]+)['"]/g,
+  /\b(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g
+];
+
+// Parameter text of the call-like `(...)` starting at or after `from`.
+function paramsAt(code, bare, from) {
+  const open = code.indexOf('(', from);
+  if (open === -1) return '';
+  return squash(bare.slice(open + 1, matchingClose(code, open) - 1));
+}
+
+// Extracts { symbols, imports } from a JS/TS module. Symbols are
+// { name, kind, exported, line, signature?, extends?, members? }.
+export function parseJavaScript(text) {
+  const { bare, code } = maskSource(text);
+  const symbols = [];
+  const exportedNames = new Set();
+  const byName = new Map();
+  const add = (symbol) => {
+    if (byName.has(symbol.name) && symbol.kind === 'const') return;
+    symbols.push(symbol);
+    byName.set(symbol.name, symbol);
+  };
+
+  let depth = 0;
+  let offset = 0;
+  let currentClass = null;
+  for (const [index, line] of code.split('\n').entries()) {
+    const trimmed = line.trim();
+    const start = offset + line.indexOf(trimmed);
+    if (depth === 0 && trimmed) {
+      currentClass = null;
+      for (const { kind, arrow, re } of JS_DECLARATIONS) {
+        const match = trimmed.match(re);
+        if (!match) continue;
+        const open = start + match[0].length - 1;
+        if (arrow && code[open] === '(' && !/^\s*(?::[^=;{]+)?=>/.test(code.slice(matchingClose(code, open)))) continue;
+        const symbol = { name: match[2], kind, exported: Boolean(match[1]), line: index + 1 };
+        if (kind === 'function') symbol.signature = code[open] === '(' ? paramsAt(code, bare, open) : match[0].match(/([\w$]+)\s*=>$/)?.[1] || '';
+        if (kind === 'class') {
+          const heritage = match[3].match(/\bextends\s+([\w$.]+)/);
+          if (heritage) symbol.extends = heritage[1];
+          symbol.members = [];
+          if (trimmed.includes('{') || !trimmed.endsWith(';')) currentClass = symbol;
+        }
+        if (/^export\s+default\b/.test(trimmed)) symbol.default = true;
+        add(symbol);
+        break;
+      }
+      // export default <expression>, export { a, b as c }, CommonJS exports
+      if (/^export\s+default\s+(?!function|class|async\s+function)/.test(trimmed)) {
+        add({ name: 'default', kind: 'default', exported: true, line: index + 1 });
+      }
+      if (/^export\s+(?:type\s+)?\{/.test(trimmed)) {
+        const open = code.indexOf('{', start);
+        const close = matchingClose(code, open);
+        if (!/^\s*from\b/.test(code.slice(close))) {
+          for (const item of code.slice(open + 1, close - 1).split(',')) {
+            const [local, , alias] = item.trim().split(/\s+/);
+            if (local) exportedNames.add(`${local}${alias ? `\u0000${alias}` : ''}`);
+          }
+        }
+      }
+      const cjs = trimmed.match(/^(?:module\.)?exports\.([\w$]+)\s*=/);
+      if (cjs) exportedNames.add(cjs[1]);
+      if (/^module\.exports\s*=\s*\{/.test(trimmed)) {
+        const open = code.indexOf('{', start);
+        const body = code.slice(open + 1, matchingClose(code, open) - 1);
+        for (const item of body.split(',')) {
+          const key = item.trim().match(/^(?:async\s+)?([\w$]+)/);
+          if (key) exportedNames.add(key[1]);
+        }
+      } else {
+        const single = trimmed.match(/^module\.exports\s*=\s*([\w$]+)\s*;?$/);
+        if (single) exportedNames.add(single[1]);
+      }
+    } else if (depth === 1 && currentClass && trimmed) {
+      const match = trimmed.match(METHOD) || trimmed.match(FIELD_ARROW);
+      if (match && !NOT_METHODS.has(match[1]) && !match[1].startsWith('#')) {
+        const open = match[0].endsWith('(') ? start + match[0].length - 1 : start + trimmed.indexOf('(');
+        currentClass.members.push(`${match[1]}(${trimmed.includes('(') ? paramsAt(code, bare, open) : ''})`);
+      }
+    }
+    for (const ch of line) {
+      if (ch === '{') depth++;
+      else if (ch === '}') depth = Math.max(0, depth - 1);
+    }
+    offset += line.length + 1;
+  }
+
+  for (const entry of exportedNames) {
+    const [local, alias] = entry.split('\u0000');
+    const symbol = byName.get(local);
+    if (symbol && !alias) symbol.exported = true;
+    else if (symbol) add({ ...symbol, name: alias, exported: true, alias: local });
+    else add({ name: alias || local, kind: 'const', exported: true, line: 0 });
+  }
+
+  const imports = new Set();
+  for (const re of JS_IMPORTS) {
+    for (const match of bare.matchAll(re)) imports.add(match[1]);
+  }
+  return { symbols, imports: [...imports] };
+}
+
+// =======================
+// PYTHON
+// =======================
+
+// Extracts { symbols, imports, main } from a Python module. Without __all__,
+// every top-level name not starting with _ counts as exported.
+export function parsePython(text) {
+  const lines = text.split('\n');
+  const symbols = [];
+  const imports = new Set();
+  let currentClass = null;
+  let memberIndent = null;
+  let quote = null; // Inside a triple-quoted string
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (quote) {
+      if (line.includes(quote)) quote = null;
+      continue;
+    }
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const indent = line.length - line.trimStart().length;
+    if (indent === 0) currentClass = null;
+
+    const def = trimmed.match(/^(?:async\s+)?def\s+(\w+)\s*\(/);
+    const cls = trimmed.match(/^class\s+(\w+)\s*(?:\(([^)]*)\))?/);
+    if (def) {
+      const rest = lines.slice(index).join('\n');
+      const open = rest.indexOf('(');
+      const params = squash(rest.slice(open + 1, matchingClose(rest, open) - 1));
+      if (indent === 0) {
+        symbols.push({ name: def[1], kind: 'function', exported: !def[1].startsWith('_'), line: index + 1, signature: params });
+      } else if (currentClass && (memberIndent === null || indent === memberIndent)) {
+        memberIndent = indent;
+        if (!def[1].startsWith('_') || def[1] === '__init__') currentClass.members.push(`${def[1]}(${params})`);
+      }
+    } else if (cls && indent === 0) {
+      currentClass = { name: cls[1], kind: 'class', exported: !cls[1].startsWith('_'), line: index + 1, members: [] };
+      if (cls[2]?.trim()) currentClass.extends = squash(cls[2]);
+      memberIndent = null;
+      symbols.push(currentClass);
+    }
+
+    const from = trimmed.match(/^from\s+(\.*[\w.]*)\s+import\s+(.+)/);
+    if (from) {
+      // `from pkg import a, b` may name submodules, so keep pkg.a and pkg.b as candidates
+      if (!/^\.+$/.test(from[1])) imports.add(from[1]);
+      for (const name of from[2].replace(/[()\\]/g, '').split(',')) {
+        const clean = name.trim().split(/\s+/)[0];
+        if (clean && clean !== '*') imports.add(`${from[1]}${from[1].endsWith('.') ? '' : '.'}${clean}`);
+      }
+    } else if (/^import\s+/.test(trimmed)) {
+      for (const name of trimmed.slice(7).split(',')) imports.add(name.trim().split(/\s+/)[0]);
+    }
+    quote = ['"""', "'''"].find(q => line.split(q).length % 2 === 0) || null; // An unclosed triple quote
+  }
+
+  const all = text.match(/^__all__\s*=\s*[[(]([^\])]*)[\])]/m);
+  if (all) {
+    const names = new Set([...all[1].matchAll(/['"](\w+)['"]/g)].map(m => m[1]));
+    for (const symbol of symbols) symbol.exported = names.has(symbol.name);
+  }
+  const main = /^if\s+__name__\s*==\s*['"]__main__['"]\s*:/m.test(text);
+  return { symbols, imports: [...imports].filter(Boolean), main };
+}
+
+export function parseModule(text, language) {
+  return language === 'python' ? parsePython(text) : parseJavaScript(text);
+}
+
+// =======================
+// IMPORT RESOLUTION & ENTRY POINTS
+// =======================
+
+// Resolves an import specifier from `file` to an indexed file (relative path
+// with /), or to { external } for a package. Node built-ins and unresolved
+// relative imports resolve to null.
+function resolveImport(spec, file, language, files) {
+  const dir = path.posix.dirname(file);
+  if (language === 'python') {
+    const dots = spec.match(/^\.*/)[0].length;
+    const parts = spec.slice(dots).split('.').filter(Boolean);
+    const bases = dots
+      ? [path.posix.join(dir, ...Array(dots - 1).fill('..'))]
+      : ['', 'src', dir];
+    for (const base of bases) {
+      const target = path.posix.join(base, ...parts);
+      for (const candidate of [`${target}.py`, `${target}/__init__.py`]) {
+        if (files.has(candidate)) return candidate;
+      }
+    }
+    return null;
+  }
+  if (spec.startsWith('.') || spec.startsWith('/')) {
+    const target = path.posix.normalize(spec.startsWith('/') ? spec.slice(1) : path.posix.join(dir, spec));
+    const stem = target.replace(/\.[cm]?jsx?$/, '');
+    const candidates = [
+      target,
+      ...JS_EXTENSIONS.map(ext => `${target}${ext}`),
+      ...JS_EXTENSIONS.map(ext => `${stem}${ext}`), // TS sources imported as .js
+      ...JS_EXTENSIONS.map(ext => `${target}/index${ext}`)
+    ];
+    return candidates.find(candidate => files.has(candidate)) || null;
+  }
+  if (spec.startsWith('node:') || NODE_BUILTINS.has(spec.split('/')[0])) return null;
+  return { external: spec.startsWith('@') ? spec.split('/').slice(0, 2).join('/') : spec.split('/')[0] };
+}
+
+// Entry points declared in package.json files: main, module, bin, exports
+// and files run by scripts. Resolves to [{ file, reason }].
+function packageEntries(packages, files) {
+  const entries = [];
+  for (const { dir, pkg } of packages) {
+    const add = (target, reason) => {
+      if (typeof target !== 'string') return;
+      const joined = path.posix.normalize(path.posix.join(dir, target));
+      const file = files.has(joined) ? joined : resolveImport(`./${joined}`, 'index.js', 'js', files);
+      if (typeof file === 'string') entries.push({ file, reason });
+    };
+    add(pkg.main, 'main');
+    add(pkg.module, 'module');
+    if (typeof pkg.bin === 'string') add(pkg.bin, `bin ${pkg.name || ''}`.trim());
+    else for (const [name, target] of Object.entries(pkg.bin || {})) add(target, `bin ${name}`);
+    const walkExports = (value, key) => {
+      if (typeof value === 'string') add(value, `exports ${key}`);
+      else if (value && typeof value === 'object') {
+        for (const [sub, inner] of Object.entries(value)) walkExports(inner, sub.startsWith('.') ? sub : key);
+      }
+    };
+    walkExports(pkg.exports, '.');
+    for (const [name, script] of Object.entries(pkg.scripts || {})) {
+      if (typeof script !== 'string') continue;
+      for (const match of script.matchAll(/\b(?:node|nodemon|tsx|ts-node|bun|deno run)\s+(?:-[\w-]+(?:=\S+)?\s+)*([\w./-]+\.[cm]?[jt]sx?)\b/g)) {
+        add(match[1], `script ${name}`);
+      }
+    }
+  }
+  return entries;
+}
+
+// =======================
+// INDEX
+// =======================
+
+export function indexCacheFile(root) {
+  const hash = crypto.createHash('sha1').update(path.resolve(root)).digest('hex').slice(0, 16);
+  return path.join(bexHome(), 'index', `${hash}.json`);
+}
+
+function readCache(root) {
+  try {
+    const cache = JSON.parse(fs.readFileSync(indexCacheFile(root), 'utf8'));
+    if (cache.version === PROJECT_INDEX_VERSION && cache.root === path.resolve(root)) return cache.files;
+  } catch (e) { /* Missing or unreadable cache */ }
+  return {};
+}
+
+function writeCache(root, files) {
+  const file = indexCacheFile(root);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ version: PROJECT_INDEX_VERSION, root: path.resolve(root), files }));
+  fs.renameSync(tmp, file);
+}
+
+// Walks `root` (.gitignore aware) and indexes its modules, reusing cached
+// entries whose mtime and size are unchanged. Resolves to
+//   { root, stats: { files, dirs, totalSize, extensions }, modules: { [path]:
+//     { language, symbols, imports, internal, importers, main? } },
+//     entryPoints: [{ file, reason }], external: { [pkg]: count },
+//     parsed, reused, skipped }
+// With `rebuild`, the cache is ignored and rewritten.
+export async function buildProjectIndex(root = process.cwd(), { rebuild = false } = {}) {
+  const cached = rebuild ? {} : readCache(root);
+  const entries = {};
+  const packages = [];
+  const stats = { files: 0, dirs: 0, totalSize: 0, extensions: {} };
+  let parsed = 0;
+  let skipped = 0;
+
+  const { dirs } = await walkFiles(root, async ({ path: abs, relPath }) => {
+    let stat;
+    try { stat = await fs.promises.stat(abs); }
+    catch (e) { return; } // Removed meanwhile
+    stats.files++;
+    stats.totalSize += stat.size;
+    const ext = path.extname(relPath) || 'no-ext';
+    stats.extensions[ext] = (stats.extensions[ext] || 0) + 1;
+
+    if (path.posix.basename(relPath) === 'package.json') {
+      try { packages.push({ dir: path.posix.dirname(relPath), pkg: JSON.parse(await fs.promises.readFile(abs, 'utf8')) }); }
+      catch (e) { /* Not valid JSON */ }
+      return;
+    }
+    const language = languageOf(relPath);
+    if (!language) return;
+    if (stat.size > MAX_PARSE_BYTES) {
+      skipped++;
+      return;
+    }
+    const previous = cached[relPath];
+    if (previous && previous.mtimeMs === stat.mtimeMs && previous.size === stat.size) {
+      entries[relPath] = previous;
+      return;
+    }
+    try {
+      const text = await fs.promises.readFile(abs, 'utf8');
+      entries[relPath] = { mtimeMs: stat.mtimeMs, size: stat.size, language, ...parseModule(text, language) };
+      parsed++;
+    } catch (e) { /* Unreadable file */ }
+  });
+  stats.dirs = dirs;
+
+  const reused = Object.keys(entries).length - parsed;
+  const removed = Object.keys(cached).some(file => !entries[file]);
+  if (parsed || removed || rebuild) {
+    try { writeCache(root, entries); }
+    catch (e) { /* The index still works without a cache */ }
+  }
+
+  // Import graph
+  const files = new Set(Object.keys(entries));
+  const modules = {};
+  const external = {};
+  for (const file of [...files].sort()) {
+    const { language, symbols, imports, main } = entries[file];
+    modules[file] = { language, symbols, imports, internal: [], importers: [], ...(main ? { main } : {}) };
+  }
+  for (const [file, module] of Object.entries(modules)) {
+    for (const spec of module.imports) {
+      const target = resolveImport(spec, file, module.language, files);
+      if (typeof target === 'string' && target !== file) {
+        if (!module.internal.includes(target)) module.internal.push(target);
+        if (!modules[target].importers.includes(file)) modules[target].importers.push(file);
+      } else if (target?.external) {
+        external[target.external] = (external[target.external] || 0) + 1;
+      }
+    }
+  }
+
+  const entryPoints = packageEntries(packages, files);
+  for (const [file, module] of Object.entries(modules)) {
+    if (module.main) entryPoints.push({ file, reason: '__main__' });
+    else if (path.posix.basename(file) === '__main__.py') entryPoints.push({ file, reason: 'python -m' });
+  }
+  return { root: path.resolve(root), stats, modules, entryPoints, external, parsed, reused, skipped };
+}
+
+// =======================
+// REPO MAP
+// =======================
+
+// Modules ordered by importance: entry points, then how many modules import
+// them, then how much they export.
+export function rankModules(index) {
+  const entryFiles = new Set(index.entryPoints.map(entry => entry.file));
+  const score = (file) => {
+    const module = index.modules[file];
+    return (entryFiles.has(file) ? 1000 : 0) + module.importers.length * 10 + module.symbols.filter(s => s.exported).length;
+  };
+  return Object.keys(index.modules).sort((a, b) => score(b) - score(a) || a.localeCompare(b));
+}
+
+function describeSymbol(symbol) {
+  const prefix = symbol.exported ? `export ${symbol.default ? 'default ' : ''}` : '';
+  if (symbol.kind === 'function') return `${prefix}function ${symbol.name}(${symbol.signature || ''})`;
+  if (symbol.kind === 'class') {
+    const heritage = symbol.extends ? ` extends ${symbol.extends}` : '';
+    const members = symbol.members?.length ? `: ${symbol.members.join(', ')}` : '';
+    return squashLine(`${prefix}class ${symbol.name}${heritage}${members}`);
+  }
+  if (symbol.kind === 'default') return 'export default';
+  return `${prefix}${symbol.kind} ${symbol.name}${symbol.alias ? ` (= ${symbol.alias})` : ''}`;
+}
+
+const squashLine = (text, max = 160) => (text.length > max ? `${text.slice(0, max)}…` : text);
+
+// One outline block per module:
+//   lib/files.js  [imported by 3]
+//     uses: lib/sessions.js
+//     export function globToRegExp(glob)
+//     local: globSource, readIgnore
+// Blocks are added in rank order until `maxChars` is reached.
+export function formatRepoMap(index, { maxChars = Infinity } = {}) {
+  const entryReasons = {};
+  for (const { file, reason } of index.entryPoints) (entryReasons[file] ||= []).push(reason);
+
+  const ranked = rankModules(index);
+  const blocks = [];
+  let used = 0;
+  for (const file of ranked) {
+    const module = index.modules[file];
+    const tags = [];
+    if (entryReasons[file]) tags.push(`entry: ${[...new Set(entryReasons[file])].join(', ')}`);
+    if (module.importers.length) tags.push(`imported by ${module.importers.length}`);
+    const lines = [`${file}${tags.length ? `  [${tags.join('; ')}]` : ''}`];
+    if (module.internal.length) lines.push(squashLine(`  uses: ${module.internal.join(', ')}`));
+    const exported = module.symbols.filter(s => s.exported);
+    const local = module.symbols.filter(s => !s.exported && (s.kind === 'function' || s.kind === 'class'));
+    for (const symbol of exported) lines.push(`  ${describeSymbol(symbol)}`);
+    for (const symbol of local.filter(s => s.kind === 'class')) lines.push(`  ${describeSymbol(symbol)}`);
+    const functions = local.filter(s => s.kind === 'function').map(s => s.name);
+    if (functions.length) lines.push(squashLine(`  local: ${functions.join(', ')}`));
+    const block = lines.join('\n');
+    if (used + block.length + 1 > maxChars) break;
+    blocks.push(block);
+    used += block.length + 1;
+  }
+  const hidden = ranked.length - blocks.length;
+  if (hidden) blocks.push(`[... ${hidden} more module${hidden === 1 ? '' : 's'} not shown]`);
+  return blocks.join('\n');
+}
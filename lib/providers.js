@@ -0,0 +1,247 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import OpenAI from 'openai';
+import { toGeminiContents, toOpenAIMessages } from './messages.js';
+import { toGeminiTools, toOpenAITools } from './agent-tools.js';
+
+// =======================
+// PROVIDER REGISTRY
+// =======================
+// Every backend is described by a plain spec:
+//   { kind: 'gemini' | 'openai', baseURL, model, keyEnv, keyOptional, capabilities,
+//     contextWindow, charsPerToken }
+// `openai` covers any OpenAI-compatible chat completions endpoint (DeepSeek,
+// OpenAI, Ollama, LM Studio, vLLM, a local stub server...).
+// Per-provider env overrides: BEX_<NAME>_MODEL and BEX_<NAME>_BASE_URL.
+
+const BUILTIN_PROVIDERS = {
+  google: {
+    kind: 'gemini',
+    model: 'gemini-2.5-flash-lite',
+    keyEnv: 'GOOGLE_API_KEY',
+    contextWindow: 1000000,
+    capabilities: { vision: true, tools: true, streaming: true }
+  },
+  deepseek: {
+    kind: 'openai',
+    baseURL: 'https://api.deepseek.com',
+    model: 'deepseek-chat',
+    keyEnv: 'DEEPSEEK_API_KEY',
+    contextWindow: 64000,
+    charsPerToken: 3.5,
+    capabilities: { vision: false, tools: true, streaming: true }
+  },
+  openai: {
+    kind: 'openai',
+    baseURL: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    keyEnv: 'OPENAI_API_KEY',
+    contextWindow: 128000,
+    capabilities: { vision: true, tools: true, streaming: true }
+  },
+  local: {
+    kind: 'openai',
+    baseURL: 'http://localhost:11434/v1', // Ollama's OpenAI-compatible endpoint
+    model: 'llama3.1',
+    keyEnv: 'BEX_LOCAL_API_KEY',
+    keyOptional: true,
+    contextWindow: 8192,
+    capabilities: { vision: false, tools: true, streaming: true }
+  }
+};
+
+// Order tried by the 'auto' pseudo-provider.
+export const AUTO_ORDER = ['google', 'deepseek', 'openai'];
+
+const registry = new Map();
+
+function applyEnvOverrides(name, spec) {
+  const prefix = `BEX_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+  return {
+    ...spec,
+    model: process.env[`${prefix}_MODEL`] || spec.model,
+    baseURL: process.env[`${prefix}_BASE_URL`] || spec.baseURL
+  };
+}
+
+export function registerProvider(name, spec) {
+  if (!['gemini', 'openai'].includes(spec.kind)) throw new Error(`Unknown provider kind '${spec.kind}' for ${name}.`);
+  if (!spec.model) throw new Error(`Provider ${name} needs a model.`);
+  const capabilities = { vision: false, tools: true, streaming: true, ...spec.capabilities };
+  const provider = createProvider(name, applyEnvOverrides(name, { contextWindow: 8192, charsPerToken: 4, ...spec, capabilities }));
+  registry.set(name, provider);
+  return provider;
+}
+
+export function getProvider(name) {
+  return registry.get(name);
+}
+
+export function listProviders() {
+  return [...registry.values()];
+}
+
+// Registers the built-ins plus any extra providers from the BEX_PROVIDERS
+// env var (a JSON object of name → spec).
+export function loadProviders(extra = {}) {
+  for (const [name, spec] of Object.entries(BUILTIN_PROVIDERS)) registerProvider(name, spec);
+  let fromEnv = {};
+  if (process.env.BEX_PROVIDERS) {
+    try { fromEnv = JSON.parse(process.env.BEX_PROVIDERS); }
+    catch (e) { throw new Error(`BEX_PROVIDERS is not valid JSON: ${e.message}`); }
+  }
+  for (const [name, spec] of Object.entries({ ...extra, ...fromEnv })) registerProvider(name, spec);
+}
+
+// Resolves 'auto' (or an explicit name) to the list of providers to try in order.
+export function resolveProviders(name) {
+  if (name !== 'auto') {
+    const provider = registry.get(name);
+    if (!provider) throw new Error(`Unknown provider: ${name}`);
+    return [provider];
+  }
+  const candidates = AUTO_ORDER.map(n => registry.get(n)).filter(p => p?.available);
+  if (candidates.length === 0) throw new Error('No provider with an API key is configured.');
+  return candidates;
+}
+
+export function hasAvailableProvider(name) {
+  try { return resolveProviders(name).some(p => p.available); }
+  catch (e) { return false; }
+}
+
+class Provider {
+  constructor(name, spec) {
+    this.name = name;
+    this.spec = spec;
+    this.client = null;
+  }
+
+  get model() {
+    return this.spec.model;
+  }
+
+  get apiKey() {
+    return process.env[this.spec.keyEnv];
+  }
+
+  get available() {
+    return Boolean(this.spec.keyOptional || this.apiKey);
+  }
+
+  supports(capability) {
+    return Boolean(this.spec.capabilities[capability]);
+  }
+
+  requireKey() {
+    if (!this.available) throw new Error(`${this.name} API key missing (set ${this.spec.keyEnv}).`);
+  }
+}
+
+class GeminiProvider extends Provider {
+  getModel(system) {
+    this.requireKey();
+    this.client ??= new GoogleGenerativeAI(this.apiKey);
+    return this.client.getGenerativeModel(
+      { model: this.spec.model, ...(system ? { systemInstruction: system } : {}) },
+      this.spec.baseURL ? { baseUrl: this.spec.baseURL } : undefined
+    );
+  }
+
+  // `history` must end with the user turn being answered. When `onText` is
+  // given and the backend can stream, text deltas are passed to it as they arrive.
+  async chat({ history, system, image, tools = false, onText, signal }) {
+    const contents = toGeminiContents(history);
+    if (image) contents[contents.length - 1].parts.push(image);
+    const model = this.getModel(system);
+    const request = { contents, ...(tools ? { tools: toGeminiTools() } : {}) };
+
+    let text = '';
+    const calls = [];
+    if (onText && this.supports('streaming')) {
+      const result = await model.generateContentStream(request, { signal });
+      for await (const chunk of result.stream) {
+        if (signal?.aborted) break;
+        const delta = chunk.text();
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+        calls.push(...(chunk.functionCalls() || []));
+      }
+    } else {
+      const result = await model.generateContent(request, { signal });
+      text = result.response.text();
+      calls.push(...(result.response.functionCalls() || []));
+      if (onText && text) onText(text);
+    }
+    return {
+      text,
+      toolCalls: calls.map((call, i) => ({ id: `call_${Date.now()}_${i}`, name: call.name, args: call.args || {} }))
+    };
+  }
+}
+
+const parseArguments = (json) => {
+  try { return JSON.parse(json || '{}'); }
+  catch (e) { return {}; } // Reported to the model by schema validation
+};
+
+class OpenAICompatibleProvider extends Provider {
+  getClient() {
+    this.requireKey();
+    this.client ??= new OpenAI({ baseURL: this.spec.baseURL, apiKey: this.apiKey || 'not-needed' });
+    return this.client;
+  }
+
+  async chat({ history, system, image, tools = false, onText, signal }) {
+    const messages = toOpenAIMessages(history, system);
+    if (image) {
+      const last = messages[messages.length - 1];
+      last.content = [
+        { type: 'text', text: last.content },
+        { type: 'image_url', image_url: { url: `data:${image.inlineData.mimeType};base64,${image.inlineData.data}` } }
+      ];
+    }
+    const request = {
+      model: this.spec.model,
+      messages,
+      ...(tools ? { tools: toOpenAITools(), tool_choice: 'auto' } : {})
+    };
+
+    if (!onText || !this.supports('streaming')) {
+      const completion = await this.getClient().chat.completions.create(request, { signal });
+      const message = completion.choices[0].message;
+      if (onText && message.content) onText(message.content);
+      return {
+        text: message.content || '',
+        toolCalls: (message.tool_calls || []).map(call => ({ id: call.id, name: call.function.name, args: parseArguments(call.function.arguments) }))
+      };
+    }
+
+    // Tool calls arrive in fragments keyed by index and are stitched together
+    const stream = await this.getClient().chat.completions.create({ ...request, stream: true }, { signal });
+    let text = '';
+    const calls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta || {};
+      if (delta.content) {
+        text += delta.content;
+        onText(delta.content);
+      }
+      for (const fragment of delta.tool_calls || []) {
+        const call = calls[fragment.index ?? 0] ??= { id: '', name: '', arguments: '' };
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+    }
+    return {
+      text,
+      toolCalls: calls.filter(Boolean).map((call, i) => ({ id: call.id || `call_${Date.now()}_${i}`, name: call.name, args: parseArguments(call.arguments) }))
+    };
+  }
+}
+
+function createProvider(name, spec) {
+  return spec.kind === 'gemini' ? new GeminiProvider(name, spec) : new OpenAICompatibleProvider(name, spec);
+}
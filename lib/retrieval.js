@@ -0,0 +1,192 @@
+import fs from 'fs';
+import path from 'path';
+import { walkFiles } from './files.js';
+
+// =======================
+// CODE RETRIEVAL (BM25)
+// =======================
+// An offline lexical index over the working tree, walked the same way as
+// /grep (.gitignore aware, hidden and binary files skipped). Files are cut
+// into overlapping windows of lines; identifiers are split on camelCase and
+// snake_case so `loadSession` also matches "load sessions". Chunks are ranked
+// with BM25 and the best ones are packed into a token budget.
+//
+// The index lives in memory, one per directory, and is refreshed by mtime
+// before each search, so only changed files are read again.
+
+const CHUNK_LINES = 40;
+const CHUNK_STEP = 30;
+const MAX_FILE_BYTES = 256 * 1024;
+const MAX_FILES = 20000;
+const REFRESH_INTERVAL_MS = 2000;
+const MIN_RELATIVE_SCORE = 0.25; // Drop chunks scoring under this share of the best one
+const K1 = 1.2;
+const B = 0.75;
+const SKIPPED_FILES = /(?:^|\/)(?:package-lock\.json|yarn\.lock|pnpm-lock\.yaml|[^/]+\.min\.[cm]?js|[^/]+\.map)$/;
+const STOPWORDS = new Set([
+  'the', 'and', 'or', 'of', 'to', 'in', 'is', 'it', 'for', 'on', 'with', 'as', 'be', 'by', 'an', 'at', 'if', 'do',
+  'this', 'that', 'what', 'how', 'why', 'where', 'which', 'can', 'you', 'me', 'my', 'we', 'our', 'are', 'was',
+  'should', 'would', 'could', 'please', 'about', 'from', 'into', 'not', 'no', 'so', 'all', 'any', 'use', 'used',
+  'const', 'let', 'var', 'function', 'return', 'else', 'import', 'export', 'new', 'true', 'false', 'null',
+  'undefined', 'await', 'async', 'self', 'def', 'try', 'catch'
+]);
+
+// Folds simple plurals so "heredocs" finds `heredoc`.
+const stem = (term) => (term.length > 3 && term.endsWith('s') && !/(?:ss|us|is)$/.test(term) ? term.slice(0, -1) : term);
+
+// Lower-case terms of a text: each identifier whole, plus its camelCase /
+// snake_case parts.
+export function tokenizeText(text) {
+  const terms = [];
+  for (const [word] of text.matchAll(/[A-Za-z_$][\w$]*|\d+/g)) {
+    const parts = word.split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+    for (const term of new Set([word, ...(parts.length > 1 ? parts : [])])) {
+      const lower = term.toLowerCase();
+      if (lower.length > 1 && !STOPWORDS.has(lower)) terms.push(stem(lower));
+    }
+  }
+  return terms;
+}
+
+// No prototype, so terms like `constructor` count from zero
+const countTerms = (terms) => {
+  const tf = Object.create(null);
+  for (const term of terms) tf[term] = (tf[term] || 0) + 1;
+  return tf;
+};
+
+// Splits a file into chunks { startLine, endLine, text, tf, length }. Path
+// terms count once per chunk so a file's name helps rank its contents.
+function chunkFile(relPath, text) {
+  const lines = text.split(/\r?\n/);
+  if (lines.at(-1) === '') lines.pop();
+  const pathTerms = tokenizeText(relPath.replace(/\.[^./]+$/, ''));
+  const chunks = [];
+  for (let start = 0; start < lines.length; start += CHUNK_STEP) {
+    const body = lines.slice(start, start + CHUNK_LINES).join('\n');
+    const terms = [...tokenizeText(body), ...pathTerms];
+    if (terms.length) chunks.push({ startLine: start + 1, endLine: Math.min(start + CHUNK_LINES, lines.length), text: body, tf: countTerms(terms), length: terms.length });
+    if (start + CHUNK_LINES >= lines.length) break;
+  }
+  return chunks;
+}
+
+class RetrievalIndex {
+  constructor(root) {
+    this.root = root;
+    this.files = new Map(); // relPath → { mtimeMs, size, chunks }
+    this.df = new Map(); // term → number of chunks containing it
+    this.chunkCount = 0;
+    this.totalLength = 0;
+    this.refreshed = 0;
+    this.refreshing = null;
+  }
+
+  account(chunks, sign) {
+    for (const chunk of chunks) {
+      this.chunkCount += sign;
+      this.totalLength += sign * chunk.length;
+      for (const term of Object.keys(chunk.tf)) {
+        const n = (this.df.get(term) || 0) + sign;
+        if (n > 0) this.df.set(term, n);
+        else this.df.delete(term);
+      }
+    }
+  }
+
+  // Re-reads new and changed files and forgets removed ones. Concurrent
+  // callers share one refresh; a refresh younger than REFRESH_INTERVAL_MS is reused.
+  refresh({ force = false } = {}) {
+    if (this.refreshing) return this.refreshing;
+    if (!force && Date.now() - this.refreshed < REFRESH_INTERVAL_MS) return Promise.resolve();
+    this.refreshing = this.walk().finally(() => {
+      this.refreshing = null;
+      this.refreshed = Date.now();
+    });
+    return this.refreshing;
+  }
+
+  async walk() {
+    const seen = new Set();
+    await walkFiles(this.root, async ({ path: abs, relPath }) => {
+      if (SKIPPED_FILES.test(relPath)) return;
+      let stat;
+      try { stat = await fs.promises.stat(abs); }
+      catch (e) { return; } // Removed meanwhile
+      if (stat.size > MAX_FILE_BYTES) return;
+      seen.add(relPath);
+      const known = this.files.get(relPath);
+      if (known && known.mtimeMs === stat.mtimeMs && known.size === stat.size) return;
+      let chunks = [];
+      try {
+        const buffer = await fs.promises.readFile(abs);
+        if (!buffer.subarray(0, 8000).includes(0)) chunks = chunkFile(relPath, buffer.toString('utf8'));
+      } catch (e) { /* Unreadable file */ }
+      if (known) this.account(known.chunks, -1);
+      this.account(chunks, 1);
+      this.files.set(relPath, { mtimeMs: stat.mtimeMs, size: stat.size, chunks });
+    }, { shouldStop: () => seen.size >= MAX_FILES });
+    for (const [relPath, file] of this.files) {
+      if (seen.has(relPath)) continue;
+      this.account(file.chunks, -1);
+      this.files.delete(relPath);
+    }
+  }
+
+  // Chunks ranked by BM25 against `query`: [{ path, startLine, endLine, text, score }].
+  search(query) {
+    const terms = [...new Set(tokenizeText(query))].filter(term => this.df.has(term));
+    if (!terms.length || !this.chunkCount) return [];
+    const avgLength = this.totalLength / this.chunkCount;
+    const idf = new Map(terms.map(term => {
+      const df = this.df.get(term);
+      return [term, Math.log(1 + (this.chunkCount - df + 0.5) / (df + 0.5))];
+    }));
+    const results = [];
+    for (const [relPath, file] of this.files) {
+      for (const chunk of file.chunks) {
+        let score = 0;
+        for (const term of terms) {
+          const tf = Object.hasOwn(chunk.tf, term) ? chunk.tf[term] : 0;
+          if (tf) score += idf.get(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.length / avgLength));
+        }
+        if (score > 0) results.push({ path: relPath, startLine: chunk.startLine, endLine: chunk.endLine, text: chunk.text, score });
+      }
+    }
+    return results.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path) || a.startLine - b.startLine);
+  }
+}
+
+const indexes = new Map(); // Absolute root → RetrievalIndex
+
+export function getRetrievalIndex(root = process.cwd()) {
+  const abs = path.resolve(root);
+  if (!indexes.has(abs)) indexes.set(abs, new RetrievalIndex(abs));
+  return indexes.get(abs);
+}
+
+// Renders chunks as the note attached to a request.
+export function formatSnippets(chunks) {
+  const blocks = chunks.map(c => `${c.path}:${c.startLine}-${c.endLine}\n\`\`\`\n${c.text}\n\`\`\``);
+  return `Code snippets retrieved automatically for this request (they may be incomplete; read a file for its full content):\n\n${blocks.join('\n\n')}`;
+}
+
+// Finds the chunks to attach for `query`: at most `topK`, not overlapping one
+// another, fitting in `maxTokens` as measured by `estimate(text)`. Resolves to
+// { chunks, tokens, files, indexedChunks }.
+export async function retrieveSnippets(query, { root = process.cwd(), topK = 5, maxTokens = 1500, estimate = (text) => Math.ceil(text.length / 4) } = {}) {
+  const index = getRetrievalIndex(root);
+  await index.refresh();
+  const ranked = index.search(query);
+  const chunks = [];
+  let tokens = estimate(formatSnippets([]));
+  for (const chunk of ranked) {
+    if (chunks.length >= topK || chunk.score < ranked[0].score * MIN_RELATIVE_SCORE) break;
+    if (chunks.some(c => c.path === chunk.path && c.startLine <= chunk.endLine && chunk.startLine <= c.endLine)) continue;
+    const cost = estimate(formatSnippets([chunk])) - estimate(formatSnippets([]));
+    if (tokens + cost > maxTokens) continue;
+    chunks.push(chunk);
+    tokens += cost;
+  }
+  return { chunks, tokens: chunks.length ? tokens : 0, files: index.files.size, indexedChunks: index.chunkCount };
+}
@@ -0,0 +1,66 @@
+import vm from 'vm';
+import util from 'util';
+import { createRequire } from 'module';
+
+// =======================
+// SANDBOX CHILD PROCESS
+// =======================
+// Started by lib/sandbox.js under Node's permission model (no file writes,
+// no child processes, no workers) with a capped heap. Receives one
+// { code, globals, modules, timeoutMs } message, evaluates it in a fresh VM
+// context and reports back over IPC:
+//   { type: 'log', level, text }  for each console call
+//   { type: 'done', result?, error? }
+
+const require = createRequire(import.meta.url);
+const send = (message) => process.send(message);
+const show = (value) => (typeof value === 'string' ? value : util.inspect(value, { depth: 4, breakLength: 100 }));
+
+// The global object has no prototype and console is built inside the
+// context, so plain code cannot walk `constructor` chains back to the host
+// realm. Allowlisted globals and modules are host objects: opting into them
+// trades some of that isolation for convenience (the process-level limits
+// still apply).
+const CONSOLE_SHIM = `(emit) => {
+  const console = {};
+  for (const level of ['log', 'info', 'warn', 'error', 'debug']) console[level] = (...args) => { emit(level, args); };
+  globalThis.console = console;
+}`;
+
+function buildContext({ globals, modules }) {
+  const context = vm.createContext(Object.create(null), { codeGeneration: { strings: false, wasm: false } });
+  vm.runInContext(CONSOLE_SHIM, context)((level, args) => send({ type: 'log', level, text: args.map(show).join(' ') }));
+  for (const name of globals) context[name] = globalThis[name];
+  if (modules.length) {
+    context.require = (name) => {
+      const id = name.replace(/^node:/, '');
+      if (!modules.includes(id)) throw new Error(`Module '${name}' is not allowed in the sandbox.`);
+      return require(id);
+    };
+  }
+  return context;
+}
+
+// Code using `await` is wrapped in an async function: as an expression first
+// so `await x` yields its value, then as a statement body (use `return`).
+function compile(code) {
+  const options = { filename: 'sandbox.js' };
+  if (!/\bawait\b/.test(code)) return new vm.Script(code, options);
+  try { return new vm.Script(`(async () => (${code}\n))()`, options); }
+  catch (e) { return new vm.Script(`(async () => {${code}\n})()`, options); }
+}
+
+process.once('message', async ({ code, globals = [], modules = [], timeoutMs }) => {
+  try {
+    const context = buildContext({ globals, modules });
+    // `timeout` bounds the synchronous part; the parent kills the process if
+    // pending async work runs past the overall limit
+    let result = compile(code).runInContext(context, { timeout: timeoutMs });
+    if (result && typeof result.then === 'function') result = await result;
+    send({ type: 'done', result: result === undefined ? undefined : show(result) });
+  } catch (e) {
+    const timedOut = e?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    send({ type: 'done', error: e && typeof e === 'object' && 'message' in e ? `${e.name}: ${e.message}` : `Thrown: ${show(e)}`, limit: timedOut ? 'time' : undefined });
+  }
+  process.disconnect();
+});
@@ -0,0 +1,78 @@
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+
+// =======================
+// JAVASCRIPT SANDBOX
+// =======================
+// Each /sandbox run gets its own Node child process (lib/sandbox-runner.js)
+// started with a capped heap and, where the runtime supports it, the
+// permission model, so file writes, child processes and workers are refused
+// at the process level. The parent enforces the overall time limit by
+// killing the child, which also stops infinite loops in async code.
+
+const RUNNER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'sandbox-runner.js');
+
+// What may be opted into with the sandbox.globals / sandbox.modules config keys
+export const SAFE_GLOBALS = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask', 'structuredClone', 'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder', 'atob', 'btoa'];
+export const SAFE_MODULES = ['assert', 'buffer', 'crypto', 'path', 'querystring', 'string_decoder', 'url', 'util', 'zlib'];
+
+export const SANDBOX_DEFAULTS = { timeoutMs: 5000, memoryMb: 64, globals: [], modules: [] };
+
+const MAX_OUTPUT_CHARS = 20000;
+
+function permissionFlags() {
+  const flags = process.allowedNodeEnvironmentFlags;
+  const flag = flags.has('--permission') ? '--permission' : flags.has('--experimental-permission') ? '--experimental-permission' : null;
+  return flag ? [flag, `--allow-fs-read=${RUNNER}`] : [];
+}
+
+export const isIsolated = () => permissionFlags().length > 0;
+
+// Resolves to { logs: [{ level, text }], result?, error?, limit?: 'time' | 'memory', durationMs }.
+// `onLog` receives console output as it happens.
+export function runSandbox(code, options = {}, onLog = () => {}) {
+  const { timeoutMs, memoryMb, globals, modules } = { ...SANDBOX_DEFAULTS, ...options };
+  const started = Date.now();
+  const logs = [];
+  let outputChars = 0;
+  let stderr = '';
+
+  return new Promise(resolve => {
+    const child = fork(RUNNER, [], {
+      execArgv: [...permissionFlags(), `--max-old-space-size=${memoryMb}`, '--no-warnings'],
+      env: {},
+      stdio: ['ignore', 'ignore', 'pipe', 'ipc']
+    });
+    let outcome = null;
+    const finish = (result) => {
+      if (outcome) return;
+      outcome = { logs, ...result, durationMs: Date.now() - started };
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      resolve(outcome);
+    };
+    const timer = setTimeout(() => finish({ error: `Time limit of ${timeoutMs} ms exceeded`, limit: 'time' }), timeoutMs);
+
+    child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-4000); });
+    child.on('message', message => {
+      if (message.type === 'log') {
+        if (outputChars > MAX_OUTPUT_CHARS) return;
+        outputChars += message.text.length;
+        const entry = outputChars > MAX_OUTPUT_CHARS ? { level: 'warn', text: '[output truncated]' } : { level: message.level, text: message.text };
+        logs.push(entry);
+        onLog(entry);
+      } else if (message.type === 'done') {
+        const { error, limit } = message;
+        const result = message.result?.length > MAX_OUTPUT_CHARS ? `${message.result.slice(0, MAX_OUTPUT_CHARS)}\n[result truncated]` : message.result;
+        finish({ result, error: limit === 'time' ? `Time limit of ${timeoutMs} ms exceeded` : error, limit });
+      }
+    });
+    child.on('error', e => finish({ error: `Sandbox failed to start: ${e.message}` }));
+    child.on('exit', (code, signal) => {
+      if (/heap out of memory|Allocation failed/i.test(stderr)) return finish({ error: `Memory limit of ${memoryMb} MB exceeded`, limit: 'memory' });
+      finish({ error: `Sandbox exited unexpectedly (${signal || `code ${code}`})${stderr ? `: ${stderr.trim().split('\n').pop()}` : ''}` });
+    });
+    child.send({ code, globals: globals.filter(g => SAFE_GLOBALS.includes(g)), modules: modules.filter(m => SAFE_MODULES.includes(m)), timeoutMs });
+  });
+}
@@ -0,0 +1,77 @@
+// =======================
+// MINIMAL JSON SCHEMA VALIDATION
+// =======================
+// Covers the subset of JSON Schema used by tool and config declarations:
+// type, properties, required, additionalProperties, items, enum, const,
+// minimum/maximum, minLength/maxLength, minItems/maxItems and pattern.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+// Returns a list of { path, message } errors; an empty list means valid.
+export function validateSchema(schema, value, at = '') {
+  const errors = [];
+  const where = at || '(root)';
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path: where, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(v => v === value)) {
+    errors.push({ path: where, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if ('const' in schema && schema.const !== value) {
+    errors.push({ path: where, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: where, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: where, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path: where, message: `must have at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path: where, message: `must have at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path: where, message: `must match /${schema.pattern}/` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: where, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: where, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${at}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: at ? `${at}.${key}` : key, message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      const child = at ? `${at}.${key}` : key;
+      if (properties[key]) errors.push(...validateSchema(properties[key], v, child));
+      else if (schema.additionalProperties === false) errors.push({ path: child, message: 'is not an allowed property' });
+      else if (typeof schema.additionalProperties === 'object') errors.push(...validateSchema(schema.additionalProperties, v, child));
+    }
+  }
+
+  return errors;
+}
+
+export function formatSchemaErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
@@ -0,0 +1,306 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+import util from 'util';
+import express from 'express';
+import { WebSocketServer } from 'ws';
+import { bexHome } from './sessions.js';
+import { parseCommandLine } from './command-line.js';
+
+// =======================
+// HTTP / WEBSOCKET API
+// =======================
+// `bex serve` lets editors and dashboards drive BEX. Every API session has
+// its own conversation state (see index.js); requests need the local token as
+// `Authorization: Bearer <token>` (WebSocket clients may pass `?token=`).
+//   GET    /health                     no token needed
+//   GET    /sessions                   open API sessions
+//   POST   /sessions                   { title?, provider?, resume? } → 201 session
+//   GET    /sessions/:id
+//   DELETE /sessions/:id               saves and closes it (and its browser)
+//   GET    /sessions/:id/history
+//   POST   /sessions/:id/prompt        { text } → { reply, output, messages }
+//   POST   /sessions/:id/command       { line } or { command, args } → { output, messages }
+//   POST   /sessions/:id/answer        { text } answers a pending permission question
+//   POST   /sessions/:id/cancel        aborts the running reply or command
+//   WS     /sessions/:id/events        event stream
+// Events: hello, busy, idle, output { text }, delta { text } (raw reply tokens),
+// tool_call { id, name, args }, tool_result { id, name, output }, plan_step { step },
+// files_changed { checkpoints, changes } (after a /task), question { text }, error { message }. WebSocket clients may send
+// { type: 'prompt', text } | { type: 'command', line } | { type: 'answer', text } | { type: 'cancel' }.
+
+export const DEFAULT_PORT = 4317;
+
+// Commands that would affect the whole process, swap the session under the API,
+// or change settings every session shares (approvals, config, providers, MCP servers)
+const BLOCKED_COMMANDS = ['/quit', '/multiline', '/session', '/auto', '/config', '/permissions', '/persistent', '/mcp_add'];
+
+// Commands that only read a shared setting unless given these arguments
+const BLOCKED_ARGUMENTS = {
+  '/provider': /\S/, // Listing is fine; switching or adding is saved to the config
+  '/context': /^budget\s+\S/,
+  '/retrieve': /^(?:on|off)$/
+};
+
+const isBlocked = ({ name, raw }) => BLOCKED_COMMANDS.includes(name) || Boolean(BLOCKED_ARGUMENTS[name]?.test(raw));
+const blockedMessage = ({ name, raw }) => `${[name, raw].join(' ').trim()} is not available over the API.`;
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+export const serveTokenFile = () => path.join(bexHome(), 'serve.token');
+
+// The token from --token, $BEX_SERVE_TOKEN or ~/.bex/serve.token (created on first use).
+export function resolveServeToken(explicit) {
+  if (explicit) return explicit;
+  if (process.env.BEX_SERVE_TOKEN) return process.env.BEX_SERVE_TOKEN;
+  const file = serveTokenFile();
+  try {
+    const saved = fs.readFileSync(file, 'utf8').trim();
+    if (saved) return saved;
+  } catch (e) { /* Not created yet */ }
+  const token = crypto.randomBytes(24).toString('hex');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, token + '\n', { mode: 0o600 });
+  return token;
+}
+
+const sameToken = (given, token) => {
+  if (typeof given !== 'string') return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const bearer = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Starts the API server. The host provides:
+//   openState({ title, provider, resume }) → state   (throws on bad input)
+//   isCommand(name) → boolean                         whether `name` is a slash command
+//   runLine(state, line) → Promise                    runs one line of input in the state
+//   closeState(state) → Promise                       saves it and stops its services
+// Each state gets `refuse({ name, raw })`, which returns why a command stage may
+// not run (or null); the host checks it for every stage it runs, so lines from
+// workflows and plans are held to the same blocklist as lines sent directly.
+// Resolves with { url, close() } once listening.
+export function serveApi({ port = DEFAULT_PORT, host = '127.0.0.1', token, openState, isCommand, runLine, closeState }) {
+  const sessions = new Map(); // id → { state, clients: Set<WebSocket>, busy, collect, question }
+
+  const send = (ws, event) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+  };
+  const broadcast = (entry, event) => entry.clients.forEach(ws => send(ws, event));
+
+  const describe = ({ state, busy, question, clients }) => ({
+    id: state.session.id,
+    title: state.session.title,
+    provider: state.currentProvider,
+    cwd: state.session.cwd,
+    messages: state.history.length,
+    busy,
+    question: question?.text ?? null,
+    clients: clients.size
+  });
+
+  const open = (options) => {
+    if (options.resume && [...sessions.values()].some(e => e.state.session.id === options.resume)) {
+      throw new ApiError(409, `Session ${options.resume} is already open.`);
+    }
+    let state;
+    try { state = openState(options); }
+    catch (e) { throw new ApiError(400, e.message); }
+    if (sessions.has(state.session.id)) throw new ApiError(409, `Session ${state.session.id} is already open.`);
+    const entry = { state, clients: new Set(), busy: false, collect: null, question: null };
+    state.emit = (event) => {
+      if (event.type === 'output') entry.collect?.push(event.text);
+      broadcast(entry, event);
+    };
+    // Permission prompts go to the WebSocket clients; with none connected
+    // there is nobody to ask, so ask-level commands are declined.
+    state.ask = (question) => new Promise(resolve => {
+      if (!entry.clients.size) return resolve('');
+      const text = util.stripVTControlCharacters(question);
+      entry.question = { text, resolve };
+      broadcast(entry, { type: 'question', text });
+    });
+    state.refuse = (stage) => (isBlocked(stage) ? blockedMessage(stage) : null);
+    sessions.set(state.session.id, entry);
+    return entry;
+  };
+
+  const lookup = (id) => {
+    const entry = sessions.get(id);
+    if (!entry) throw new ApiError(404, `No open session ${id}.`);
+    return entry;
+  };
+
+  const answer = (entry, text) => {
+    if (!entry.question) return false;
+    const { resolve } = entry.question;
+    entry.question = null;
+    resolve(String(text ?? ''));
+    return true;
+  };
+
+  const run = async (entry, line) => {
+    let stages = [];
+    try { stages = parseCommandLine(line, { isCommand }).stages; }
+    catch (e) { /* Reported by the session */ }
+    const blocked = stages.find(isBlocked);
+    if (blocked) throw new ApiError(403, blockedMessage(blocked));
+    if (entry.busy) throw new ApiError(409, 'Session is busy.');
+    entry.busy = true;
+    const output = [];
+    entry.collect = output;
+    const mark = entry.state.history.length;
+    broadcast(entry, { type: 'busy', line });
+    try {
+      await runLine(entry.state, line);
+    } finally {
+      entry.busy = false;
+      entry.collect = null;
+      answer(entry, '');
+      broadcast(entry, { type: 'idle' });
+    }
+    return { output: output.join(''), messages: entry.state.history.slice(Math.min(mark, entry.state.history.length)) };
+  };
+
+  const cancel = (entry) => {
+    answer(entry, '');
+    entry.state.activeGeneration?.abort();
+  };
+
+  const close = async (entry) => {
+    sessions.delete(entry.state.session.id);
+    cancel(entry);
+    entry.clients.forEach(ws => ws.close(1000, 'Session closed'));
+    await closeState(entry.state);
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+
+  app.get('/health', (req, res) => res.json({ ok: true, sessions: sessions.size }));
+
+  app.use((req, res, next) => {
+    if (!sameToken(bearer(req), token)) return res.status(401).json({ error: 'Missing or invalid token.' });
+    next();
+  });
+
+  app.get('/sessions', (req, res) => res.json({ sessions: [...sessions.values()].map(describe) }));
+
+  app.post('/sessions', (req, res) => {
+    const { title, provider, resume } = req.body || {};
+    res.status(201).json(describe(open({ title, provider, resume })));
+  });
+
+  app.get('/sessions/:id', (req, res) => res.json(describe(lookup(req.params.id))));
+
+  app.delete('/sessions/:id', async (req, res) => {
+    await close(lookup(req.params.id));
+    res.status(204).end();
+  });
+
+  app.get('/sessions/:id/history', (req, res) => res.json({ history: lookup(req.params.id).state.history }));
+
+  app.post('/sessions/:id/prompt', async (req, res) => {
+    const entry = lookup(req.params.id);
+    const text = String(req.body?.text ?? '').trim();
+    if (!text) throw new ApiError(400, 'Body must include "text".');
+    if (text.startsWith('/')) throw new ApiError(400, 'Use /sessions/:id/command for slash commands.');
+    const result = await run(entry, text);
+    const reply = result.messages.filter(m => m.role === 'model').map(m => m.content).join('\n');
+    res.json({ reply, ...result });
+  });
+
+  app.post('/sessions/:id/command', async (req, res) => {
+    const entry = lookup(req.params.id);
+    const { command, args = [] } = req.body || {};
+    const line = String(req.body?.line ?? (command ? [command, ...[].concat(args)].join(' ') : '')).trim();
+    if (!line.startsWith('/')) throw new ApiError(400, 'Body must include a slash command as "line" or "command".');
+    res.json(await run(entry, line));
+  });
+
+  app.post('/sessions/:id/answer', (req, res) => {
+    if (!answer(lookup(req.params.id), req.body?.text)) throw new ApiError(409, 'No question is pending.');
+    res.json({ ok: true });
+  });
+
+  app.post('/sessions/:id/cancel', (req, res) => {
+    const entry = lookup(req.params.id);
+    cancel(entry);
+    res.json({ ok: true, busy: entry.busy });
+  });
+
+  app.use((req, res) => res.status(404).json({ error: 'Not found.' }));
+  app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    const status = err.status || err.statusCode || 500;
+    res.status(status).json({ error: err.message });
+  });
+
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/sessions\/([^/]+)\/events$/);
+    const reject = (status, reason) => {
+      socket.end(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+    };
+    if (!sameToken(bearer(req) ?? url.searchParams.get('token'), token)) return reject(401, 'Unauthorized');
+    const entry = match && sessions.get(decodeURIComponent(match[1]));
+    if (!entry) return reject(404, 'Not Found');
+    wss.handleUpgrade(req, socket, head, ws => {
+      entry.clients.add(ws);
+      ws.on('close', () => entry.clients.delete(ws));
+      ws.on('error', () => {});
+      send(ws, { type: 'hello', session: describe(entry) });
+      if (entry.question) send(ws, { type: 'question', text: entry.question.text });
+      ws.on('message', data => {
+        let message;
+        try { message = JSON.parse(data.toString()); }
+        catch (e) { return send(ws, { type: 'error', message: 'Messages must be JSON.' }); }
+        const fail = (e) => send(ws, { type: 'error', message: e.message });
+        switch (message.type) {
+          case 'prompt':
+          case 'command':
+            run(entry, String(message.text ?? message.line ?? '').trim()).catch(fail);
+            break;
+          case 'answer':
+            if (!answer(entry, message.text)) fail(new Error('No question is pending.'));
+            break;
+          case 'cancel':
+            cancel(entry);
+            break;
+          default:
+            fail(new Error(`Unknown message type: ${message.type}`));
+        }
+      });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: actual } = server.address();
+      resolve({
+        url: `http://${host.includes(':') ? `[${host}]` : host}:${actual}`,
+        async close() {
+          await Promise.allSettled([...sessions.values()].map(close));
+          wss.clients.forEach(ws => ws.terminate());
+          await new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+// =======================
+// CONVERSATION SESSIONS
+// =======================
+// Sessions live under ~/.bex/sessions (or $BEX_HOME/sessions):
+//   index.json   { [id]: { id, title, provider, cwd, created, updated, messages, parent } }
+//   <id>.json    the session's history array
+
+export const DEFAULT_TITLE = 'New session';
+
+export function bexHome() {
+  return process.env.BEX_HOME || path.join(os.homedir(), '.bex');
+}
+
+export function sessionsDir() {
+  return path.join(bexHome(), 'sessions');
+}
+
+const indexFile = () => path.join(sessionsDir(), 'index.json');
+const historyFile = (id) => path.join(sessionsDir(), `${id}.json`);
+
+function readIndex() {
+  try { return JSON.parse(fs.readFileSync(indexFile(), 'utf8')); }
+  catch (e) { return {}; }
+}
+
+// Write to a temp file and rename so a crash never leaves half a file behind
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+function updateIndex(mutate) {
+  const index = readIndex();
+  mutate(index);
+  writeJson(indexFile(), index);
+}
+
+export function listSessions() {
+  return Object.values(readIndex()).sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+// Finds a session by exact id, unique id prefix or exact title.
+export function resolveSession(ref) {
+  if (!ref) return null;
+  const sessions = listSessions();
+  const exact = sessions.find(s => s.id === ref);
+  if (exact) return exact;
+  const byPrefix = sessions.filter(s => s.id.startsWith(ref));
+  if (byPrefix.length === 1) return byPrefix[0];
+  if (byPrefix.length > 1) throw new Error(`Session id '${ref}' is ambiguous.`);
+  return sessions.find(s => s.title === ref) || null;
+}
+
+export function findLatestSession(cwd) {
+  return listSessions().find(s => s.cwd === cwd) || null;
+}
+
+export function createSession({ title = DEFAULT_TITLE, provider, cwd = process.cwd(), history = [], parent = null } = {}) {
+  const now = new Date().toISOString();
+  const meta = { id: crypto.randomBytes(4).toString('hex'), title, provider, cwd, created: now, updated: now, messages: history.length, parent };
+  writeJson(historyFile(meta.id), history);
+  updateIndex(index => { index[meta.id] = meta; });
+  return meta;
+}
+
+export function loadSession(id) {
+  const meta = readIndex()[id];
+  if (!meta) throw new Error(`Unknown session: ${id}`);
+  let history = [];
+  try { history = JSON.parse(fs.readFileSync(historyFile(id), 'utf8')); }
+  catch (e) { /* Missing or corrupt history starts empty */ }
+  return { meta, history };
+}
+
+export function saveSession(meta, history) {
+  meta.updated = new Date().toISOString();
+  meta.messages = history.length;
+  writeJson(historyFile(meta.id), history);
+  updateIndex(index => { index[meta.id] = { ...index[meta.id], ...meta }; });
+}
+
+export function forkSession(meta, history, title) {
+  return createSession({
+    title: title || `${meta.title} (fork)`,
+    provider: meta.provider,
+    cwd: meta.cwd,
+    history: structuredClone(history),
+    parent: meta.id
+  });
+}
+
+export function renameSession(meta, title) {
+  meta.title = title;
+  updateIndex(index => { if (index[meta.id]) index[meta.id].title = title; });
+}
+
+export function deleteSession(id) {
+  updateIndex(index => { delete index[id]; });
+  fs.rmSync(historyFile(id), { force: true });
+}
@@ -0,0 +1,132 @@
+import chalk from 'chalk';
+import { highlight } from 'cardinal';
+
+// =======================
+// INCREMENTAL MARKDOWN RENDERING
+// =======================
+// Prints model output as it streams in. Prose is written immediately with
+// **bold** and `inline code` styling; fenced code blocks are held back until
+// the closing fence arrives and then printed through cardinal.
+
+const highlightCode = (code) => {
+  try { return highlight(code); }
+  catch (e) { return chalk.gray(code); }
+};
+
+export class StreamRenderer {
+  constructor(write = (text) => process.stdout.write(text)) {
+    this.write = write;
+    this.buffer = '';
+    this.inFence = false;
+    this.code = '';
+    this.lineStart = true;
+    this.bold = false;
+    this.inlineCode = false;
+    this.ended = false;
+  }
+
+  push(text) {
+    this.buffer += text;
+    this.drain();
+  }
+
+  end() {
+    this.ended = true;
+    this.drain();
+    if (this.inFence) this.write(highlightCode(this.code) + '\n'); // Unclosed fence
+    this.inFence = false;
+    this.code = '';
+  }
+
+  style(text) {
+    if (this.inlineCode) return chalk.yellow(text);
+    if (this.bold) return chalk.bold(text);
+    return text;
+  }
+
+  drain() {
+    const buf = this.buffer;
+    let i = 0;
+    let run = '';
+    const flush = () => {
+      if (run) this.write(this.style(run));
+      run = '';
+    };
+
+    while (i < buf.length) {
+      if (this.inFence) {
+        const nl = buf.indexOf('\n', i);
+        if (nl === -1 && !this.ended) break;
+        const line = buf.slice(i, nl === -1 ? buf.length : nl);
+        i = nl === -1 ? buf.length : nl + 1;
+        if (line.trim().startsWith('```')) {
+          this.write(highlightCode(this.code.replace(/\n$/, '')) + '\n');
+          this.inFence = false;
+          this.code = '';
+          this.lineStart = true;
+        } else {
+          this.code += line + '\n';
+        }
+        continue;
+      }
+
+      const c = buf[i];
+      const rest = buf.length - i;
+
+      // A backtick at the start of a line may open a fence; wait until we know
+      if (this.lineStart && c === '`') {
+        if (rest < 3 && !this.ended) break;
+        if (buf.startsWith('```', i)) {
+          const nl = buf.indexOf('\n', i);
+          if (nl === -1 && !this.ended) break;
+          flush();
+          i = nl === -1 ? buf.length : nl + 1;
+          this.inFence = true;
+          this.code = '';
+          this.write('\n');
+          continue;
+        }
+      }
+
+      if (c === '*') {
+        if (rest < 2 && !this.ended) break;
+        if (buf[i + 1] === '*' && !this.inlineCode) {
+          flush();
+          this.bold = !this.bold;
+          i += 2;
+          this.lineStart = false;
+          continue;
+        }
+      }
+
+      if (c === '`') {
+        flush();
+        this.inlineCode = !this.inlineCode;
+        i++;
+        this.lineStart = false;
+        continue;
+      }
+
+      if (c === '\n') {
+        // Styles never span lines; a stray marker must not colour the rest
+        flush();
+        this.bold = false;
+        this.inlineCode = false;
+      }
+      run += c;
+      this.lineStart = c === '\n';
+      i++;
+    }
+    flush();
+    this.buffer = buf.slice(i);
+  }
+}
+
+// Renders a complete response in one go (non-streaming callers).
+export function renderMarkdown(text) {
+  let out = '';
+  const renderer = new StreamRenderer(chunk => { out += chunk; });
+  renderer.push(text);
+  renderer.end();
+  return out;
+}
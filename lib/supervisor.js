@@ -0,0 +1,115 @@
+// =======================
+// SERVICE SUPERVISOR
+// =======================
+// Keeps long-lived helpers (MCP servers, the browser, the daemon worker)
+// alive. A service is registered with
+//   start(crashed) → Promise   bring it up; call crashed(error) if it dies later
+//   check() → Promise          health check; throw (or reject) when unhealthy
+//   stop(reason) → Promise     shut it down (best effort); reason is
+//                              'restart' or 'shutdown'
+// A service whose first start fails is not registered (add() rejects). After
+// that, a crash or failed check triggers a restart after an exponential
+// backoff (1s, 2s, 4s ... capped at 60s). Backoff resets once a service has
+// stayed healthy for STABLE_MS.
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+const STABLE_MS = 60000;
+const DEFAULT_INTERVAL_MS = 15000;
+
+export const backoffDelay = (failures) => Math.min(BASE_DELAY_MS * 2 ** Math.max(failures - 1, 0), MAX_DELAY_MS);
+
+export class Supervisor {
+  constructor({ log = () => {} } = {}) {
+    this.log = log;
+    this.services = new Map();
+  }
+
+  // Registers (or replaces) a service and starts it.
+  async add(name, { start, check, stop, interval = DEFAULT_INTERVAL_MS, description = '' }) {
+    if (this.services.has(name)) await this.remove(name);
+    const service = {
+      name, start, check, stop, interval, description,
+      state: 'starting', restarts: 0, failures: 0, since: null, lastError: null, lastCheck: null,
+      nextRetry: null, timer: null, retryTimer: null, generation: 0
+    };
+    await this.launch(service, { rethrow: true });
+    this.services.set(name, service);
+    service.timer = setInterval(() => this.probe(service), interval);
+    service.timer.unref();
+    return service;
+  }
+
+  async launch(service, { rethrow = false } = {}) {
+    const generation = ++service.generation;
+    service.state = 'starting';
+    try {
+      await service.start((error) => {
+        if (service.generation === generation) this.fail(service, error || new Error('exited'));
+      });
+      if (service.generation !== generation) return;
+      service.state = 'running';
+      service.since = Date.now();
+      service.nextRetry = null;
+    } catch (e) {
+      if (rethrow) throw e;
+      if (service.generation === generation) this.fail(service, e);
+    }
+  }
+
+  async probe(service) {
+    if (service.state !== 'running' || !service.check) return;
+    const generation = service.generation;
+    try {
+      await service.check();
+      service.lastCheck = Date.now();
+      if (service.failures && Date.now() - service.since > STABLE_MS) service.failures = 0;
+    } catch (e) {
+      if (service.generation === generation && service.state === 'running') this.fail(service, e);
+    }
+  }
+
+  fail(service, error) {
+    if (service.state === 'stopped' || service.state === 'restarting') return;
+    service.generation++; // Ignore late reports from the failed instance
+    service.lastError = error.message || String(error);
+    service.failures++;
+    const delay = backoffDelay(service.failures);
+    service.state = 'restarting';
+    service.nextRetry = Date.now() + delay;
+    this.log(`${service.name} is down (${service.lastError}); restarting in ${Math.round(delay / 1000)}s`);
+    Promise.resolve(service.stop?.('restart')).catch(() => {});
+    service.retryTimer = setTimeout(async () => {
+      if (service.state !== 'restarting') return;
+      service.restarts++;
+      await this.launch(service);
+      if (service.state === 'running') this.log(`${service.name} restarted (restart #${service.restarts})`);
+    }, delay);
+    service.retryTimer.unref();
+  }
+
+  // Stops a service on purpose; it is not restarted.
+  async remove(name) {
+    const service = this.services.get(name);
+    if (!service) return;
+    service.state = 'stopped';
+    service.generation++;
+    clearInterval(service.timer);
+    clearTimeout(service.retryTimer);
+    this.services.delete(name);
+    await Promise.resolve(service.stop?.('shutdown')).catch(() => {});
+  }
+
+  async removeAll() {
+    await Promise.allSettled([...this.services.keys()].map(name => this.remove(name)));
+  }
+
+  get(name) {
+    return this.services.get(name);
+  }
+
+  list() {
+    return [...this.services.values()].map(({ name, description, state, restarts, since, lastError, lastCheck, nextRetry }) =>
+      ({ name, description, state, restarts, since, lastError, lastCheck, nextRetry }));
+  }
+}
@@ -0,0 +1,348 @@
+import path from 'path';
+import chalk from 'chalk';
+import yaml from 'js-yaml';
+import { validateSchema, formatSchemaErrors } from './schema.js';
+import { splitCommandLines } from './command-line.js';
+
+// =======================
+// WORKFLOWS
+// =======================
+// /workflow runs a YAML or JSON file:
+//   name: Release check
+//   vars: { branch: main }
+//   steps:
+//     - id: tests
+//       run: /exec npm test          # a slash command ...
+//       retries: 2                   # extra attempts, retry_delay seconds apart
+//       continue_on_error: true      # otherwise a failed step stops the run
+//     - if: "!steps.tests.ok"
+//       prompt: "Explain these failures: {{ steps.tests.output }}"   # ... or a chat message
+//     - foreach: [a.js, b.js]        # also a template resolving to a list (or lines)
+//       run: /read {{ item }}
+//     - set: { summary: "{{ steps.tests.exitCode }}" }               # ... or variables
+// Templates ({{ expr }}) and `if` use a small expression language: paths into
+// vars, steps.<id>.{ok,output,reply,exitCode,status,items}, item, index and env
+// (bare names are looked up in vars), literals, ! && || == != < <= > >= and contains.
+// `if` is one expression, optionally wrapped in a single {{ }}.
+// Any other file is the legacy format: one line of input per line (a heredoc
+// keeps its body lines with its command).
+
+export class WorkflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkflowError';
+  }
+}
+
+const STEP_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string', pattern: '^[A-Za-z_][\\w-]*$' },
+    name: { type: 'string' },
+    run: { type: 'string', pattern: '^\\s*/' },
+    prompt: { type: 'string', minLength: 1 },
+    set: { type: 'object' },
+    if: { type: ['string', 'boolean'] },
+    foreach: { type: ['string', 'array'] },
+    retries: { type: 'integer', minimum: 0, maximum: 10 },
+    retry_delay: { type: 'number', minimum: 0 },
+    continue_on_error: { type: 'boolean' }
+  }
+};
+
+const WORKFLOW_SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    vars: { type: 'object' },
+    steps: { type: 'array', minItems: 1, items: STEP_SCHEMA }
+  }
+};
+
+function structured(text, file) {
+  const ext = path.extname(file || '').toLowerCase();
+  if (ext === '.json') {
+    try { return JSON.parse(text); }
+    catch (e) { throw new WorkflowError(`Invalid JSON: ${e.message}`); }
+  }
+  let data;
+  try { data = yaml.load(text); }
+  catch (e) {
+    if (['.yaml', '.yml'].includes(ext)) throw new WorkflowError(`Invalid YAML: ${e.message}`);
+    return null;
+  }
+  // Legacy files parse as a plain string (or nothing useful) in YAML
+  return data && typeof data === 'object' && !Array.isArray(data) && 'steps' in data ? data : ['.yaml', '.yml'].includes(ext) ? data : null;
+}
+
+// Returns { name, vars, steps, legacy }. Throws WorkflowError for invalid files.
+export function parseWorkflow(text, file = '') {
+  const data = structured(text, file);
+  if (!data) {
+    // Legacy format: every non-empty line is input; failures never stopped it
+    const steps = splitCommandLines(text)
+      .map((line, i) => ({ id: `step${i + 1}`, [line.startsWith('/') ? 'run' : 'prompt']: line, continue_on_error: true, raw: true }));
+    return { name: path.basename(file), vars: {}, steps, legacy: true };
+  }
+  const errors = validateSchema(WORKFLOW_SCHEMA, data);
+  if (errors.length) throw new WorkflowError(`Invalid workflow: ${formatSchemaErrors(errors)}`);
+  const ids = new Set();
+  const steps = data.steps.map((step, i) => {
+    const actions = ['run', 'prompt', 'set'].filter(key => key in step);
+    if (actions.length !== 1) throw new WorkflowError(`Step ${i + 1} needs exactly one of run, prompt or set.`);
+    const id = step.id || `step${i + 1}`;
+    if (ids.has(id)) throw new WorkflowError(`Duplicate step id: ${id}`);
+    if (typeof step.if === 'string') conditionExpression(step.if);
+    ids.add(id);
+    return { ...step, id };
+  });
+  return { name: data.name || path.basename(file), vars: data.vars || {}, steps, legacy: false };
+}
+
+// =======================
+// EXPRESSIONS & TEMPLATES
+// =======================
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(==|!=|<=|>=|&&|\|\||[!<>()])|([A-Za-z_][\w-]*(?:\.[\w-]+|\[\d+\])*))/y;
+
+function tokenize(expr) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expr.length) {
+    if (!expr.slice(TOKEN.lastIndex).trim()) break;
+    const start = TOKEN.lastIndex;
+    const m = TOKEN.exec(expr);
+    if (!m) throw new WorkflowError(`Cannot parse expression at "${expr.slice(start).trim()}": ${expr}`);
+    if (m[1] !== undefined) tokens.push({ type: 'value', value: Number(m[1]) });
+    else if (m[2] !== undefined || m[3] !== undefined) tokens.push({ type: 'value', value: (m[2] ?? m[3]).replace(/\\(.)/g, '$1') });
+    else if (m[4]) tokens.push({ type: 'op', value: m[4] });
+    else if (['true', 'false', 'null'].includes(m[5])) tokens.push({ type: 'value', value: JSON.parse(m[5]) });
+    else if (m[5] === 'contains') tokens.push({ type: 'op', value: 'contains' });
+    else tokens.push({ type: 'path', value: m[5] });
+  }
+  return tokens;
+}
+
+const ROOTS = ['vars', 'steps', 'item', 'index', 'env'];
+
+// Only own properties are followed, so `constructor` or `__proto__` never
+// reach Object internals.
+function lookup(pathText, context) {
+  const parts = pathText.split(/\.|\[(\d+)\]/).filter(p => p !== undefined && p !== '');
+  let value = ROOTS.includes(parts[0]) && Object.hasOwn(context, parts[0]) ? context : context.vars;
+  for (const part of parts) {
+    if (value === null || value === undefined || !Object.hasOwn(value, part)) return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+const COMPARISONS = {
+  '==': (a, b) => a == b, // Loose on purpose: "3" == 3 is handy for templated values
+  '!=': (a, b) => a != b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  contains: (a, b) => (Array.isArray(a) ? a.includes(b) : String(a ?? '').includes(String(b)))
+};
+
+// Evaluates an expression against { vars, steps, item, index, env }.
+export function evaluate(expr, context) {
+  const tokens = tokenize(expr);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const take = (op) => {
+    if (peek()?.type === 'op' && peek().value === op) return tokens[pos++];
+    return null;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new WorkflowError(`Unexpected end of expression: ${expr}`);
+    if (token.type === 'value') return token.value;
+    if (token.type === 'path') return context.resolve ? context.resolve(token.value, context) : lookup(token.value, context);
+    if (token.value === '(') {
+      const value = or();
+      if (!take(')')) throw new WorkflowError(`Missing ) in expression: ${expr}`);
+      return value;
+    }
+    throw new WorkflowError(`Unexpected "${token.value}" in expression: ${expr}`);
+  };
+  const unary = () => (take('!') ? !unary() : primary());
+  const comparison = () => {
+    let left = unary();
+    while (peek()?.type === 'op' && COMPARISONS[peek().value]) {
+      const op = tokens[pos++].value;
+      left = COMPARISONS[op](left, unary());
+    }
+    return left;
+  };
+  const and = () => {
+    let left = comparison();
+    while (take('&&')) {
+      const right = comparison();
+      left = left && right;
+    }
+    return left;
+  };
+  const or = () => {
+    let left = and();
+    while (take('||')) {
+      const right = and();
+      left = left || right;
+    }
+    return left;
+  };
+
+  const value = or();
+  if (pos < tokens.length) throw new WorkflowError(`Unexpected "${tokens[pos].value}" in expression: ${expr}`);
+  return value;
+}
+
+const TEMPLATE = /\{\{\s*(.+?)\s*\}\}/g;
+const show = (value) => (value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Expands {{ expr }} in strings (recursively in objects and arrays). A string
+// that is a single template keeps the value's type, so lists and booleans
+// survive for foreach and if.
+export function render(value, context) {
+  if (Array.isArray(value)) return value.map(v => render(v, context));
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, render(v, context)]));
+  if (typeof value !== 'string') return value;
+  const whole = value.match(/^\{\{\s*(.+?)\s*\}\}$/);
+  if (whole) return evaluate(whole[1], context);
+  return value.replace(TEMPLATE, (_, expr) => show(evaluate(expr, context)));
+}
+
+// The expression of an `if`. Templates mixed with other text are refused:
+// rendered, "{{ steps.a.ok }} " would be a non-empty string and always true.
+function conditionExpression(value) {
+  const expr = value.trim().match(/^\{\{([\s\S]*)\}\}$/)?.[1] ?? value;
+  if (expr.includes('{{') || expr.includes('}}')) throw new WorkflowError(`"if" must be a single expression (steps.a.ok, not text with {{ }}): ${value}`);
+  return expr;
+}
+
+const condition = (value, context) => (typeof value === 'boolean' ? value : Boolean(evaluate(conditionExpression(value), context)));
+
+function listOf(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+// =======================
+// RUNNER
+// =======================
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const describeAction = (step) => (step.run ? step.run : step.prompt ? `prompt: ${step.prompt}` : `set: ${JSON.stringify(step.set)}`);
+
+// Runs a parsed workflow. `runLine(line)` executes one line of input and
+// resolves to { ok, output, reply, exitCode, errors }. Resolves to
+// { ok, failed: id | null, steps: { [id]: result }, vars }.
+export async function runWorkflow(workflow, { runLine, vars = {}, log = console.log }) {
+  const context = { vars: { ...workflow.vars, ...vars }, steps: {}, env: process.env };
+  let failed = null;
+
+  for (const [i, step] of workflow.steps.entries()) {
+    const label = `${i + 1}/${workflow.steps.length} ${step.name || step.id}`;
+    if (failed) {
+      context.steps[step.id] = { ok: false, status: 'skipped' };
+      continue;
+    }
+    const started = Date.now();
+    let result;
+    try {
+      if (step.if !== undefined && !condition(step.if, context)) {
+        log(chalk.gray(`⏭ ${label} (condition not met)`));
+        context.steps[step.id] = { ok: true, status: 'skipped', output: '', reply: '', exitCode: null };
+        continue;
+      }
+      log(chalk.cyan(`▶ ${label}`));
+      if (step.foreach !== undefined) {
+        const items = listOf(render(step.foreach, context));
+        const results = [];
+        for (const [index, item] of items.entries()) {
+          results.push(await runStep(step, { ...context, item, index }, runLine, log));
+          if (!results.at(-1).ok && !step.continue_on_error) break;
+        }
+        result = {
+          ok: results.every(r => r.ok),
+          output: results.map(r => r.output).join(''),
+          reply: results.map(r => r.reply).filter(Boolean).join('\n'),
+          exitCode: results.at(-1)?.exitCode ?? null,
+          items: results,
+          attempts: results.reduce((n, r) => n + r.attempts, 0)
+        };
+      } else {
+        result = await runStep(step, context, runLine, log);
+      }
+    } catch (e) {
+      result = { ok: false, output: '', reply: '', exitCode: null, errors: [e.message], attempts: 1 };
+      log(chalk.red(`${step.id}: ${e.message}`));
+    }
+    result.status = result.ok ? 'ok' : 'failed';
+    result.durationMs = Date.now() - started;
+    context.steps[step.id] = result;
+    if (!result.ok) {
+      log(chalk[step.continue_on_error ? 'yellow' : 'red'](`✖ ${label} failed${step.continue_on_error ? ' (continuing)' : ''}`));
+      if (!step.continue_on_error) failed = step.id;
+    }
+  }
+  // Steps marked continue_on_error do not fail the workflow
+  return { ok: !failed, failed, steps: context.steps, vars: context.vars };
+}
+
+async function runStep(step, context, runLine, log) {
+  if (step.set) {
+    Object.assign(context.vars, render(step.set, context));
+    return { ok: true, output: '', reply: '', exitCode: null, attempts: 1 };
+  }
+  const line = step.raw ? step.run ?? step.prompt : render(step.run ?? step.prompt, context);
+  const attempts = 1 + (step.retries || 0);
+  let result;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) {
+      log(chalk.yellow(`↻ ${step.id}: retry ${attempt - 1}/${attempts - 1}`));
+      await sleep((step.retry_delay ?? 1) * 1000);
+    }
+    result = { ...(await runLine(line)), attempts: attempt };
+    if (result.ok) break;
+  }
+  return result;
+}
+
+// Describes what a workflow would do without running anything. Values that
+// depend on earlier steps are shown as <steps.id.field>.
+export function previewWorkflow(workflow, { vars = {}, log = console.log }) {
+  const context = { vars: { ...workflow.vars, ...vars }, env: process.env };
+  context.resolve = (name, scope) => (name.startsWith('steps.') ? `<${name}>` : lookup(name, scope));
+  const attempt = (fn, fallback) => {
+    try { return fn(); }
+    catch (e) { return fallback; }
+  };
+  log(chalk.cyan(`Workflow: ${workflow.name}${workflow.legacy ? ' (legacy line format)' : ''}`));
+  if (Object.keys(context.vars).length) log(chalk.gray(`vars: ${JSON.stringify(context.vars)}`));
+  workflow.steps.forEach((step, i) => {
+    const notes = [];
+    if (step.if !== undefined) notes.push(`if ${step.if}`);
+    if (step.retries) notes.push(`retries ${step.retries}`);
+    if (step.continue_on_error && !workflow.legacy) notes.push('continue on error');
+    let items = null;
+    if (step.foreach !== undefined) {
+      const resolved = attempt(() => render(step.foreach, context), null);
+      items = Array.isArray(resolved) || (typeof resolved === 'string' && !resolved.startsWith('<')) ? listOf(resolved) : null;
+      notes.push(items ? `foreach ${items.length} items` : `foreach ${JSON.stringify(step.foreach)}`);
+    }
+    const action = describeAction(step);
+    const example = items?.length ? { ...context, item: items[0], index: 0 } : { ...context, item: '<item>', index: '<index>' };
+    const rendered = step.set || step.raw ? action : attempt(() => render(action, example), action);
+    log(`${chalk.yellow(`${i + 1}. ${step.name || step.id}`)} ${rendered}${notes.length ? chalk.gray(`  (${notes.join(', ')})`) : ''}`);
+    if (step.set) Object.assign(context.vars, attempt(() => render(step.set, context), {}));
+  });
+}
@@ -1,85 +1,529 @@
 #!/usr/bin/env node
 import express from 'express';
 import fs from 'fs/promises';
+import { realpathSync } from 'fs';
 import path from 'path';
+import readline from 'readline';
+import crypto from 'crypto';
+import { validateSchema, formatSchemaErrors } from './lib/schema.js';
 
-const app = express();
-app.use(express.json());
-const PORT = 4000;
+// Usage: node mcp-files-server.js [--stdio] [--port <n>] [--root <dir>] [--read-only]
+//                                 [--max-file-size <bytes>] [--legacy-rest]
+//   --stdio          Serve MCP over stdin/stdout instead of HTTP
+//   --root           Workspace directory every path is confined to (default: cwd)
+//   --read-only      Hide and refuse every tool that modifies the workspace
+//   --max-file-size  Largest file that may be read, written or searched
+//   --legacy-rest    Also expose the pre-MCP GET /tools and POST /tools/:name routes
+const argv = process.argv.slice(2);
+const flagValue = (name) => {
+  const i = argv.indexOf(name);
+  return i !== -1 ? argv[i + 1] : undefined;
+};
+
+const PORT = Number(flagValue('--port') || process.env.MCP_PORT || 4000);
+const STDIO = argv.includes('--stdio');
+const LEGACY_REST = argv.includes('--legacy-rest') || process.env.MCP_LEGACY_REST === '1';
+const READ_ONLY = argv.includes('--read-only') || process.env.MCP_READ_ONLY === '1';
+const MAX_FILE_SIZE = Number(flagValue('--max-file-size') || process.env.MCP_MAX_FILE_SIZE || 5 * 1024 * 1024);
+const ROOT = realpathSync(path.resolve(flagValue('--root') || process.env.MCP_ROOT || process.cwd()));
+
+const SERVER_INFO = { name: 'bex-files', version: '1.2.0' };
+const SUPPORTED_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// =======================
+// WORKSPACE JAIL
+// =======================
+const isInside = (p) => p === ROOT || p.startsWith(ROOT + path.sep);
+
+// Resolves a user path against ROOT and follows symlinks. For paths that do not
+// exist yet, the nearest existing ancestor is resolved instead so a symlinked
+// parent directory cannot be used to write outside the workspace.
+async function resolvePath(userPath) {
+  const absolute = path.resolve(ROOT, userPath);
+  let existing = absolute;
+  const missing = [];
+  while (true) {
+    try {
+      existing = await fs.realpath(existing);
+      break;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+      missing.unshift(path.basename(existing));
+      const parent = path.dirname(existing);
+      if (parent === existing) break;
+      existing = parent;
+    }
+  }
+  const real = path.join(existing, ...missing);
+  if (!isInside(real)) throw new Error(`Path '${userPath}' is outside the workspace.`);
+  return real;
+}
+
+const relative = (real) => path.relative(ROOT, real) || '.';
+
+async function assertSize(real) {
+  const { size } = await fs.stat(real);
+  if (size > MAX_FILE_SIZE) throw new Error(`File is ${size} bytes, larger than the ${MAX_FILE_SIZE} byte limit.`);
+}
+
+function assertContentSize(content) {
+  const size = Buffer.byteLength(content);
+  if (size > MAX_FILE_SIZE) throw new Error(`Content is ${size} bytes, larger than the ${MAX_FILE_SIZE} byte limit.`);
+}
+
+const isBinary = (buffer) => buffer.subarray(0, 8000).includes(0);
+
+async function walk(dir, visit, depth = Infinity) {
+  const items = await fs.readdir(dir, { withFileTypes: true });
+  for (const item of items) {
+    if (SKIP_DIRS.has(item.name)) continue;
+    const full = path.join(dir, item.name);
+    if ((await visit(full, item)) === false) return false;
+    if (item.isDirectory() && depth > 1) {
+      if ((await walk(full, visit, depth - 1)) === false) return false;
+    }
+  }
+}
+
+// =======================
+// TOOLS
+// =======================
+const stringProp = (description) => ({ type: 'string', description });
 
 const tools = [
   {
     name: 'readFile',
-    description: 'Reads the entire content of a file from the local system.',
-    input_schema: {
+    description: 'Reads the entire content of a file from the workspace.',
+    inputSchema: {
       type: 'object',
       properties: {
-        filename: { type: 'string', description: 'The name of the file to read.' },
+        filename: stringProp('The name of the file to read.'),
       },
       required: ['filename'],
+      additionalProperties: false,
+    },
+    handler: async ({ filename }) => {
+      const real = await resolvePath(filename);
+      await assertSize(real);
+      return fs.readFile(real, 'utf8');
     },
   },
   {
     name: 'writeFile',
-    description: 'Writes content to a file, creating it or overwriting existing content.',
-    input_schema: {
+    description: 'Writes content to a file, creating it (and missing parent directories) or overwriting existing content.',
+    mutates: true,
+    inputSchema: {
       type: 'object',
       properties: {
-        filename: { type: 'string', description: 'The name of the file to write to.' },
-        content: { type: 'string', description: 'The content to write to the file.' },
+        filename: stringProp('The name of the file to write to.'),
+        content: stringProp('The content to write to the file.'),
       },
       required: ['filename', 'content'],
+      additionalProperties: false,
+    },
+    handler: async ({ filename, content }) => {
+      assertContentSize(content);
+      const real = await resolvePath(filename);
+      await fs.mkdir(path.dirname(real), { recursive: true });
+      await fs.writeFile(real, content);
+      return `Successfully wrote to ${filename}`;
     },
   },
   {
     name: 'appendFile',
     description: 'Appends content to the end of a file, creating it if it does not exist.',
-    input_schema: {
+    mutates: true,
+    inputSchema: {
       type: 'object',
       properties: {
-        filename: { type: 'string', description: 'The name of the file to append to.' },
-        content: { type: 'string', description: 'The content to append.' },
+        filename: stringProp('The name of the file to append to.'),
+        content: stringProp('The content to append.'),
       },
       required: ['filename', 'content'],
+      additionalProperties: false,
+    },
+    handler: async ({ filename, content }) => {
+      const real = await resolvePath(filename);
+      const current = await fs.stat(real).then(s => s.size, () => 0);
+      if (current + Buffer.byteLength(content) + 1 > MAX_FILE_SIZE) {
+        throw new Error(`Appending would exceed the ${MAX_FILE_SIZE} byte limit.`);
+      }
+      await fs.appendFile(real, '\n' + content);
+      return `Successfully appended to ${filename}`;
+    },
+  },
+  {
+    name: 'listDirectory',
+    description: 'Lists the entries of a directory with their type and size.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: stringProp('Directory to list, relative to the workspace root. Defaults to the root.'),
+        recursive: { type: 'boolean', description: 'Descend into subdirectories (skips node_modules and .git).' },
+        maxEntries: { type: 'integer', minimum: 1, maximum: 5000, description: 'Stop after this many entries (default 500).' },
+      },
+      additionalProperties: false,
+    },
+    handler: async ({ path: dir = '.', recursive = false, maxEntries = 500 }) => {
+      const real = await resolvePath(dir);
+      const lines = [];
+      let truncated = false;
+      await walk(real, async (full, item) => {
+        if (lines.length >= maxEntries) {
+          truncated = true;
+          return false;
+        }
+        const type = item.isDirectory() ? 'dir' : item.isSymbolicLink() ? 'link' : 'file';
+        const size = type === 'file' ? (await fs.stat(full).catch(() => ({ size: 0 }))).size : '';
+        lines.push(`${type}\t${size}\t${relative(full)}`);
+      }, recursive ? Infinity : 1);
+      if (truncated) lines.push(`... truncated after ${maxEntries} entries`);
+      return lines.join('\n') || '(empty directory)';
+    },
+  },
+  {
+    name: 'stat',
+    description: 'Returns type, size, permissions and timestamps for a path.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: stringProp('File or directory to inspect.'),
+      },
+      required: ['path'],
+      additionalProperties: false,
+    },
+    handler: async ({ path: target }) => {
+      const real = await resolvePath(target);
+      const s = await fs.stat(real);
+      return JSON.stringify({
+        path: relative(real),
+        type: s.isDirectory() ? 'directory' : s.isFile() ? 'file' : 'other',
+        size: s.size,
+        mode: (s.mode & 0o777).toString(8),
+        modified: s.mtime.toISOString(),
+        created: s.birthtime.toISOString(),
+      }, null, 2);
+    },
+  },
+  {
+    name: 'search',
+    description: 'Searches file contents under a directory and returns matching lines as path:line:text.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        pattern: stringProp('Text (or regular expression when regex is true) to search for.'),
+        path: stringProp('Directory or file to search, relative to the workspace root. Defaults to the root.'),
+        regex: { type: 'boolean', description: 'Treat pattern as a regular expression.' },
+        caseSensitive: { type: 'boolean', description: 'Match case exactly (default true).' },
+        maxResults: { type: 'integer', minimum: 1, maximum: 1000, description: 'Stop after this many matches (default 100).' },
+      },
+      required: ['pattern'],
+      additionalProperties: false,
+    },
+    handler: async ({ pattern, path: target = '.', regex = false, caseSensitive = true, maxResults = 100 }) => {
+      const source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const matcher = new RegExp(source, caseSensitive ? '' : 'i');
+      const real = await resolvePath(target);
+      const results = [];
+
+      const searchFile = async (file) => {
+        const { size } = await fs.stat(file);
+        if (size > MAX_FILE_SIZE) return;
+        const buffer = await fs.readFile(file);
+        if (isBinary(buffer)) return;
+        const lines = buffer.toString('utf8').split('\n');
+        for (let i = 0; i < lines.length && results.length < maxResults; i++) {
+          if (matcher.test(lines[i])) results.push(`${relative(file)}:${i + 1}:${lines[i].trim()}`);
+        }
+      };
+
+      if ((await fs.stat(real)).isFile()) {
+        await searchFile(real);
+      } else {
+        await walk(real, async (full, item) => {
+          if (results.length >= maxResults) return false;
+          if (item.isFile()) await searchFile(full).catch(() => {});
+        });
+      }
+      return results.length ? results.join('\n') : 'No matches found.';
+    },
+  },
+  {
+    name: 'move',
+    description: 'Moves or renames a file or directory inside the workspace.',
+    mutates: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: stringProp('Existing file or directory.'),
+        destination: stringProp('New path.'),
+        overwrite: { type: 'boolean', description: 'Replace the destination if it already exists.' },
+      },
+      required: ['source', 'destination'],
+      additionalProperties: false,
+    },
+    handler: async ({ source, destination, overwrite = false }) => {
+      const from = await resolvePath(source);
+      const to = await resolvePath(destination);
+      if (from === ROOT) throw new Error('Cannot move the workspace root.');
+      if (!overwrite && await fs.stat(to).then(() => true, () => false)) {
+        throw new Error(`Destination '${destination}' already exists.`);
+      }
+      await fs.mkdir(path.dirname(to), { recursive: true });
+      await fs.rename(from, to);
+      return `Moved ${source} to ${destination}`;
+    },
+  },
+  {
+    name: 'delete',
+    description: 'Deletes a file, or a directory when recursive is true.',
+    mutates: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: stringProp('File or directory to delete.'),
+        recursive: { type: 'boolean', description: 'Required to delete a non-empty directory.' },
+      },
+      required: ['path'],
+      additionalProperties: false,
+    },
+    handler: async ({ path: target, recursive = false }) => {
+      const absolute = path.resolve(ROOT, target);
+      if (absolute === ROOT) throw new Error('Cannot delete the workspace root.');
+      // Only the parent is resolved, so a symlink is removed itself, never its target
+      const entry = path.join(await resolvePath(path.dirname(absolute)), path.basename(absolute));
+      if (entry === ROOT) throw new Error('Cannot delete the workspace root.');
+      const s = await fs.lstat(entry);
+      if (s.isDirectory()) await fs.rm(entry, { recursive });
+      else await fs.unlink(entry);
+      return `Deleted ${target}`;
+    },
+  },
+  {
+    name: 'editRange',
+    description: 'Replaces lines startLine..endLine (1-based, inclusive) of a file with new content. Use endLine = startLine - 1 to insert before startLine.',
+    mutates: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filename: stringProp('File to edit.'),
+        startLine: { type: 'integer', minimum: 1, description: 'First line to replace.' },
+        endLine: { type: 'integer', minimum: 0, description: 'Last line to replace.' },
+        content: stringProp('Replacement text; may span several lines or be empty to delete the range.'),
+      },
+      required: ['filename', 'startLine', 'endLine', 'content'],
+      additionalProperties: false,
+    },
+    handler: async ({ filename, startLine, endLine, content }) => {
+      const real = await resolvePath(filename);
+      await assertSize(real);
+      const lines = (await fs.readFile(real, 'utf8')).split('\n');
+      if (startLine > lines.length + 1) throw new Error(`startLine ${startLine} is past the end of the file (${lines.length} lines).`);
+      if (endLine < startLine - 1 || endLine > lines.length) throw new Error(`endLine ${endLine} is out of range.`);
+      const replacement = content === '' ? [] : content.split('\n');
+      lines.splice(startLine - 1, endLine - startLine + 1, ...replacement);
+      const updated = lines.join('\n');
+      assertContentSize(updated);
+      await fs.writeFile(real, updated);
+      return `Replaced lines ${startLine}-${endLine} of ${filename} with ${replacement.length} line(s).`;
     },
   },
-];
+].map(tool => ({
+  ...tool,
+  annotations: { readOnlyHint: !tool.mutates, destructiveHint: ['writeFile', 'move', 'delete', 'editRange'].includes(tool.name) },
+}));
 
-app.get('/tools', (req, res) => {
-  res.json({ tools });
-});
+const availableTools = () => tools.filter(t => !READ_ONLY || !t.mutates);
 
-app.post('/tools/:toolName', async (req, res) => {
-  const { toolName } = req.params;
-  const { arguments: args } = req.body;
+const findTool = (name) => availableTools().find(t => t.name === name);
 
-  if (args && args[0] && (args[0].includes('..') || path.isAbsolute(args[0]))) {
-    return res.status(400).json({ error: 'Invalid file path. Only relative paths are allowed.' });
+// Validates and runs a tool. Schema violations and unknown tools are protocol
+// errors; failures while running the tool are reported as an isError result.
+async function callTool(name, args = {}) {
+  const tool = findTool(name);
+  if (!tool) {
+    const hidden = READ_ONLY && tools.some(t => t.name === name);
+    throw new RpcError(INVALID_PARAMS, hidden ? `Tool ${name} is disabled: server is read-only.` : `Unknown tool: ${name}`);
+  }
+  const errors = validateSchema(tool.inputSchema, args);
+  if (errors.length) {
+    throw new RpcError(INVALID_PARAMS, `Invalid arguments for ${name}: ${formatSchemaErrors(errors)}`, { errors });
   }
-
   try {
-    let result;
-    switch (toolName) {
-      case 'readFile':
-        result = { output: await fs.readFile(args[0], 'utf8') };
-        break;
-      case 'writeFile':
-        await fs.writeFile(args[0], args.slice(1).join(' '));
-        result = { output: `Successfully wrote to ${args[0]}` };
-        break;
-      case 'appendFile':
-        await fs.appendFile(args[0], '\n' + args.slice(1).join(' '));
-        result = { output: `Successfully appended to ${args[0]}` };
-        break;
-      default:
-        return res.status(404).json({ error: 'Tool not found' });
+    const output = await tool.handler(args);
+    return { content: [{ type: 'text', text: output }], isError: false };
+  } catch (error) {
+    return { content: [{ type: 'text', text: error.message }], isError: true };
+  }
+}
+
+const methods = {
+  initialize: async (params = {}) => ({
+    protocolVersion: SUPPORTED_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : SUPPORTED_VERSIONS[0],
+    capabilities: { tools: { listChanged: false } },
+    serverInfo: SERVER_INFO,
+  }),
+  ping: async () => ({}),
+  'tools/list': async () => ({
+    tools: availableTools().map(({ name, description, inputSchema, annotations }) => ({ name, description, inputSchema, annotations })),
+  }),
+  'tools/call': async (params = {}) => {
+    if (typeof params.name !== 'string') throw new RpcError(INVALID_PARAMS, 'Missing tool name.');
+    if (params.arguments !== undefined && (typeof params.arguments !== 'object' || Array.isArray(params.arguments) || params.arguments === null)) {
+      throw new RpcError(INVALID_PARAMS, 'Tool arguments must be an object of named parameters.');
     }
-    res.json(result);
+    return callTool(params.name, params.arguments);
+  },
+};
+
+// Handles one JSON-RPC message. Returns the response, or null for notifications.
+async function handleMessage(msg) {
+  const id = msg?.id ?? null;
+  if (!msg || msg.jsonrpc !== '2.0' || typeof msg.method !== 'string') {
+    // Responses from the client carry no method; nothing to do with them
+    if (msg && msg.jsonrpc === '2.0' && msg.id !== undefined && ('result' in msg || 'error' in msg)) return null;
+    return { jsonrpc: '2.0', id, error: { code: INVALID_REQUEST, message: 'Invalid JSON-RPC request.' } };
+  }
+  const isNotification = msg.id === undefined;
+  if (isNotification) return null;
+
+  const method = methods[msg.method];
+  if (!method) {
+    return { jsonrpc: '2.0', id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${msg.method}` } };
+  }
+  try {
+    return { jsonrpc: '2.0', id, result: await method(msg.params) };
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    const code = error instanceof RpcError ? error.code : INTERNAL_ERROR;
+    return { jsonrpc: '2.0', id, error: { code, message: error.message, ...(error.data ? { data: error.data } : {}) } };
+  }
+}
+
+async function handlePayload(payload) {
+  if (Array.isArray(payload)) {
+    const responses = (await Promise.all(payload.map(handleMessage))).filter(Boolean);
+    return responses.length ? responses : null;
   }
-});
+  return handleMessage(payload);
+}
+
+// =======================
+// STDIO TRANSPORT
+// =======================
+if (STDIO) {
+  const rl = readline.createInterface({ input: process.stdin });
+  rl.on('line', async line => {
+    if (!line.trim()) return;
+    let payload;
+    try { payload = JSON.parse(line); }
+    catch (e) {
+      process.stdout.write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } }) + '\n');
+      return;
+    }
+    const response = await handlePayload(payload);
+    if (response) process.stdout.write(JSON.stringify(response) + '\n');
+  });
+  rl.on('close', () => process.exit(0));
+} else {
+  // =======================
+  // STREAMABLE HTTP TRANSPORT
+  // =======================
+  const app = express();
+  const sessions = new Set();
+
+  // Reject cross-origin browser requests (DNS rebinding protection)
+  app.use((req, res, next) => {
+    const origin = req.get('origin');
+    if (origin && !/^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin)) {
+      return res.status(403).json({ error: 'Forbidden origin' });
+    }
+    next();
+  });
+  app.use(express.json({ limit: '10mb' }));
+
+  app.post('/mcp', async (req, res) => {
+    const payload = req.body;
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const isInitialize = messages.some(m => m?.method === 'initialize');
+    const sessionId = req.get('mcp-session-id');
+
+    if (isInitialize) {
+      const newSession = crypto.randomUUID();
+      sessions.add(newSession);
+      res.set('Mcp-Session-Id', newSession);
+    } else if (!sessionId) {
+      return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Missing Mcp-Session-Id header.' } });
+    } else if (!sessions.has(sessionId)) {
+      return res.status(404).json({ jsonrpc: '2.0', id: null, error: { code: INVALID_REQUEST, message: 'Unknown session.' } });
+    }
+
+    const response = await handlePayload(payload);
+    if (!response) return res.status(202).end();
+    res.json(response);
+  });
+
+  app.get('/mcp', (req, res) => res.status(405).set('Allow', 'POST, DELETE').end());
+
+  app.delete('/mcp', (req, res) => {
+    sessions.delete(req.get('mcp-session-id'));
+    res.status(204).end();
+  });
+
+  if (LEGACY_REST) {
+    // Pre-MCP protocol used by older BEX builds: positional arguments mapped
+    // onto each tool's declared properties in order, the last one taking the rest.
+    app.get('/tools', (req, res) => {
+      res.json({ tools: availableTools().map(({ name, description, inputSchema }) => ({ name, description, input_schema: inputSchema })) });
+    });
+
+    app.post('/tools/:toolName', async (req, res) => {
+      const tool = findTool(req.params.toolName);
+      if (!tool) return res.status(404).json({ error: 'Tool not found' });
+
+      const positional = Array.isArray(req.body?.arguments) ? req.body.arguments : [];
+      const keys = Object.keys(tool.inputSchema.properties);
+      const args = {};
+      keys.forEach((key, i) => {
+        if (i >= positional.length) return;
+        args[key] = i === keys.length - 1 ? positional.slice(i).join(' ') : positional[i];
+      });
+
+      try {
+        const result = await callTool(tool.name, args);
+        const text = result.content.map(c => c.text).join('\n');
+        if (result.isError) return res.status(500).json({ error: text });
+        res.json({ output: text });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+  }
+
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+    }
+    next(err);
+  });
 
-app.listen(PORT, () => {
-  console.log(`MCP File Server listening on http://localhost:${PORT}`);
-});
\ No newline at end of file
+  app.listen(PORT, '127.0.0.1', () => {
+    console.log(`MCP File Server listening on http://localhost:${PORT}/mcp${LEGACY_REST ? ' (legacy REST enabled)' : ''}`);
+    console.log(`Workspace root: ${ROOT}${READ_ONLY ? ' (read-only)' : ''}`);
+  });
+}
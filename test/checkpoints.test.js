@@ -0,0 +1,133 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createCheckpoint, listCheckpoints, undoCheckpoints, restoreCheckpoint, deleteCheckpoints, describeChange, checkpointsDir } from '../lib/checkpoints.js';
+
+let home;
+let work;
+let previousHome;
+let session = 0;
+const nextSession = () => `test-${++session}`;
+
+const file = (name) => path.join(work, name);
+const read = (name) => fs.readFileSync(file(name), 'utf8');
+const write = (name, text) => {
+  fs.mkdirSync(path.dirname(file(name)), { recursive: true });
+  fs.writeFileSync(file(name), text);
+};
+
+before(() => {
+  previousHome = process.env.BEX_HOME;
+  home = fs.mkdtempSync(path.join(os.tmpdir(), 'bex-home-'));
+  work = fs.mkdtempSync(path.join(os.tmpdir(), 'bex-work-'));
+  process.env.BEX_HOME = home;
+});
+
+after(() => {
+  if (previousHome === undefined) delete process.env.BEX_HOME;
+  else process.env.BEX_HOME = previousHome;
+  fs.rmSync(home, { recursive: true, force: true });
+  fs.rmSync(work, { recursive: true, force: true });
+});
+
+test('checkpoints are stored per session under BEX_HOME', () => {
+  const id = nextSession();
+  write('a.txt', 'one');
+  const checkpoint = createCheckpoint(id, { label: '/write a.txt', files: ['a.txt'], cwd: work });
+  assert.equal(checkpoint.id, 1);
+  assert.deepEqual(checkpoint.files.map(f => [f.path, f.existed]), [[file('a.txt'), true]]);
+  assert.equal(checkpointsDir(id), path.join(home, 'checkpoints', id));
+  assert.deepEqual(listCheckpoints(id).map(c => c.label), ['/write a.txt']);
+  assert.deepEqual(listCheckpoints(nextSession()), []);
+});
+
+test('undo restores changed files and removes created ones', () => {
+  const id = nextSession();
+  write('b.txt', 'before');
+  createCheckpoint(id, { label: 'edit b', files: ['b.txt'], cwd: work });
+  write('b.txt', 'after');
+  createCheckpoint(id, { label: 'create c', files: ['c.txt'], cwd: work });
+  write('c.txt', 'new');
+
+  const last = undoCheckpoints(id);
+  assert.deepEqual(last.checkpoints.map(c => c.label), ['create c']);
+  assert.deepEqual(last.removed, [file('c.txt')]);
+  assert.equal(fs.existsSync(file('c.txt')), false);
+  assert.equal(read('b.txt'), 'after');
+
+  const first = undoCheckpoints(id);
+  assert.deepEqual(first.restored, [file('b.txt')]);
+  assert.equal(read('b.txt'), 'before');
+  assert.deepEqual(listCheckpoints(id), []);
+  assert.deepEqual(undoCheckpoints(id).checkpoints, []);
+});
+
+test('undoing several checkpoints restores each file as the oldest one found it', () => {
+  const id = nextSession();
+  write('d.txt', 'v1');
+  createCheckpoint(id, { label: 'v2', files: ['d.txt'], cwd: work });
+  write('d.txt', 'v2');
+  createCheckpoint(id, { label: 'v3', files: ['d.txt'], cwd: work });
+  write('d.txt', 'v3');
+  const result = undoCheckpoints(id, 2);
+  assert.equal(result.checkpoints.length, 2);
+  assert.deepEqual(result.restored, [file('d.txt')]);
+  assert.equal(read('d.txt'), 'v1');
+});
+
+test('directories are checkpointed file by file and deleted files come back', () => {
+  const id = nextSession();
+  write('dir/x.txt', 'x');
+  write('dir/sub/y.txt', 'y');
+  const checkpoint = createCheckpoint(id, { label: '/delete dir', files: ['dir'], cwd: work });
+  assert.deepEqual(checkpoint.files.map(f => f.path).sort(), [file('dir/sub/y.txt'), file('dir/x.txt')]);
+  fs.rmSync(file('dir'), { recursive: true });
+  assert.equal(describeChange(checkpoint.files[0]), 'deleted');
+  undoCheckpoints(id);
+  assert.equal(read('dir/x.txt'), 'x');
+  assert.equal(read('dir/sub/y.txt'), 'y');
+});
+
+test('restore returns files to a checkpoint and can itself be undone', () => {
+  const id = nextSession();
+  write('e.txt', 'first');
+  createCheckpoint(id, { label: 'one', files: ['e.txt'], cwd: work });
+  write('e.txt', 'second');
+  createCheckpoint(id, { label: 'two', files: ['e.txt', 'f.txt'], cwd: work });
+  write('e.txt', 'third');
+  write('f.txt', 'created');
+
+  const restored = restoreCheckpoint(id, 1);
+  assert.equal(restored.checkpoint.label, '/restore 1');
+  assert.equal(read('e.txt'), 'first');
+  assert.equal(fs.existsSync(file('f.txt')), false);
+  assert.equal(listCheckpoints(id).length, 3);
+
+  undoCheckpoints(id);
+  assert.equal(read('e.txt'), 'third');
+  assert.equal(read('f.txt'), 'created');
+  assert.equal(restoreCheckpoint(id, 99), null);
+});
+
+test('describeChange tells what happened to a file since its checkpoint', () => {
+  write('g.txt', 'g');
+  assert.equal(describeChange({ path: file('g.txt'), existed: true }), 'modified');
+  assert.equal(describeChange({ path: file('g.txt'), existed: false }), 'created');
+  assert.equal(describeChange({ path: file('missing.txt'), existed: false }), 'unchanged');
+  assert.equal(describeChange({ path: file('missing.txt'), existed: true }), 'deleted');
+});
+
+test('identical contents share one blob and unused blobs are removed', () => {
+  const id = nextSession();
+  write('h1.txt', 'same');
+  write('h2.txt', 'same');
+  createCheckpoint(id, { label: 'both', files: ['h1.txt', 'h2.txt'], cwd: work });
+  const blobs = path.join(checkpointsDir(id), 'blobs');
+  assert.equal(fs.readdirSync(blobs).length, 1);
+  undoCheckpoints(id);
+  assert.equal(fs.readdirSync(blobs).length, 0);
+  deleteCheckpoints(id);
+  assert.equal(fs.existsSync(checkpointsDir(id)), false);
+});
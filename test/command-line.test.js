@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, restAfter, quoteArg, unquote, parseCommandLine, splitCommandLines, CommandLineError } from '../lib/command-line.js';
+
+const COMMANDS = ['/exec', '/write', '/read', '/grep', '/ls'];
+const isCommand = (name) => COMMANDS.includes(name);
+
+test('tokenize splits on whitespace and groups quoted words', () => {
+  assert.deepEqual(tokenize(`"my notes.txt" 'two  spaces' plain`), ['my notes.txt', 'two  spaces', 'plain']);
+  assert.deepEqual(tokenize(String.raw`a\ b c\|d "say \"hi\"" 'no \escape'`), ['a b', 'c|d', 'say "hi"', String.raw`no \escape`]);
+  assert.deepEqual(tokenize(`pre"fix"ed ''`), ['prefixed', '']);
+  assert.deepEqual(tokenize('  '), []);
+});
+
+test('tokenize keeps an unmatched quote as a literal character', () => {
+  assert.deepEqual(tokenize(`fix the user's bug`), ['fix', 'the', "user's", 'bug']);
+});
+
+test('restAfter returns the text after n words as written', () => {
+  const text = `app.js  "keep  this"   'and this'  `;
+  assert.equal(restAfter(text, 1), `"keep  this"   'and this'`);
+  assert.equal(restAfter(text, 0), text.trimEnd());
+  assert.equal(restAfter(text, 3), '');
+});
+
+test('quoteArg round-trips through tokenize', () => {
+  for (const word of ['plain', 'my file.txt', `it's "quoted"`, String.raw`back\slash`, 'a|b', '<<EOF', '', 'tab\there', 'two\nlines']) {
+    assert.deepEqual(tokenize(quoteArg(word)), [word], JSON.stringify(word));
+  }
+  assert.equal(quoteArg('plain'), 'plain');
+  assert.equal(quoteArg('my file.txt'), `'my file.txt'`);
+});
+
+test('unquote drops quotes around a single quoted word only', () => {
+  assert.equal(unquote(`"a  b"`), 'a  b');
+  assert.equal(unquote(`'x'`), 'x');
+  assert.equal(unquote(`"a" b`), `"a" b`);
+  assert.equal(unquote('plain text'), 'plain text');
+});
+
+test('parseCommandLine splits pipes only before known commands', () => {
+  const { stages, pending } = parseCommandLine('/exec npm test | grep fail | /write log.txt', { isCommand });
+  assert.equal(pending, null);
+  assert.deepEqual(stages, [
+    { name: '/exec', raw: 'npm test | grep fail', input: null },
+    { name: '/write', raw: 'log.txt', input: null }
+  ]);
+});
+
+test('parseCommandLine ignores pipes inside quotes, escapes and ||', () => {
+  for (const line of [`/exec echo "a | /ls"`, String.raw`/exec echo a \| /ls`, '/exec a || /ls']) {
+    assert.equal(parseCommandLine(line, { isCommand }).stages.length, 1, line);
+  }
+});
+
+test('parseCommandLine reads a heredoc body as the stage input', () => {
+  const { stages, pending } = parseCommandLine("/write app.js <<'EOF'\nconst a = 1 << 2;\n  indented\nEOF", { isCommand });
+  assert.equal(pending, null);
+  assert.deepEqual(stages, [{ name: '/write', raw: 'app.js', input: 'const a = 1 << 2;\n  indented\n' }]);
+});
+
+test('parseCommandLine strips tabs with <<- and attaches the heredoc to its stage', () => {
+  const { stages } = parseCommandLine('/exec cat <<-END | /write out.txt\n\tline\n\tEND', { isCommand });
+  assert.deepEqual(stages, [
+    { name: '/exec', raw: 'cat', input: 'line\n' },
+    { name: '/write', raw: 'out.txt', input: null }
+  ]);
+});
+
+test('parseCommandLine reports a heredoc that is still open', () => {
+  assert.equal(parseCommandLine('/write a.txt <<EOF', { isCommand }).pending, 'EOF');
+  assert.equal(parseCommandLine('/write a.txt <<EOF\nstill typing', { isCommand }).pending, 'EOF');
+});
+
+test('parseCommandLine leaves lower-case << and quoted heredocs alone', () => {
+  assert.equal(parseCommandLine('/exec echo $((1 << b))', { isCommand }).stages[0].input, null);
+  assert.equal(parseCommandLine(`/exec echo "<<EOF"`, { isCommand }).pending, null);
+});
+
+test('parseCommandLine rejects empty stages and text after a heredoc', () => {
+  assert.throws(() => parseCommandLine('| /ls', { isCommand }), CommandLineError);
+  assert.throws(() => parseCommandLine('/write a <<EOF\nx\nEOF\nmore', { isCommand }), /Unexpected text after the closing EOF/);
+});
+
+test('splitCommandLines keeps heredoc bodies with their command', () => {
+  assert.deepEqual(splitCommandLines('/ls\n\n/write a.txt <<EOF\none\n\ntwo\nEOF\n/read a.txt\n', { isCommand }), [
+    '/ls',
+    '/write a.txt <<EOF\none\n\ntwo\nEOF',
+    '/read a.txt'
+  ]);
+});
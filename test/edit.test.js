@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseEdits, applyEdits, diffLines, prepareEdit, EditError } from '../lib/edit.js';
+
+const block = (search, replace) => `<<<<<<< SEARCH\n${search}\n=======\n${replace}\n>>>>>>> REPLACE`;
+
+const SOURCE = 'function a() {\n  return 1;\n}\n\nfunction b() {\n  return 1;\n}\n';
+
+let dir;
+before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bex-edit-')); });
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('parseEdits reads search/replace blocks', () => {
+  assert.deepEqual(parseEdits(`${block('old', 'new')}\ntext between\n${block('a\nb', '')}`), [
+    { search: 'old', replace: 'new' },
+    { search: 'a\nb', replace: '' }
+  ]);
+});
+
+test('parseEdits reads unified diff hunks with their line numbers', () => {
+  const diff = '--- a/x.js\n+++ b/x.js\n@@ -5,3 +5,3 @@\n function b() {\n-  return 1;\n+  return 2;\n }\n';
+  assert.deepEqual(parseEdits(diff), [{ search: 'function b() {\n  return 1;\n}', replace: 'function b() {\n  return 2;\n}', line: 5 }]);
+});
+
+test('parseEdits rejects text without edits and unfinished blocks', () => {
+  assert.throws(() => parseEdits('just some text'), EditError);
+  assert.throws(() => parseEdits('<<<<<<< SEARCH\nold\n'), /Block 1 is missing its ======= line/);
+  assert.throws(() => parseEdits('<<<<<<< SEARCH\nold\n=======\nnew\n'), /missing its >>>>>>> REPLACE line/);
+});
+
+test('applyEdits replaces whole lines and applies blocks in order', () => {
+  const edits = parseEdits(`${block('function a() {\n  return 1;', 'function a() {\n  return 2;')}\n${block('  return 2;\n}', '  return 3;\n}')}`);
+  assert.equal(applyEdits(SOURCE, edits), SOURCE.replace('return 1', 'return 3'));
+});
+
+test('applyEdits deletes lines with their line breaks', () => {
+  assert.equal(applyEdits('one\ntwo\nthree\n', parseEdits(block('two', ''))), 'one\nthree\n');
+});
+
+test('applyEdits refuses missing, partial-line and ambiguous matches', () => {
+  assert.throws(() => applyEdits(SOURCE, parseEdits(block('return 1;', 'x'))), /not found in the file/);
+  assert.throws(() => applyEdits(SOURCE, parseEdits(block('function a() {\n  return 9;', 'x')), { name: 'x.js' }), /not found in x\.js\. Its first line appears at line 1/);
+  assert.throws(() => applyEdits(SOURCE, parseEdits(block('  return 1;', '  return 2;'))), /matches 2 places in the file \(lines 2, 6\)/);
+});
+
+test('applyEdits uses a hunk line number to pick between identical matches', () => {
+  const diff = '@@ -6,1 +6,1 @@\n-  return 1;\n+  return 2;\n';
+  assert.equal(applyEdits(SOURCE, parseEdits(diff)), 'function a() {\n  return 1;\n}\n\nfunction b() {\n  return 2;\n}\n');
+});
+
+test('applyEdits creates content only in an empty file', () => {
+  assert.equal(applyEdits('', parseEdits(block('', 'hello'))), 'hello\n');
+  assert.throws(() => applyEdits(SOURCE, parseEdits(block('', 'hello'))), /empty SEARCH/);
+});
+
+test('diffLines prints unified hunks with counts', () => {
+  const after = SOURCE.replace('function b() {\n  return 1;', 'function b() {\n  return 2;');
+  const diff = diffLines(SOURCE, after, { path: 'x.js', context: 1 });
+  assert.deepEqual(diff, {
+    text: '--- x.js\n+++ x.js\n@@ -5,3 +5,3 @@\n function b() {\n-  return 1;\n+  return 2;\n }',
+    added: 1,
+    removed: 1
+  });
+  assert.deepEqual(diffLines(SOURCE, SOURCE), { text: '', added: 0, removed: 0 });
+});
+
+test('diffLines merges nearby changes and keeps distant ones apart', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`);
+  const changed = lines.map((line, i) => ([1, 3, 18].includes(i) ? `${line}!` : line));
+  const { text } = diffLines(`${lines.join('\n')}\n`, `${changed.join('\n')}\n`, { context: 1 });
+  assert.deepEqual(text.split('\n').filter(line => line.startsWith('@@')), ['@@ -1,5 +1,5 @@', '@@ -18,3 +18,3 @@']);
+});
+
+test('diffLines shows a new file as all additions', () => {
+  assert.deepEqual(diffLines('', 'a\nb\n', { path: 'new.txt' }), { text: '--- new.txt\n+++ new.txt\n@@ -0,0 +1,2 @@\n+a\n+b', added: 2, removed: 0 });
+});
+
+test('prepareEdit keeps CRLF line endings and does not write', async () => {
+  const file = path.join(dir, 'crlf.txt');
+  fs.writeFileSync(file, 'one\r\ntwo\r\n');
+  const edit = await prepareEdit(file, block('two', 'TWO'));
+  assert.equal(edit.content, 'one\r\nTWO\r\n');
+  assert.equal(edit.created, false);
+  assert.equal(edit.added, 1);
+  assert.equal(fs.readFileSync(file, 'utf8'), 'one\r\ntwo\r\n');
+});
+
+test('prepareEdit creates a missing file only from an empty SEARCH', async () => {
+  const file = path.join(dir, 'new.js');
+  const edit = await prepareEdit(file, block('', 'export {};'));
+  assert.equal(edit.created, true);
+  assert.equal(edit.content, 'export {};\n');
+  await assert.rejects(prepareEdit(file, block('x', 'y')), /does not exist/);
+});
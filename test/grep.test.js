@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { grep, parseGrepArgs, compilePattern, formatGrepResults, GrepError, DEFAULT_MAX_MATCHES } from '../lib/grep.js';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bex-grep-'));
+  const files = {
+    'src/app.js': 'const a = 1;\n// TODO: fix a\nconst b = 2;\nconst c = 3;\n// todo lower\n',
+    'src/util.js': 'export const x = "a.b";\nexport const y = "axb";\n',
+    'notes.md': 'line 1\nline 2\nTODO here\nline 4\nline 5\nline 6\nline 7\nTODO there\n',
+    'build/out.js': '// TODO: generated\n',
+    '.hidden/secret.txt': 'TODO hidden\n',
+    '.gitignore': 'build/\n'
+  };
+  for (const [name, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), text);
+  }
+  fs.writeFileSync(path.join(dir, 'src/blob.bin'), Buffer.from([84, 79, 68, 79, 0, 1, 2]));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const paths = (result) => result.files.map(f => f.path);
+
+test('parseGrepArgs reads flags, globs and paths', () => {
+  assert.deepEqual(parseGrepArgs(['-E', '-i', '-C2', '--include', '*.js', '--exclude', 'test/**', '-m', '5', 'a+b', 'src', 'lib']), {
+    regex: true, ignoreCase: true, context: 2, include: ['*.js'], exclude: ['test/**'], maxMatches: 5, gitignore: true, hidden: false, pattern: 'a+b', paths: ['src', 'lib']
+  });
+  const plain = parseGrepArgs(['--no-ignore', '--hidden', '--', '-v', 'x']);
+  assert.equal(plain.pattern, '-v');
+  assert.deepEqual(plain.paths, ['x']);
+  assert.equal(plain.gitignore, false);
+  assert.equal(parseGrepArgs(['x']).maxMatches, DEFAULT_MAX_MATCHES);
+  assert.equal(parseGrepArgs(['-m', '0', 'x']).maxMatches, Infinity);
+  assert.equal(parseGrepArgs(['-C', '99', 'x']).context, 20);
+});
+
+test('parseGrepArgs rejects bad input', () => {
+  assert.throws(() => parseGrepArgs([]), GrepError);
+  assert.throws(() => parseGrepArgs(['-C', 'many', 'x']), /non-negative number/);
+  assert.throws(() => parseGrepArgs(['--include']), /needs a glob/);
+  assert.throws(() => parseGrepArgs(['--frobnicate', 'x']), /Unknown option --frobnicate/);
+});
+
+test('compilePattern escapes literal text unless -E is given', () => {
+  assert.equal(compilePattern('a.b').test('axb'), false);
+  assert.equal(compilePattern('a.b', { regex: true }).test('axb'), true);
+  assert.equal(compilePattern('TODO', { ignoreCase: true }).test('todo'), true);
+  assert.throws(() => compilePattern('(', { regex: true }), /Drop -E/);
+});
+
+test('grep searches text files, honouring .gitignore and skipping hidden and binary files', async () => {
+  const result = await grep({ pattern: 'TODO', cwd: dir });
+  assert.deepEqual(paths(result), ['notes.md', path.join('src', 'app.js')]);
+  assert.equal(result.matches, 3);
+  assert.equal(result.binary, 1);
+  assert.equal(result.truncated, false);
+
+  const everything = await grep({ pattern: 'TODO', cwd: dir, gitignore: false, hidden: true });
+  assert.deepEqual(paths(everything), [path.join('.hidden', 'secret.txt'), path.join('build', 'out.js'), 'notes.md', path.join('src', 'app.js')]);
+});
+
+test('grep filters with include and exclude globs and searches given files', async () => {
+  assert.deepEqual(paths(await grep({ pattern: 'TODO', include: ['*.md'], cwd: dir })), ['notes.md']);
+  assert.deepEqual(paths(await grep({ pattern: 'TODO', exclude: ['*.md'], cwd: dir })), [path.join('src', 'app.js')]);
+  assert.deepEqual(paths(await grep({ pattern: 'a.b', paths: ['src/util.js'], cwd: dir })), ['src/util.js']);
+  await assert.rejects(grep({ pattern: 'x', paths: ['missing'], cwd: dir }), /No such file or directory: missing/);
+});
+
+test('grep stops at maxMatches', async () => {
+  const result = await grep({ pattern: 'line', paths: ['notes.md'], maxMatches: 2, cwd: dir });
+  assert.equal(result.matches, 2);
+  assert.equal(result.truncated, true);
+});
+
+test('formatGrepResults prints matches and context like grep', async () => {
+  const result = await grep({ pattern: 'TODO', paths: ['notes.md'], context: 1, cwd: dir });
+  assert.deepEqual(formatGrepResults(result), [
+    'notes.md-2-line 2',
+    'notes.md:3:TODO here',
+    'notes.md-4-line 4',
+    '--',
+    'notes.md-7-line 7',
+    'notes.md:8:TODO there'
+  ]);
+  const plain = await grep({ pattern: 'todo', paths: ['src'], ignoreCase: true, cwd: dir });
+  assert.deepEqual(formatGrepResults(plain), [
+    `${path.join('src', 'app.js')}:2:// TODO: fix a`,
+    `${path.join('src', 'app.js')}:5:// todo lower`
+  ]);
+});
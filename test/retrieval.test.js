@@ -0,0 +1,79 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { tokenizeText, getRetrievalIndex, retrieveSnippets, formatSnippets } from '../lib/retrieval.js';
+
+let dir;
+
+const write = (name, text) => {
+  fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+  fs.writeFileSync(path.join(dir, name), text);
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bex-retrieval-'));
+  write('lib/sessions.js', 'export function loadSession(id) {\n  return readSessionFile(id);\n}\n');
+  write('lib/heredoc.js', '// Parses heredoc bodies\nexport function parseHeredoc(text) {\n  return text.split(DELIMITER);\n}\n');
+  write('lib/math.js', 'export const add = (a, b) => a + b;\n');
+  write('package-lock.json', '{ "loadSession": "loadSession loadSession" }\n');
+  write('ignored/skip.js', 'loadSession loadSession loadSession\n');
+  write('.gitignore', 'ignored/\n');
+  write('big.js', Array.from({ length: 100 }, (_, i) => `const value${i} = ${i};`).join('\n'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('tokenizeText splits identifiers, folds plurals and drops stopwords', () => {
+  assert.deepEqual(tokenizeText('loadSession'), ['loadsession', 'load', 'session']);
+  assert.deepEqual(tokenizeText('MAX_FILE_BYTES'), ['max_file_byte', 'max', 'file', 'byte']);
+  assert.deepEqual(tokenizeText('How do heredocs work with the class?'), ['heredoc', 'work', 'class']);
+  assert.deepEqual(tokenizeText('x = 42'), ['42']);
+});
+
+test('retrieveSnippets ranks the chunk that matches the query first', async () => {
+  const { chunks, files } = await retrieveSnippets('where are sessions loaded from a file', { root: dir });
+  assert.equal(chunks[0].path, path.join('lib', 'sessions.js'));
+  assert.equal(chunks[0].startLine, 1);
+  assert.ok(!chunks.some(c => c.path === 'package-lock.json' || c.path.startsWith('ignored')));
+  assert.equal(files, 4);
+});
+
+test('retrieveSnippets ignores prototype names and unknown terms', async () => {
+  assert.deepEqual((await retrieveSnippets('constructor __proto__ toString', { root: dir })).chunks, []);
+  assert.deepEqual((await retrieveSnippets('zebra', { root: dir })).chunks, []);
+});
+
+test('retrieveSnippets respects topK and the token budget', async () => {
+  const many = await retrieveSnippets('value', { root: dir, topK: 2 });
+  assert.ok(many.chunks.length <= 2);
+  assert.ok(many.chunks.every(c => c.path === 'big.js'));
+  const none = await retrieveSnippets('value', { root: dir, maxTokens: 10 });
+  assert.deepEqual(none.chunks, []);
+  assert.equal(none.tokens, 0);
+});
+
+test('big files are cut into overlapping chunks that are never attached twice', async () => {
+  const { chunks } = await retrieveSnippets('value0 value35 value70 value99', { root: dir, topK: 10, maxTokens: 100000 });
+  const lines = chunks.map(c => [c.startLine, c.endLine]);
+  assert.ok(lines.length >= 2);
+  for (const [i, [start, end]] of lines.entries()) {
+    for (const [otherStart, otherEnd] of lines.slice(i + 1)) assert.ok(end < otherStart || otherEnd < start);
+  }
+});
+
+test('the index picks up changed and removed files', async () => {
+  const index = getRetrievalIndex(dir);
+  write('lib/math.js', 'export const multiplyMatrices = (a, b) => a;\n');
+  await index.refresh({ force: true });
+  assert.equal((await retrieveSnippets('multiply matrices', { root: dir })).chunks[0].path, path.join('lib', 'math.js'));
+  fs.rmSync(path.join(dir, 'lib/math.js'));
+  await index.refresh({ force: true });
+  assert.deepEqual((await retrieveSnippets('multiply matrices', { root: dir })).chunks, []);
+});
+
+test('formatSnippets labels each chunk with its path and lines', () => {
+  const text = formatSnippets([{ path: 'a.js', startLine: 3, endLine: 4, text: 'x\ny' }]);
+  assert.match(text, /a\.js:3-4\n```\nx\ny\n```$/);
+});
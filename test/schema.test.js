@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, formatSchemaErrors } from '../lib/schema.js';
+
+const TOOL = {
+  type: 'object',
+  required: ['filename'],
+  additionalProperties: false,
+  properties: {
+    filename: { type: 'string', minLength: 1 },
+    mode: { type: 'string', enum: ['read', 'write'] },
+    lines: { type: 'integer', minimum: 1, maximum: 100 },
+    tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, maxItems: 2 }
+  }
+};
+
+test('accepts a value that fits the schema', () => {
+  assert.deepEqual(validateSchema(TOOL, { filename: 'a.txt', mode: 'read', lines: 5, tags: ['x'] }), []);
+});
+
+test('reports missing and unknown properties with their paths', () => {
+  assert.deepEqual(validateSchema(TOOL, { extra: 1 }), [
+    { path: 'filename', message: 'is required' },
+    { path: 'extra', message: 'is not an allowed property' }
+  ]);
+});
+
+test('checks types, enums, ranges and patterns', () => {
+  const errors = validateSchema(TOOL, { filename: '', mode: 'append', lines: 1.5, tags: ['ok', 'Bad', 'x'] });
+  assert.equal(formatSchemaErrors(errors), [
+    'filename must have at least 1 characters',
+    'mode must be one of "read", "write"',
+    'lines must be integer, got number',
+    'tags must have at most 2 items',
+    'tags[1] must match /^[a-z]+$/'
+  ].join('; '));
+});
+
+test('integers count as numbers and null needs an explicit type', () => {
+  assert.deepEqual(validateSchema({ type: 'number' }, 3), []);
+  assert.equal(validateSchema({ type: 'integer' }, null)[0].message, 'must be integer, got null');
+  assert.deepEqual(validateSchema({ type: ['integer', 'null'] }, null), []);
+});
+
+test('validates additional properties against their schema', () => {
+  const schema = { type: 'object', additionalProperties: { type: 'object', required: ['model'] } };
+  assert.deepEqual(validateSchema(schema, { local: { model: 'm' } }), []);
+  assert.deepEqual(validateSchema(schema, { local: {} }), [{ path: 'local.model', message: 'is required' }]);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWorkflow, evaluate, render, runWorkflow, WorkflowError } from '../lib/workflow.js';
+
+const context = {
+  vars: { branch: 'main', count: 3, files: ['a.js', 'b.js'] },
+  steps: { tests: { ok: false, exitCode: 1, output: 'FAIL a.test.js' } },
+  env: { HOME: '/home/me' }
+};
+
+// A runLine that records each line and fails the ones in `failing`.
+const recorder = (failing = []) => {
+  const lines = [];
+  const runLine = async (line) => {
+    lines.push(line);
+    const ok = !failing.includes(line);
+    return { ok, output: `${line}\n`, reply: '', exitCode: ok ? 0 : 1, errors: [] };
+  };
+  return { lines, runLine };
+};
+
+test('evaluate handles paths, literals, comparisons and logic', () => {
+  assert.equal(evaluate('branch', context), 'main');
+  assert.equal(evaluate('vars.files[1]', context), 'b.js');
+  assert.equal(evaluate('steps.tests.exitCode', context), 1);
+  assert.equal(evaluate('env.HOME', context), '/home/me');
+  assert.equal(evaluate("!steps.tests.ok && branch == 'main'", context), true);
+  assert.equal(evaluate('count >= 3 && count < 4', context), true);
+  assert.equal(evaluate('"3" == count', context), true);
+  assert.equal(evaluate("steps.tests.output contains 'FAIL'", context), true);
+  assert.equal(evaluate("files contains 'c.js' || (false)", context), false);
+  assert.equal(evaluate('missing.deep.path', context), undefined);
+});
+
+test('evaluate follows own properties only', () => {
+  for (const expr of ['constructor', '__proto__', 'vars.constructor', 'files.map', 'toString']) {
+    assert.equal(evaluate(expr, context), undefined, expr);
+  }
+  assert.equal(evaluate('files.length', context), 2);
+});
+
+test('evaluate rejects malformed expressions', () => {
+  assert.throws(() => evaluate('(count', context), WorkflowError);
+  assert.throws(() => evaluate('count ==', context), WorkflowError);
+  assert.throws(() => evaluate('count $ 1', context), WorkflowError);
+});
+
+test('render keeps the type of a whole template and interpolates the rest', () => {
+  assert.deepEqual(render('{{ files }}', context), ['a.js', 'b.js']);
+  assert.equal(render('{{ steps.tests.ok }}', context), false);
+  assert.equal(render('/read {{ files[0] }} on {{ branch }}', context), '/read a.js on main');
+  assert.equal(render('{{ files }} and {{ nothing }}.', context), '["a.js","b.js"] and .');
+  assert.deepEqual(render({ list: ['{{ count }}'], flag: true }, context), { list: [3], flag: true });
+});
+
+test('parseWorkflow reads YAML and JSON and numbers unnamed steps', () => {
+  const yamlFlow = parseWorkflow('name: check\nvars: { n: 1 }\nsteps:\n  - run: /exec npm test\n  - id: explain\n    prompt: why?\n', 'check.yml');
+  assert.equal(yamlFlow.name, 'check');
+  assert.deepEqual(yamlFlow.vars, { n: 1 });
+  assert.deepEqual(yamlFlow.steps.map(s => s.id), ['step1', 'explain']);
+  assert.equal(yamlFlow.legacy, false);
+
+  const jsonFlow = parseWorkflow(JSON.stringify({ steps: [{ set: { a: 1 } }] }), 'flow.json');
+  assert.equal(jsonFlow.name, 'flow.json');
+  assert.deepEqual(jsonFlow.steps[0].set, { a: 1 });
+});
+
+test('parseWorkflow treats other files as one line of input per line', () => {
+  const flow = parseWorkflow('/ls\n\nexplain this\n/write a.txt <<EOF\nhi\nEOF\n', 'script.txt');
+  assert.equal(flow.legacy, true);
+  assert.deepEqual(flow.steps.map(s => s.run ?? s.prompt), ['/ls', 'explain this', '/write a.txt <<EOF\nhi\nEOF']);
+  assert.ok(flow.steps.every(s => s.continue_on_error));
+});
+
+test('parseWorkflow rejects invalid workflows', () => {
+  assert.throws(() => parseWorkflow('steps:\n  - run: /a\n    prompt: b\n', 'w.yml'), /exactly one of run, prompt or set/);
+  assert.throws(() => parseWorkflow('steps:\n  - id: a\n    run: /a\n  - id: a\n    run: /b\n', 'w.yml'), /Duplicate step id: a/);
+  assert.throws(() => parseWorkflow('steps:\n  - run: not a command\n', 'w.yml'), /Invalid workflow/);
+  assert.throws(() => parseWorkflow('steps: [', 'w.yml'), /Invalid YAML/);
+  assert.throws(() => parseWorkflow('steps:\n  - if: "{{ a }} == {{ b }}"\n    run: /a\n', 'w.yml'), /single expression/);
+});
+
+test('runWorkflow renders steps, expands foreach and sets variables', async () => {
+  const flow = parseWorkflow([
+    'vars: { files: [a.js, b.js] }',
+    'steps:',
+    '  - id: read',
+    '    foreach: "{{ files }}"',
+    '    run: /read {{ item }} ({{ index }})',
+    '  - set: { summary: "read {{ steps.read.items.length }}" }',
+    '  - prompt: "{{ summary }}"'
+  ].join('\n'), 'w.yml');
+  const { lines, runLine } = recorder();
+  const result = await runWorkflow(flow, { runLine, log: () => {} });
+  assert.equal(result.ok, true);
+  assert.deepEqual(lines, ['/read a.js (0)', '/read b.js (1)', 'read 2']);
+  assert.equal(result.steps.read.output, '/read a.js (0)\n/read b.js (1)\n');
+  assert.equal(result.vars.summary, 'read 2');
+});
+
+test('runWorkflow evaluates if as an expression', async () => {
+  const flow = parseWorkflow([
+    'steps:',
+    '  - id: a',
+    '    run: /fail',
+    '    continue_on_error: true',
+    '  - if: "{{ steps.a.ok }} "',
+    '    run: /when-ok',
+    '  - if: "!steps.a.ok"',
+    '    run: /when-failed',
+    '  - if: false',
+    '    run: /never'
+  ].join('\n'), 'w.yml');
+  const { lines, runLine } = recorder(['/fail']);
+  const result = await runWorkflow(flow, { runLine, log: () => {} });
+  assert.equal(result.ok, true);
+  assert.deepEqual(lines, ['/fail', '/when-failed']);
+  assert.equal(result.steps.step2.status, 'skipped');
+});
+
+test('runWorkflow stops at a failed step and skips the rest', async () => {
+  const flow = parseWorkflow('steps:\n  - id: a\n    run: /ok\n  - id: b\n    run: /fail\n  - id: c\n    run: /later\n', 'w.yml');
+  const { lines, runLine } = recorder(['/fail']);
+  const result = await runWorkflow(flow, { runLine, log: () => {} });
+  assert.equal(result.ok, false);
+  assert.equal(result.failed, 'b');
+  assert.deepEqual(lines, ['/ok', '/fail']);
+  assert.equal(result.steps.c.status, 'skipped');
+});
+
+test('runWorkflow retries a failing step', async () => {
+  const flow = parseWorkflow('steps:\n  - id: flaky\n    run: /flaky\n    retries: 2\n    retry_delay: 0\n', 'w.yml');
+  let calls = 0;
+  const runLine = async () => ({ ok: ++calls === 2, output: '', reply: '', exitCode: 0, errors: [] });
+  const result = await runWorkflow(flow, { runLine, log: () => {} });
+  assert.equal(result.ok, true);
+  assert.equal(result.steps.flaky.attempts, 2);
+});